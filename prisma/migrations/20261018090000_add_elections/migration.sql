@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE `elections` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `state` ENUM('DRAFT', 'NOMINATIONS', 'VOTING', 'CLOSED', 'CERTIFIED') NOT NULL DEFAULT 'DRAFT',
+    `created_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill: existing positions, voters and ballots are moved into a single legacy election
+SET @legacy_election_id = UUID();
+
+INSERT INTO `elections` (`id`, `name`, `description`, `state`, `created_at`, `updated_at`)
+SELECT @legacy_election_id, 'Legacy Election', 'Created automatically for data that existed before elections were introduced.', 'VOTING', CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3)
+FROM DUAL
+WHERE EXISTS (SELECT 1 FROM `positions`) OR EXISTS (SELECT 1 FROM `eligible_voters`);
+
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `election_id` VARCHAR(191) NULL;
+UPDATE `positions` SET `election_id` = @legacy_election_id;
+ALTER TABLE `positions` MODIFY `election_id` VARCHAR(191) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `eligible_voters` ADD COLUMN `election_id` VARCHAR(191) NULL;
+UPDATE `eligible_voters` SET `election_id` = @legacy_election_id;
+ALTER TABLE `eligible_voters` MODIFY `election_id` VARCHAR(191) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `ballots` ADD COLUMN `election_id` VARCHAR(191) NULL;
+UPDATE `ballots` SET `election_id` = @legacy_election_id;
+ALTER TABLE `ballots` MODIFY `election_id` VARCHAR(191) NOT NULL;
+
+-- DropIndex
+DROP INDEX `eligible_voters_reg_no_key` ON `eligible_voters`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `eligible_voters_election_id_reg_no_key` ON `eligible_voters`(`election_id`, `reg_no`);
+
+-- AddForeignKey
+ALTER TABLE `positions` ADD CONSTRAINT `positions_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `eligible_voters` ADD CONSTRAINT `eligible_voters_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ballots` ADD CONSTRAINT `ballots_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `elections` MODIFY `state` ENUM('DRAFT', 'NOMINATIONS', 'VOTING', 'CLOSED', 'CERTIFIED', 'ARCHIVED') NOT NULL DEFAULT 'DRAFT';
+
+-- CreateTable
+CREATE TABLE `election_archives` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `election_name` VARCHAR(191) NOT NULL,
+    `retention` VARCHAR(191) NOT NULL,
+    `snapshot` JSON NOT NULL,
+    `snapshot_hash` VARCHAR(191) NOT NULL,
+    `archived_by` VARCHAR(191) NULL,
+    `archived_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `election_archives_election_id_key`(`election_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `election_archives` ADD CONSTRAINT `election_archives_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
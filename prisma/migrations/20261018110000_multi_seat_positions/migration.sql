@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `min_selections` INTEGER NOT NULL DEFAULT 1;
+
+-- CreateIndex (created before dropping the old index so the ballot_id foreign key stays covered)
+CREATE UNIQUE INDEX `votes_ballot_id_position_id_candidate_id_key` ON `votes`(`ballot_id`, `position_id`, `candidate_id`);
+
+-- DropIndex
+DROP INDEX `votes_ballot_id_position_id_key` ON `votes`;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `voting_method` ENUM('PLURALITY', 'IRV', 'STV') NOT NULL DEFAULT 'PLURALITY';
+
+-- AlterTable
+ALTER TABLE `votes` ADD COLUMN `rank` INTEGER NULL;
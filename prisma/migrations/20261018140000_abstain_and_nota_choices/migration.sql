@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `allow_abstain` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `allow_nota` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `rerun_on_nota` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `rerun_of_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `votes` MODIFY `candidate_id` VARCHAR(191) NULL,
+    ADD COLUMN `choice` ENUM('CANDIDATE', 'ABSTAIN', 'NONE_OF_THE_ABOVE') NOT NULL DEFAULT 'CANDIDATE';
+
+-- AddForeignKey
+ALTER TABLE `positions` ADD CONSTRAINT `positions_rerun_of_id_fkey` FOREIGN KEY (`rerun_of_id`) REFERENCES `positions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
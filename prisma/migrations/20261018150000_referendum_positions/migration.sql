@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `type` ENUM('CANDIDATE_RACE', 'REFERENDUM') NOT NULL DEFAULT 'CANDIDATE_RACE',
+    ADD COLUMN `question` TEXT NULL,
+    ADD COLUMN `answer_options` JSON NULL,
+    ADD COLUMN `pass_threshold` ENUM('SIMPLE', 'TWO_THIRDS') NULL;
+
+-- AlterTable
+ALTER TABLE `votes` MODIFY `choice` ENUM('CANDIDATE', 'ABSTAIN', 'NONE_OF_THE_ABOVE', 'ANSWER') NOT NULL DEFAULT 'CANDIDATE',
+    ADD COLUMN `answer` VARCHAR(191) NULL;
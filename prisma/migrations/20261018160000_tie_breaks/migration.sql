@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `tie_break_policy` ENUM('RUNOFF', 'LOT_DRAW', 'SEEDED_DRAW') NOT NULL DEFAULT 'RUNOFF',
+    ADD COLUMN `runoff_of_id` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `tie_breaks` (
+    `id` VARCHAR(191) NOT NULL,
+    `position_id` VARCHAR(191) NOT NULL,
+    `policy` ENUM('RUNOFF', 'LOT_DRAW', 'SEEDED_DRAW') NOT NULL,
+    `round` INTEGER NULL,
+    `candidate_ids` JSON NOT NULL,
+    `seats_at_stake` INTEGER NOT NULL,
+    `draw_order` JSON NULL,
+    `seed` VARCHAR(191) NULL,
+    `officer_name` VARCHAR(191) NULL,
+    `notes` TEXT NULL,
+    `runoff_position_id` VARCHAR(191) NULL,
+    `resolved_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `tie_breaks_runoff_position_id_key`(`runoff_position_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `positions` ADD CONSTRAINT `positions_runoff_of_id_fkey` FOREIGN KEY (`runoff_of_id`) REFERENCES `positions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `tie_breaks` ADD CONSTRAINT `tie_breaks_position_id_fkey` FOREIGN KEY (`position_id`) REFERENCES `positions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `tie_breaks` ADD CONSTRAINT `tie_breaks_runoff_position_id_fkey` FOREIGN KEY (`runoff_position_id`) REFERENCES `positions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
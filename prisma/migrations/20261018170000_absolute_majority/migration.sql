@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `majority_rule` ENUM('RELATIVE', 'ABSOLUTE') NOT NULL DEFAULT 'RELATIVE';
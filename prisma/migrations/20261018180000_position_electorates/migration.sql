@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `electorate` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `eligible_voters` ADD COLUMN `faculty` VARCHAR(191) NULL,
+    ADD COLUMN `year_of_study` INTEGER NULL,
+    ADD COLUMN `groups` JSON NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `quotas` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `candidates` ADD COLUMN `attributes` JSON NULL;
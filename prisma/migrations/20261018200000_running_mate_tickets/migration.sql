@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `ticket` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `running_mate_title` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `candidates` ADD COLUMN `running_mate_id` VARCHAR(191) NULL,
+    ADD COLUMN `running_mate_status` ENUM('PENDING', 'ACCEPTED', 'DECLINED') NULL,
+    ADD COLUMN `running_mate_photo_url` VARCHAR(191) NULL,
+    ADD COLUMN `running_mate_responded_at` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `candidates_position_id_running_mate_id_key` ON `candidates`(`position_id`, `running_mate_id`);
+
+-- AddForeignKey
+ALTER TABLE `candidates` ADD CONSTRAINT `candidates_running_mate_id_fkey` FOREIGN KEY (`running_mate_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `nominations_frozen_at` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `phase_transitions` (
+    `id` VARCHAR(191) NOT NULL,
+    `position_id` VARCHAR(191) NOT NULL,
+    `event` ENUM('NOMINATIONS_OPENED', 'NOMINATIONS_CLOSED', 'VOTING_OPENED', 'VOTING_CLOSED') NOT NULL,
+    `scheduled_for` DATETIME(3) NOT NULL,
+    `fired_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `caught_up` BOOLEAN NOT NULL DEFAULT false,
+    `notified` INTEGER NOT NULL DEFAULT 0,
+    `summary` JSON NULL,
+
+    UNIQUE INDEX `phase_transitions_position_id_event_scheduled_for_key`(`position_id`, `event`, `scheduled_for`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `phase_transitions` ADD CONSTRAINT `phase_transitions_position_id_fkey` FOREIGN KEY (`position_id`) REFERENCES `positions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `elections` ADD COLUMN `timezone` VARCHAR(191) NOT NULL DEFAULT 'Africa/Kampala';
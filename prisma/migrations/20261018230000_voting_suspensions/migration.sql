@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `suspensions` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NULL,
+    `position_id` VARCHAR(191) NULL,
+    `reason` TEXT NOT NULL,
+    `suspended_by` VARCHAR(191) NOT NULL,
+    `suspended_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `resumed_at` DATETIME(3) NULL,
+    `resumed_by` VARCHAR(191) NULL,
+    `resume_note` TEXT NULL,
+    `extended_minutes` INTEGER NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `suspensions` ADD CONSTRAINT `suspensions_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `suspensions` ADD CONSTRAINT `suspensions_position_id_fkey` FOREIGN KEY (`position_id`) REFERENCES `positions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE `election_templates` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `timezone` VARCHAR(191) NOT NULL DEFAULT 'Africa/Kampala',
+    `positions` JSON NOT NULL,
+    `source_election_id` VARCHAR(191) NULL,
+    `created_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `ballot_order` ENUM('ALPHABETICAL', 'RANDOM', 'ROTATED') NOT NULL DEFAULT 'ALPHABETICAL';
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE `ballot_issuances` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `voter_id` VARCHAR(191) NOT NULL,
+    `issued_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `ballot_issuances_election_id_voter_id_key`(`election_id`, `voter_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill: one issuance for every voter who already holds a ballot
+INSERT INTO `ballot_issuances` (`id`, `election_id`, `voter_id`, `issued_at`)
+SELECT UUID(), `election_id`, `voter_id`, MIN(`issued_at`) FROM `ballots` GROUP BY `election_id`, `voter_id`;
+
+-- AlterTable: ballots keep a hash of their token and the voter's electorate attributes instead of the voter
+ALTER TABLE `ballots` ADD COLUMN `token_hash` VARCHAR(191) NULL,
+    ADD COLUMN `voter_profile` JSON NULL;
+
+UPDATE `ballots` b
+JOIN `eligible_voters` v ON v.`id` = b.`voter_id`
+SET b.`token_hash` = SHA2(b.`token`, 256),
+    b.`voter_profile` = JSON_OBJECT('program', v.`program`, 'faculty', v.`faculty`, 'yearOfStudy', v.`year_of_study`, 'groups', v.`groups`);
+
+ALTER TABLE `ballots` MODIFY `token_hash` VARCHAR(191) NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE `ballots` DROP FOREIGN KEY `ballots_voter_id_fkey`;
+
+-- DropIndex
+DROP INDEX `ballots_token_key` ON `ballots`;
+
+-- AlterTable: drop the voter link, the plain token and the timestamps that could be matched to issuances
+ALTER TABLE `ballots` DROP COLUMN `token`,
+    DROP COLUMN `voter_id`,
+    DROP COLUMN `issued_at`,
+    DROP COLUMN `consumed_at`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `ballots_token_hash_key` ON `ballots`(`token_hash`);
+
+-- AlterTable
+ALTER TABLE `votes` DROP COLUMN `cast_at`;
+
+-- AlterTable: verifications no longer record the token they led to
+ALTER TABLE `verifications` DROP COLUMN `ballot_token`;
+
+-- AddForeignKey
+ALTER TABLE `ballot_issuances` ADD CONSTRAINT `ballot_issuances_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ballot_issuances` ADD CONSTRAINT `ballot_issuances_voter_id_fkey` FOREIGN KEY (`voter_id`) REFERENCES `eligible_voters`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
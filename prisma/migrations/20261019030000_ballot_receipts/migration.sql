@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `ballots` ADD COLUMN `receipt_code` VARCHAR(191) NULL,
+    ADD COLUMN `receipt_salt` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `ballots_receipt_code_key` ON `ballots`(`receipt_code`);
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `elections` ADD COLUMN `merkle_root` VARCHAR(191) NULL,
+    ADD COLUMN `merkle_leaf_count` INTEGER NULL,
+    ADD COLUMN `merkle_committed_at` DATETIME(3) NULL;
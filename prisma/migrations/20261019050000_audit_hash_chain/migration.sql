@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE `audit_logs` ADD COLUMN `sequence` INTEGER NULL,
+    ADD COLUMN `prev_hash` VARCHAR(191) NULL,
+    ADD COLUMN `hash` VARCHAR(191) NULL;
+
+-- Backfill: number existing entries in the order they were written; their hashes are
+-- computed by the server (utils/auditChain.sealAuditLog) before the next entry is chained
+UPDATE `audit_logs` a
+JOIN (
+    SELECT `id`, ROW_NUMBER() OVER (ORDER BY `created_at`, `id`) AS `seq` FROM `audit_logs`
+) n ON n.`id` = a.`id`
+SET a.`sequence` = n.`seq`,
+    a.`prev_hash` = '';
+
+ALTER TABLE `audit_logs` MODIFY `sequence` INTEGER NOT NULL,
+    MODIFY `prev_hash` VARCHAR(191) NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `audit_logs_sequence_key` ON `audit_logs`(`sequence`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `audit_logs_hash_key` ON `audit_logs`(`hash`);
+
+-- CreateTable
+CREATE TABLE `audit_checkpoints` (
+    `id` VARCHAR(191) NOT NULL,
+    `sequence` INTEGER NOT NULL,
+    `hash` VARCHAR(191) NOT NULL,
+    `key_id` VARCHAR(191) NOT NULL,
+    `signature` TEXT NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `audit_checkpoints_sequence_key`(`sequence`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
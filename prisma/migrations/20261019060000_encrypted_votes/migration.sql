@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE `elections` ADD COLUMN `encryption_public_key` TEXT NULL,
+    ADD COLUMN `trustee_threshold` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `encrypted_votes` (
+    `id` VARCHAR(191) NOT NULL,
+    `ballot_id` VARCHAR(191) NOT NULL,
+    `position_id` VARCHAR(191) NOT NULL,
+    `ciphertext` TEXT NOT NULL,
+
+    UNIQUE INDEX `encrypted_votes_ballot_id_position_id_key`(`ballot_id`, `position_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `election_trustees` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `share_index` INTEGER NOT NULL,
+    `share_hash` VARCHAR(191) NOT NULL,
+    `pending_share` TEXT NULL,
+    `collected_at` DATETIME(3) NULL,
+    `submitted_share` TEXT NULL,
+    `submitted_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `election_trustees_election_id_user_id_key`(`election_id`, `user_id`),
+    UNIQUE INDEX `election_trustees_election_id_share_index_key`(`election_id`, `share_index`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `encrypted_votes` ADD CONSTRAINT `encrypted_votes_ballot_id_fkey` FOREIGN KEY (`ballot_id`) REFERENCES `ballots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `encrypted_votes` ADD CONSTRAINT `encrypted_votes_position_id_fkey` FOREIGN KEY (`position_id`) REFERENCES `positions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `election_trustees` ADD CONSTRAINT `election_trustees_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `election_trustees` ADD CONSTRAINT `election_trustees_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
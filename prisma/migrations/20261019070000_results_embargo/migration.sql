@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `elections` ADD COLUMN `results_released_at` DATETIME(3) NULL,
+    ADD COLUMN `results_released_by` VARCHAR(191) NULL,
+    ADD COLUMN `results_release_requested_by` VARCHAR(191) NULL,
+    ADD COLUMN `results_release_requested_at` DATETIME(3) NULL;
+
+-- Certified and archived elections have already published their results
+UPDATE `elections` SET `results_released_at` = `updated_at` WHERE `state` IN ('CERTIFIED', 'ARCHIVED');
@@ -0,0 +1,5 @@
+-- DropIndex: a running mate who declined, or whose ticket was rejected, may be named on another ticket
+DROP INDEX `candidates_position_id_running_mate_id_key` ON `candidates`;
+
+-- Running mates who already declined come off their tickets
+UPDATE `candidates` SET `running_mate_id` = NULL WHERE `running_mate_status` = 'DECLINED';
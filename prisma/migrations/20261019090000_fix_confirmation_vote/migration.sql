@@ -0,0 +1,3 @@
+-- AlterTable: whether a position is voted on as a YES/NO confirmation, fixed once voting opens
+-- (positions already open are fixed by the next request that reads them)
+ALTER TABLE `positions` ADD COLUMN `confirmation_vote` BOOLEAN NULL;
@@ -0,0 +1,10 @@
+-- AlterTable: each runoff or re-run is a ballot round of its own
+ALTER TABLE `positions` ADD COLUMN `ballot_round` INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable: ballots and issuances belong to a round
+ALTER TABLE `ballots` ADD COLUMN `round` INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE `ballot_issuances` ADD COLUMN `round` INTEGER NOT NULL DEFAULT 1;
+
+-- One ballot per voter per election round (the new index is created first: the election foreign key uses it)
+CREATE UNIQUE INDEX `ballot_issuances_election_id_voter_id_round_key` ON `ballot_issuances`(`election_id`, `voter_id`, `round`);
+DROP INDEX `ballot_issuances_election_id_voter_id_key` ON `ballot_issuances`;
@@ -0,0 +1,7 @@
+-- AlterTable: trustees register a public key their key shares are encrypted to
+ALTER TABLE `users` ADD COLUMN `trustee_public_key` VARCHAR(191) NULL;
+
+-- AlterTable: uncollected shares are only stored encrypted to the trustee. Plaintext shares not yet
+-- collected are dropped; those elections' trustees must be appointed again before voting opens.
+ALTER TABLE `election_trustees` DROP COLUMN `pending_share`,
+    ADD COLUMN `encrypted_share` TEXT NULL;
@@ -0,0 +1,3 @@
+-- AlterTable: shares handed back for a decryption are only held in the server's memory
+ALTER TABLE `election_trustees` DROP COLUMN `submitted_share`,
+    DROP COLUMN `submitted_at`;
@@ -0,0 +1,5 @@
+-- AlterTable: a transition is only done once its handler has finished
+ALTER TABLE `phase_transitions` ADD COLUMN `completed_at` DATETIME(3) NULL;
+
+-- Rows recorded so far had their handlers run when they were created
+UPDATE `phase_transitions` SET `completed_at` = `fired_at`;
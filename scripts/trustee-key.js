@@ -0,0 +1,41 @@
+// trustee-key.js
+//
+// Offline key handling for election trustees. Needs no database or server.
+//
+// Usage:
+//   npm run trustee:key -- generate trustee-key.pem
+//     Creates your key pair: the private key is written to the file (keep it offline), and the
+//     public key is printed, to register with PUT /api/trustees/key before you are appointed.
+//
+//   npm run trustee:key -- open trustee-key.pem <electionId> <shareIndex> <encryptedShare>
+//     Prints the key share collected with POST /api/trustees/elections/:electionId/collect.
+//     Keep it offline and hand it back for the decryption once voting has closed.
+
+const fs = require('fs');
+const { createTrusteeKey, openShare, keyFingerprint } = require('../src/utils/voteEncryption');
+
+const [command, file, ...args] = process.argv.slice(2);
+
+if (command === 'generate' && file) {
+  if (fs.existsSync(file)) {
+    console.error(`${file} already exists; choose another file so the key in it is not lost`);
+    process.exit(1);
+  }
+
+  const { publicKey, privateKey } = createTrusteeKey();
+  fs.writeFileSync(file, privateKey, { mode: 0o600 });
+  console.log(`Private key written to ${file}`);
+  console.log(`Public key: ${publicKey}`);
+  console.log(`Fingerprint: ${keyFingerprint(publicKey)}`);
+} else if (command === 'open' && file && args.length === 3) {
+  const [electionId, shareIndex, encryptedShare] = args;
+  try {
+    console.log(openShare(fs.readFileSync(file, 'utf8'), electionId, Number(shareIndex), encryptedShare));
+  } catch (error) {
+    console.error('This share was not encrypted to this key for that election and share index');
+    process.exit(1);
+  }
+} else {
+  console.error('Usage: trustee-key.js generate <file> | open <file> <electionId> <shareIndex> <encryptedShare>');
+  process.exit(1);
+}
@@ -0,0 +1,200 @@
+// verify-tally.js
+//
+// Offline check of an election's count, for candidates' agents. Needs no database or server:
+// it reads the cast-vote file exported with GET /api/reports/export/cast-votes-json?electionId=...,
+// recomputes the Merkle root over the receipts and ballots and compares it with the root committed when voting
+// closed (also shown on the public bulletin board), then recounts every position.
+//
+// Usage:
+//   npm run verify:tally -- cast-votes.json [--results results.json] [--root <root from the bulletin board>]
+//
+// --results takes the JSON from GET /api/reports/results?electionId=... and checks each position's
+// ballots, blank and NONE_OF_THE_ABOVE votes, candidate votes and referendum answers against the recount.
+// Exits with 1 on any mismatch.
+
+const fs = require('fs');
+const { ballotLeafHash, commitBallots } = require('../src/utils/merkle');
+const { runRankedCount } = require('../src/utils/tallyEngine');
+
+const RANKED_METHODS = ['IRV', 'STV'];
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const problems = [];
+const check = (ok, message) => {
+  if (!ok) problems.push(message);
+};
+
+/**
+ * Recount one position from the ballots
+ */
+function recount(position, ballots) {
+  const votes = ballots.flatMap((b) => b.votes.filter((v) => v.positionId === position.id).map((v) => ({ ...v, ballot: b })));
+  const count = (predicate) => votes.filter(predicate).length;
+
+  const result = {
+    ballotsCast: new Set(votes.map((v) => v.ballot)).size,
+    blankVotes: count((v) => v.choice === 'ABSTAIN'),
+    notaVotes: count((v) => v.choice === 'NONE_OF_THE_ABOVE'),
+    candidates: {},
+  };
+
+  if (position.type === 'REFERENDUM') {
+    result.answers = Object.fromEntries(
+      (position.answerOptions || []).map((answer) => [answer, count((v) => v.choice === 'ANSWER' && v.answer === answer)])
+    );
+    result.blankVotes = result.answers.ABSTAIN || 0;
+    return result;
+  }
+
+  if (position.confirmationVote) {
+    position.candidates.forEach((c) => {
+      result.candidates[c.id] = {
+        votes: count((v) => v.candidateId === c.id && v.answer === 'YES'),
+        no: count((v) => v.candidateId === c.id && v.answer === 'NO'),
+      };
+    });
+    return result;
+  }
+
+  if (RANKED_METHODS.includes(position.votingMethod)) {
+    const papers = ballots
+      .map((b) =>
+        b.votes
+          .filter((v) => v.positionId === position.id && v.choice === 'CANDIDATE')
+          .sort((x, y) => x.rank - y.rank)
+          .map((v) => v.candidateId)
+      )
+      .filter((prefs) => prefs.length > 0);
+
+    const tally = runRankedCount({
+      candidateIds: position.candidates.map((c) => c.id),
+      ballots: papers,
+      seats: position.seats,
+      method: position.votingMethod,
+      drawOrders: position.drawOrders,
+    });
+    const firstPreferences = tally.rounds.length > 0 ? tally.rounds[0].tallies : {};
+    position.candidates.forEach((c) => {
+      result.candidates[c.id] = { votes: firstPreferences[c.id] || 0 };
+    });
+    result.elected = tally.elected;
+    return result;
+  }
+
+  position.candidates.forEach((c) => {
+    result.candidates[c.id] = { votes: count((v) => v.choice === 'CANDIDATE' && v.candidateId === c.id) };
+  });
+  return result;
+}
+
+/**
+ * Compare a recount with a position from the results report
+ */
+function compare(position, counted, reported) {
+  const label = position.name;
+  check(reported.ballotsCast === counted.ballotsCast, `${label}: ${reported.ballotsCast} ballots reported, ${counted.ballotsCast} counted`);
+  check(reported.blankVotes === counted.blankVotes, `${label}: ${reported.blankVotes} blank votes reported, ${counted.blankVotes} counted`);
+  check(reported.notaVotes === counted.notaVotes, `${label}: ${reported.notaVotes} NONE_OF_THE_ABOVE votes reported, ${counted.notaVotes} counted`);
+
+  if (counted.answers) {
+    Object.entries(counted.answers).forEach(([answer, votes]) => {
+      const got = reported.referendum?.answers?.[answer] ?? 0;
+      check(got === votes, `${label}: ${got} "${answer}" answers reported, ${votes} counted`);
+    });
+    return;
+  }
+
+  position.candidates.forEach((c) => {
+    const row = reported.candidates.find((rc) => rc.candidateId === c.id);
+    const expected = counted.candidates[c.id];
+    check(Boolean(row), `${label}: ${c.name} is missing from the results`);
+    if (!row) return;
+    check(row.votes === expected.votes, `${label}: ${c.name} has ${row.votes} votes reported, ${expected.votes} counted`);
+    if (expected.no !== undefined) {
+      check(row.confirmation?.no === expected.no, `${label}: ${c.name} has ${row.confirmation?.no} NO answers reported, ${expected.no} counted`);
+    }
+  });
+
+  // An open tie leaves seats undecided in the results until it is drawn
+  if (counted.elected && !(reported.ties || []).some((t) => !t.resolved)) {
+    const reportedWinners = reported.winners.map((w) => w.candidateId).sort();
+    check(
+      JSON.stringify(reportedWinners) === JSON.stringify([...counted.elected].sort()),
+      `${label}: reported winners differ from the recounted ${position.votingMethod} result`
+    );
+  }
+}
+
+function main() {
+  const file = process.argv[2];
+  if (!file || file.startsWith('--')) {
+    console.error('Usage: node scripts/verify-tally.js cast-votes.json [--results results.json] [--root <root>]');
+    process.exit(1);
+  }
+
+  const data = readJson(file);
+  check(data.format === 'e-londa-cast-votes/2', `Unknown cast-vote file format: ${data.format}`);
+
+  // 1. The receipts and ballots are the ones committed when voting closed
+  const codes = data.receipts;
+  check(new Set(codes).size === codes.length, 'Some receipt codes appear more than once');
+  check(codes.every((code, i) => i === 0 || codes[i - 1] < code), 'Receipts are not in receipt code order');
+  check(codes.length === data.ballots.length, `${codes.length} receipt(s) but ${data.ballots.length} ballot(s)`);
+
+  const leaves = data.ballots.map(ballotLeafHash);
+  check(leaves.every((leaf, i) => i === 0 || leaves[i - 1] <= leaf), 'Ballots are not in leaf hash order');
+
+  const { root } = commitBallots(codes, data.ballots);
+  const expectedRoot = option('root') || data.merkle.committedRoot;
+  console.log(`🌳 Merkle root over ${codes.length} receipt(s) and ${data.ballots.length} ballot(s): ${root}`);
+  check(Boolean(expectedRoot), 'The file has no committed root; pass the root from the bulletin board with --root');
+  if (expectedRoot) {
+    check(root === expectedRoot, `Recomputed root does not match the committed root ${expectedRoot}`);
+  }
+
+  // 2. Recount every position
+  const results = option('results') ? readJson(option('results')) : null;
+  console.log(`\n🗳️  Recount of ${data.election.name}`);
+
+  data.positions.forEach((position) => {
+    const counted = recount(position, data.ballots);
+
+    console.log(`\n${position.name} (${position.type === 'REFERENDUM' ? 'REFERENDUM' : position.votingMethod}): ${counted.ballotsCast} ballot(s)`);
+    if (counted.answers) {
+      Object.entries(counted.answers).forEach(([answer, votes]) => console.log(`  ${answer}: ${votes}`));
+    } else {
+      position.candidates.forEach((c) => {
+        const { votes, no } = counted.candidates[c.id];
+        console.log(`  ${c.name}: ${votes}${no !== undefined ? ` YES / ${no} NO` : ''}`);
+      });
+      if (counted.blankVotes) console.log(`  Blank: ${counted.blankVotes}`);
+      if (counted.notaVotes) console.log(`  None of the above: ${counted.notaVotes}`);
+      if (counted.elected) {
+        const names = counted.elected.map((id) => position.candidates.find((c) => c.id === id)?.name);
+        console.log(`  Elected: ${names.join(', ') || 'none'}`);
+      }
+    }
+
+    if (results) {
+      const reported = results.positions.find((p) => p.positionId === position.id);
+      check(Boolean(reported), `${position.name} is missing from the results`);
+      if (reported) compare(position, counted, reported);
+    }
+  });
+
+  console.log('');
+  if (problems.length > 0) {
+    problems.forEach((problem) => console.error(`❌ ${problem}`));
+    process.exitCode = 1;
+  } else {
+    console.log(results ? '✅ Root and results verified' : '✅ Root verified (pass --results to check the published results)');
+  }
+}
+
+main();
@@ -0,0 +1,107 @@
+// vote-race.js
+//
+// Concurrency harness for POST /api/vote: fires the same ballot at the endpoint many times
+// at once and checks that exactly one submission was accepted and that the ballot holds
+// exactly one submission's worth of votes.
+//
+// Usage (against a running server and its database, with an unused ballot token):
+//   npm run test:vote-race -- --token <ballot token> [--requests 50] [--url http://localhost:5000]
+//
+// The token is consumed by the run. Exits with 1 if more (or fewer) than one submission got through.
+
+require('dotenv').config();
+const axios = require('axios');
+const { PrismaClient } = require('@prisma/client');
+const { hashBallotToken } = require('../src/utils/ballotToken');
+
+const prisma = new PrismaClient();
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+/**
+ * A valid submission for every position on the ballot: an answer for referendums and
+ * confirmation votes, ABSTAIN where it is offered, otherwise the fewest candidates allowed
+ */
+function buildVotes(ballot) {
+  return ballot.positions.flatMap((position) => {
+    const candidates = ballot.candidates.filter((c) => c.positionId === position.id);
+
+    if (position.type === 'REFERENDUM') {
+      return [{ positionId: position.id, answer: position.answerOptions[0] }];
+    }
+    if (position.confirmationVote) {
+      return candidates.map((c) => ({ positionId: position.id, candidateId: c.id, answer: 'YES' }));
+    }
+    if (position.choices.includes('ABSTAIN')) {
+      return [{ positionId: position.id, choice: 'ABSTAIN' }];
+    }
+
+    return candidates.slice(0, Math.max(position.minSelections, 1)).map((c, index) => ({
+      positionId: position.id,
+      candidateId: c.id,
+      ...(position.ranked && { rank: index + 1 }),
+    }));
+  });
+}
+
+async function main() {
+  const token = option('token');
+  const requests = parseInt(option('requests', '50'));
+  const baseUrl = option('url', `http://localhost:${process.env.PORT || 5000}`);
+
+  if (!token) {
+    throw new Error('Pass an unused ballot token with --token');
+  }
+
+  const { data: ballot } = await axios.get(`${baseUrl}/api/vote/ballot`, { params: { token } });
+  const votes = buildVotes(ballot);
+  if (votes.length === 0) {
+    throw new Error('The ballot has no open positions to vote on');
+  }
+
+  console.log(`🔁 Sending ${requests} simultaneous submissions of ${votes.length} vote(s) with one ballot...`);
+
+  const responses = await Promise.all(
+    Array.from({ length: requests }, () =>
+      axios.post(`${baseUrl}/api/vote`, { token, votes }, { validateStatus: () => true })
+    )
+  );
+
+  const statuses = responses.reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+  const accepted = statuses[200] || 0;
+
+  const stored = await prisma.ballot.findUnique({
+    where: { tokenHash: hashBallotToken(token) },
+    select: { status: true, _count: { select: { votes: true, encryptedVotes: true } } },
+  });
+
+  // Elections with trustees store one encrypted row per position instead of the vote rows
+  const encrypted = stored._count.encryptedVotes > 0;
+  const expected = encrypted ? new Set(votes.map((v) => v.positionId)).size : votes.length;
+  const recorded = encrypted ? stored._count.encryptedVotes : stored._count.votes;
+
+  console.log('Responses by status:', statuses);
+  console.log(
+    `Ballot status: ${stored.status}, ${encrypted ? 'encrypted positions' : 'votes'} stored: ${recorded} (one submission is ${expected})`
+  );
+
+  if (accepted !== 1 || recorded !== expected || stored.status !== 'CONSUMED') {
+    console.error('❌ The ballot was not used exactly once');
+    process.exitCode = 1;
+  } else {
+    console.log('✅ Exactly one submission was recorded');
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Vote race failed:', error.response?.data || error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
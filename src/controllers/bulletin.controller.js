@@ -0,0 +1,197 @@
+const { prisma } = require('../config/prisma');
+const { normalizeReceiptCode } = require('../utils/receipts');
+const { receiptLeafHash, receiptProof } = require('../utils/merkle');
+const { buildCastVoteTree } = require('../utils/castVoteRecord');
+
+// Phases in which the bulletin board is published (voting has closed)
+const PUBLISHED_STATES = ['CLOSED', 'CERTIFIED', 'ARCHIVED'];
+
+/**
+ * Receipt codes of an election's cast ballots, sorted so their order says nothing about when they were cast
+ * Archived elections read them from their snapshot, as the live ballots are gone.
+ * @returns {Promise<String[]>}
+ */
+const loadReceipts = async (election) => {
+  if (election.state === 'ARCHIVED') {
+    const archive = await prisma.electionArchive.findUnique({
+      where: { electionId: election.id },
+      select: { snapshot: true },
+    });
+    return archive?.snapshot?.bulletin || [];
+  }
+
+  const ballots = await prisma.ballot.findMany({
+    where: {
+      electionId: election.id,
+      status: 'CONSUMED',
+      receiptCode: { not: null },
+    },
+    select: { receiptCode: true },
+    orderBy: { receiptCode: 'asc' },
+  });
+  return ballots.map((b) => b.receiptCode);
+};
+
+// Get elections whose bulletin board is published (public)
+exports.getBulletins = async (req, res) => {
+  try {
+    const elections = await prisma.election.findMany({
+      where: { state: { in: PUBLISHED_STATES } },
+      select: {
+        id: true,
+        name: true,
+        state: true,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json(elections);
+  } catch (error) {
+    console.error('Get bulletins error:', error);
+    res.status(500).json({ error: 'Failed to fetch bulletin boards' });
+  }
+};
+
+// Get every receipt code of an election, and the Merkle root committing to them, once voting has closed (public)
+exports.getBulletin = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+      select: { id: true, name: true, state: true, merkleRoot: true, merkleLeafCount: true, merkleCommittedAt: true },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!PUBLISHED_STATES.includes(election.state)) {
+      return res.status(400).json({
+        error: 'The bulletin board is published once voting closes',
+        electionState: election.state,
+      });
+    }
+
+    const receipts = await loadReceipts(election);
+    const { merkleRoot, merkleLeafCount, merkleCommittedAt, ...details } = election;
+
+    res.json({
+      election: details,
+      ballotsCast: receipts.length,
+      merkle: merkleRoot ? { root: merkleRoot, leafCount: merkleLeafCount, committedAt: merkleCommittedAt } : null,
+      receipts,
+    });
+  } catch (error) {
+    console.error('Get bulletin error:', error);
+    res.status(500).json({ error: 'Failed to fetch bulletin board' });
+  }
+};
+
+/**
+ * Check a receipt code (public)
+ * Tells a voter whether their ballot was recorded and, once voting has closed,
+ * that it is on the bulletin board and in the count. Nothing about its choices is returned.
+ */
+exports.checkReceipt = async (req, res) => {
+  try {
+    const { electionId, code } = req.params;
+
+    const receiptCode = normalizeReceiptCode(code);
+    if (!receiptCode) {
+      return res.status(400).json({ error: 'Receipt codes are 24 letters and digits, e.g. 3F9A-0C1D-77E2-B845-19AC-5D03' });
+    }
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+      select: { id: true, name: true, state: true },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    let found;
+    if (election.state === 'ARCHIVED') {
+      found = (await loadReceipts(election)).includes(receiptCode);
+    } else {
+      const ballot = await prisma.ballot.findFirst({
+        where: { electionId, receiptCode, status: 'CONSUMED' },
+        select: { id: true },
+      });
+      found = Boolean(ballot);
+    }
+
+    const published = PUBLISHED_STATES.includes(election.state);
+
+    res.json({
+      receiptCode,
+      election,
+      recorded: found,
+      counted: found && published,
+      message: !found
+        ? 'No ballot with this receipt code was recorded in this election'
+        : published
+          ? 'Your ballot is on the bulletin board and included in the count'
+          : 'Your ballot has been recorded; it will appear on the bulletin board when voting closes',
+    });
+  } catch (error) {
+    console.error('Check receipt error:', error);
+    res.status(500).json({ error: 'Failed to check receipt' });
+  }
+};
+
+/**
+ * Merkle inclusion proof for a receipt (public)
+ * Hashing the leaf with each sibling in turn must give the committed root
+ * (see utils/merkle.verifyInclusion). The leaf only commits to the receipt code and the last
+ * sibling is the root of every ballot's choices together, so the proof reveals no choices.
+ */
+exports.getReceiptProof = async (req, res) => {
+  try {
+    const { electionId, code } = req.params;
+
+    const receiptCode = normalizeReceiptCode(code);
+    if (!receiptCode) {
+      return res.status(400).json({ error: 'Receipt codes are 24 letters and digits, e.g. 3F9A-0C1D-77E2-B845-19AC-5D03' });
+    }
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+      select: { id: true, state: true, merkleRoot: true },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!election.merkleRoot) {
+      return res.status(400).json({ error: 'The cast ballots are committed when voting closes and every vote has been decrypted' });
+    }
+
+    if (election.state === 'ARCHIVED') {
+      return res.status(400).json({ error: 'Proofs are not available once an election has been archived' });
+    }
+
+    const commitment = await buildCastVoteTree(electionId);
+    const index = commitment.receipts.indexOf(receiptCode);
+
+    if (index === -1) {
+      return res.status(404).json({ error: 'No ballot with this receipt code was recorded in this election' });
+    }
+
+    res.json({
+      receiptCode,
+      leafIndex: index,
+      leafCount: commitment.receipts.length,
+      leaf: receiptLeafHash(receiptCode),
+      proof: receiptProof(commitment, index),
+      root: election.merkleRoot,
+      // False would mean the stored votes no longer match what was committed when voting closed
+      matchesCommittedRoot: commitment.root === election.merkleRoot,
+    });
+  } catch (error) {
+    console.error('Get receipt proof error:', error);
+    res.status(500).json({ error: 'Failed to build receipt proof' });
+  }
+};
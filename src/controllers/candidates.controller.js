@@ -1,5 +1,7 @@
 const { prisma } = require('../config/prisma');
+const { Prisma } = require('@prisma/client');
 const { logAudit } = require('../utils/auditLogger');
+const { normalizeAttributes } = require('../utils/seatAllocation');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -54,10 +56,57 @@ exports.uploadFiles = upload.fields([
   { name: 'photo', maxCount: 1 },
 ]);
 
+/**
+ * Look up the user a nominee names as running mate and check they can join the ticket
+ * Nobody may stand on two tickets for the same position, as nominee or running mate;
+ * rejected tickets and declined invitations do not count.
+ * @param {String} positionId
+ * @param {String} userId - The nominee
+ * @param {String} email - The running mate's account email
+ * @param {String} [ticketId] - The nominee's own ticket, when replacing its running mate
+ * @returns {Promise<{ runningMate?: Object, error?: String, status?: Number }>}
+ */
+const findRunningMate = async (positionId, userId, email, ticketId) => {
+  const runningMate = await prisma.user.findUnique({
+    where: { email: email.trim().toLowerCase() },
+    select: { id: true, name: true, email: true, program: true, role: true },
+  });
+
+  if (!runningMate || runningMate.role !== 'CANDIDATE') {
+    return { error: 'No candidate account found for the running mate email', status: 404 };
+  }
+
+  if (runningMate.id === userId) {
+    return { error: 'You cannot be your own running mate', status: 400 };
+  }
+
+  if (!runningMate.name || !runningMate.program) {
+    return { error: 'Your running mate\'s account is missing name or program information', status: 400 };
+  }
+
+  const onAnotherTicket = await prisma.candidate.findFirst({
+    where: {
+      positionId,
+      status: { not: 'REJECTED' },
+      ...(ticketId && { id: { not: ticketId } }),
+      OR: [
+        { userId: runningMate.id },
+        { runningMateId: { in: [runningMate.id, userId] } },
+      ],
+    },
+  });
+
+  if (onAnotherTicket) {
+    return { error: 'You or your running mate are already on a ticket for this position', status: 400 };
+  }
+
+  return { runningMate };
+};
+
 // Submit nomination (Candidate)
 exports.submitNomination = async (req, res) => {
   try {
-    const { positionId } = req.body;
+    const { positionId, attributes, runningMateEmail } = req.body;
     const userId = req.user.id;
 
     // Validation
@@ -65,6 +114,12 @@ exports.submitNomination = async (req, res) => {
       return res.status(400).json({ error: 'Position is required' });
     }
 
+    // Attributes used by reserved-seat quotas (sent as a JSON string with the multipart form)
+    const { value: candidateAttributes, error: attributesError } = normalizeAttributes(attributes);
+    if (attributesError) {
+      return res.status(400).json({ error: attributesError });
+    }
+
     // Fetch user's name and program from their account
     const user = await prisma.user.findUnique({
       where: { id: userId },
@@ -87,12 +142,40 @@ exports.submitNomination = async (req, res) => {
     // Check if position exists and nomination window is open
     const position = await prisma.position.findUnique({
       where: { id: positionId },
+      include: {
+        election: {
+          select: {
+            name: true,
+            state: true,
+          },
+        },
+      },
     });
 
     if (!position) {
       return res.status(404).json({ error: 'Position not found' });
     }
 
+    if (position.type === 'REFERENDUM') {
+      return res.status(400).json({ error: 'Referendum questions do not take nominations' });
+    }
+
+    if (position.runoffOfId) {
+      return res.status(400).json({ error: 'Runoff candidates come from the tied position and do not take nominations' });
+    }
+
+    // Re-run positions take fresh nominations while the rest of the election is voting
+    const acceptingNominations =
+      position.election.state === 'NOMINATIONS' ||
+      (position.rerunOfId && position.election.state === 'VOTING');
+
+    if (!acceptingNominations) {
+      return res.status(400).json({
+        error: 'This election is not accepting nominations',
+        electionState: position.election.state,
+      });
+    }
+
     const now = new Date();
     if (now < position.nominationOpens || now > position.nominationCloses) {
       return res.status(400).json({ 
@@ -116,6 +199,22 @@ exports.submitNomination = async (req, res) => {
       return res.status(400).json({ error: 'You have already submitted a nomination for this position' });
     }
 
+    // Ticket positions: the nomination names a running mate, who must accept it from their own account
+    let runningMate = null;
+    if (position.ticket) {
+      if (!runningMateEmail || runningMateEmail.trim().length === 0) {
+        return res.status(400).json({ error: `This position is contested by tickets: name your ${position.runningMateTitle || 'running mate'} by email` });
+      }
+
+      const found = await findRunningMate(positionId, userId, runningMateEmail);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+      runningMate = found.runningMate;
+    } else if (runningMateEmail) {
+      return res.status(400).json({ error: 'This position is not contested by tickets' });
+    }
+
     // Validate that required files are uploaded
     if (!req.files?.manifesto?.[0]) {
       return res.status(400).json({ error: 'Manifesto PDF is required' });
@@ -137,6 +236,8 @@ exports.submitNomination = async (req, res) => {
         program: user.program,
         manifestoUrl,
         photoUrl,
+        ...(candidateAttributes && { attributes: candidateAttributes }),
+        ...(runningMate && { runningMateId: runningMate.id, runningMateStatus: 'PENDING' }),
         status: 'SUBMITTED',
       },
       include: {
@@ -157,15 +258,20 @@ exports.submitNomination = async (req, res) => {
       entity: 'candidate',
       entityId: candidate.id,
       payload: { 
+        electionId: position.electionId,
         positionId, 
         positionName: position.name, 
         name: user.name, 
-        program: user.program 
+        program: user.program,
+        attributes: candidateAttributes,
+        ...(runningMate && { runningMate: { name: runningMate.name, email: runningMate.email } }),
       },
     });
 
     res.status(201).json({
-      message: 'Nomination submitted successfully',
+      message: runningMate
+        ? `Nomination submitted; it can be approved once ${runningMate.name} accepts as running mate`
+        : 'Nomination submitted successfully',
       candidate,
     });
   } catch (error) {
@@ -186,12 +292,26 @@ exports.getMyNominations = async (req, res) => {
           select: {
             id: true,
             name: true,
+            election: {
+              select: {
+                id: true,
+                name: true,
+                state: true,
+              },
+            },
             nominationOpens: true,
             nominationCloses: true,
             votingOpens: true,
             votingCloses: true,
           },
         },
+        runningMate: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
       },
       orderBy: {
         createdAt: 'desc',
@@ -208,7 +328,7 @@ exports.getMyNominations = async (req, res) => {
 // Get all nominations (Officer/Admin)
 exports.getAllNominations = async (req, res) => {
   try {
-    const { status, positionId } = req.query;
+    const { status, positionId, electionId } = req.query;
 
     const where = {};
     if (status) {
@@ -217,6 +337,9 @@ exports.getAllNominations = async (req, res) => {
     if (positionId) {
       where.positionId = positionId;
     }
+    if (electionId) {
+      where.position = { electionId };
+    }
 
     const nominations = await prisma.candidate.findMany({
       where,
@@ -228,15 +351,20 @@ exports.getAllNominations = async (req, res) => {
         manifestoUrl: true,
         status: true,
         reason: true,
+        runningMateStatus: true,
+        runningMatePhotoUrl: true,
         createdAt: true,
         updatedAt: true,
         position: {
           select: {
             id: true,
             name: true,
+            electionId: true,
+            ticket: true,
+            runningMateTitle: true,
           },
         },
-        user: {
+        runningMate: {
           select: {
             id: true,
             email: true,
@@ -245,9 +373,13 @@ exports.getAllNominations = async (req, res) => {
             program: true,
           },
         },
-        _count: {
+        user: {
           select: {
-            votes: true,
+            id: true,
+            email: true,
+            name: true,
+            regNo: true,
+            program: true,
           },
         },
       },
@@ -256,6 +388,7 @@ exports.getAllNominations = async (req, res) => {
       },
     });
 
+    // No vote counts: those are results, and stay behind the embargo (see utils/resultsEmbargo)
     res.json(nominations);
   } catch (error) {
     console.error('Get all nominations error:', error);
@@ -267,8 +400,15 @@ exports.getAllNominations = async (req, res) => {
 exports.approveNomination = async (req, res) => {
   try {
     const { id } = req.params;
+    const { attributes } = req.body || {};
     const officerId = req.user.id;
 
+    // The officer may confirm or correct the attributes quotas are checked against
+    const { value: candidateAttributes, error: attributesError } = normalizeAttributes(attributes);
+    if (attributesError) {
+      return res.status(400).json({ error: attributesError });
+    }
+
     // Check if nomination exists
     const candidate = await prisma.candidate.findUnique({
       where: { id },
@@ -276,6 +416,7 @@ exports.approveNomination = async (req, res) => {
         position: {
           select: {
             name: true,
+            ticket: true,
           },
         },
         user: {
@@ -284,6 +425,12 @@ exports.approveNomination = async (req, res) => {
             email: true,
           },
         },
+        runningMate: {
+          select: {
+            name: true,
+            email: true,
+          },
+        },
       },
     });
 
@@ -295,12 +442,21 @@ exports.approveNomination = async (req, res) => {
       return res.status(400).json({ error: 'Nomination is already approved' });
     }
 
+    // A ticket is approved as one unit, so both members must be on it
+    if (candidate.position.ticket && (!candidate.runningMate || candidate.runningMateStatus !== 'ACCEPTED')) {
+      return res.status(400).json({
+        error: 'The running mate has not accepted this ticket',
+        runningMateStatus: candidate.runningMate ? candidate.runningMateStatus : null,
+      });
+    }
+
     // Update status
     const updated = await prisma.candidate.update({
       where: { id },
       data: {
         status: 'APPROVED',
         reason: null, // Clear any previous rejection reason
+        ...(attributes !== undefined && { attributes: candidateAttributes ?? Prisma.DbNull }),
       },
     });
 
@@ -315,6 +471,8 @@ exports.approveNomination = async (req, res) => {
         candidateName: candidate.name,
         positionName: candidate.position.name,
         candidateEmail: candidate.user.email,
+        ...(candidate.runningMate && { runningMateName: candidate.runningMate.name, runningMateEmail: candidate.runningMate.email }),
+        ...(attributes !== undefined && { attributes: candidateAttributes }),
       },
     });
 
@@ -354,6 +512,12 @@ exports.rejectNomination = async (req, res) => {
             email: true,
           },
         },
+        runningMate: {
+          select: {
+            name: true,
+            email: true,
+          },
+        },
       },
     });
 
@@ -385,6 +549,7 @@ exports.rejectNomination = async (req, res) => {
         candidateName: candidate.name,
         positionName: candidate.position.name,
         candidateEmail: candidate.user.email,
+        ...(candidate.runningMate && { runningMateName: candidate.runningMate.name, runningMateEmail: candidate.runningMate.email }),
         reason: reason.trim(),
       },
     });
@@ -399,6 +564,219 @@ exports.rejectNomination = async (req, res) => {
   }
 };
 
+// Get tickets the current user is named on as running mate
+exports.getRunningMateInvitations = async (req, res) => {
+  try {
+    const invitations = await prisma.candidate.findMany({
+      where: { runningMateId: req.user.id },
+      select: {
+        id: true,
+        name: true,
+        program: true,
+        photoUrl: true,
+        manifestoUrl: true,
+        status: true,
+        runningMateStatus: true,
+        runningMateRespondedAt: true,
+        createdAt: true,
+        position: {
+          select: {
+            id: true,
+            name: true,
+            runningMateTitle: true,
+            election: {
+              select: {
+                id: true,
+                name: true,
+                state: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    res.json(invitations);
+  } catch (error) {
+    console.error('Get running mate invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch running mate invitations' });
+  }
+};
+
+/**
+ * Accept or decline being named as running mate on a ticket (the running mate only)
+ * Accepting requires the running mate's photo, shown beside the nominee's on the ballot.
+ * Declining takes the running mate off the ticket: it cannot be approved until the nominee names
+ * a new running mate (replaceRunningMate) who accepts.
+ */
+exports.respondAsRunningMate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { response } = req.body;
+    const userId = req.user.id;
+
+    if (!['ACCEPT', 'DECLINE'].includes(response)) {
+      return res.status(400).json({ error: 'Response must be ACCEPT or DECLINE' });
+    }
+
+    const candidate = await prisma.candidate.findUnique({
+      where: { id },
+      include: {
+        position: {
+          select: {
+            name: true,
+            electionId: true,
+            nominationsFrozenAt: true,
+          },
+        },
+      },
+    });
+
+    if (!candidate || candidate.runningMateId !== userId) {
+      return res.status(404).json({ error: 'Running mate invitation not found' });
+    }
+
+    if (candidate.status !== 'SUBMITTED') {
+      return res.status(400).json({ error: `This ticket has already been ${candidate.status.toLowerCase()}` });
+    }
+
+    if (candidate.position.nominationsFrozenAt) {
+      return res.status(400).json({ error: 'Nominations for this position have closed' });
+    }
+
+    if (candidate.runningMateStatus !== 'PENDING') {
+      return res.status(400).json({ error: `You have already ${candidate.runningMateStatus.toLowerCase()} this ticket` });
+    }
+
+    const accepted = response === 'ACCEPT';
+    if (accepted && !req.files?.photo?.[0]) {
+      return res.status(400).json({ error: 'Photo is required to accept' });
+    }
+
+    // Declining takes the running mate off the ticket, so they can join another and the nominee can name someone else
+    const updated = await prisma.candidate.update({
+      where: { id },
+      data: {
+        runningMateStatus: accepted ? 'ACCEPTED' : 'DECLINED',
+        runningMateRespondedAt: new Date(),
+        ...(accepted ? { runningMatePhotoUrl: `/uploads/${req.files.photo[0].filename}` } : { runningMateId: null }),
+      },
+    });
+
+    await logAudit({
+      actorType: 'candidate',
+      actorId: userId,
+      action: accepted ? 'ACCEPT_RUNNING_MATE' : 'DECLINE_RUNNING_MATE',
+      entity: 'candidate',
+      entityId: id,
+      payload: {
+        electionId: candidate.position.electionId,
+        positionId: candidate.positionId,
+        positionName: candidate.position.name,
+        candidateName: candidate.name,
+      },
+    });
+
+    res.json({
+      message: accepted ? 'You have joined the ticket' : 'You have declined the ticket',
+      candidate: updated,
+    });
+  } catch (error) {
+    console.error('Respond as running mate error:', error);
+    res.status(500).json({ error: 'Failed to respond to running mate invitation' });
+  }
+};
+
+/**
+ * Name a new running mate on your ticket (Candidate)
+ * Allowed while the ticket awaits review and the current running mate has not accepted;
+ * the new running mate is invited and must accept from their own account.
+ */
+exports.replaceRunningMate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { runningMateEmail } = req.body;
+    const userId = req.user.id;
+
+    if (!runningMateEmail || runningMateEmail.trim().length === 0) {
+      return res.status(400).json({ error: 'Running mate email is required' });
+    }
+
+    const candidate = await prisma.candidate.findUnique({
+      where: { id },
+      include: {
+        position: {
+          select: {
+            name: true,
+            electionId: true,
+            ticket: true,
+            nominationsFrozenAt: true,
+          },
+        },
+        runningMate: { select: { name: true, email: true } },
+      },
+    });
+
+    if (!candidate || candidate.userId !== userId || !candidate.position.ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (candidate.status !== 'SUBMITTED') {
+      return res.status(400).json({ error: `This ticket has already been ${candidate.status.toLowerCase()}` });
+    }
+
+    if (candidate.position.nominationsFrozenAt) {
+      return res.status(400).json({ error: 'Nominations for this position have closed' });
+    }
+
+    if (candidate.runningMateStatus === 'ACCEPTED') {
+      return res.status(400).json({ error: 'Your running mate has already accepted; the ticket can no longer change' });
+    }
+
+    const found = await findRunningMate(candidate.positionId, userId, runningMateEmail, id);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+    const { runningMate } = found;
+
+    const updated = await prisma.candidate.update({
+      where: { id },
+      data: {
+        runningMateId: runningMate.id,
+        runningMateStatus: 'PENDING',
+        runningMateRespondedAt: null,
+        runningMatePhotoUrl: null,
+      },
+    });
+
+    await logAudit({
+      actorType: 'candidate',
+      actorId: userId,
+      action: 'REPLACE_RUNNING_MATE',
+      entity: 'candidate',
+      entityId: id,
+      payload: {
+        electionId: candidate.position.electionId,
+        positionId: candidate.positionId,
+        positionName: candidate.position.name,
+        previous: candidate.runningMate && { name: candidate.runningMate.name, email: candidate.runningMate.email },
+        runningMate: { name: runningMate.name, email: runningMate.email },
+      },
+    });
+
+    res.json({
+      message: `${runningMate.name} has been invited as running mate; the ticket can be approved once they accept`,
+      candidate: updated,
+    });
+  } catch (error) {
+    console.error('Replace running mate error:', error);
+    res.status(500).json({ error: 'Failed to replace running mate' });
+  }
+};
+
 // Delete candidate (Admin only)
 exports.deleteCandidate = async (req, res) => {
   try {
@@ -487,9 +865,14 @@ exports.deleteCandidate = async (req, res) => {
 exports.deleteAllCandidates = async (req, res) => {
   try {
     const adminId = req.user.id;
+    const { electionId } = req.query;
+
+    // Optionally limit the bulk deletion to a single election
+    const scope = electionId ? { position: { electionId } } : {};
 
     // Get all candidates with their file paths
     const candidates = await prisma.candidate.findMany({
+      where: scope,
       select: {
         id: true,
         manifestoUrl: true,
@@ -521,6 +904,7 @@ exports.deleteAllCandidates = async (req, res) => {
     // Get candidates with votes to exclude them from deletion
     const candidatesWithVotes = await prisma.candidate.findMany({
       where: {
+        ...scope,
         votes: {
           some: {},
         },
@@ -535,6 +919,7 @@ exports.deleteAllCandidates = async (req, res) => {
     // Delete only candidates without votes
     const result = await prisma.candidate.deleteMany({
       where: {
+        ...scope,
         id: {
           notIn: candidatesWithVotesIds.length > 0 ? candidatesWithVotesIds : [],
         },
@@ -549,6 +934,7 @@ exports.deleteAllCandidates = async (req, res) => {
         action: 'DELETE_ALL_CANDIDATES',
         entity: 'candidate',
         payload: {
+          electionId: electionId || null,
           candidatesDeleted: result.count,
           candidatesWithVotesSkipped: candidatesWithVotes.length,
           reason: 'Admin requested bulk deletion of all candidates. Candidates with votes were skipped.',
@@ -0,0 +1,940 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const {
+  RETENTION_OPTIONS,
+  getDefaultRetention,
+  buildElectionSnapshot,
+  hashSnapshot,
+} = require('../utils/archive');
+const { computeResults } = require('../utils/results');
+const { getDefaultTimezone, isValidTimezone, parseInTimezone } = require('../utils/timezone');
+const { buildTemplatePositions, planPositions } = require('../utils/electionTemplate');
+const { commitCastVotes } = require('../utils/castVoteRecord');
+const { findSealedPositions, sealedVotesResponse } = require('../utils/trustees');
+const { requiresSecondAdmin, getResultsEmbargo, logResultsAccess } = require('../utils/resultsEmbargo');
+
+// Election phases in the order an election moves through them.
+// An election moves forward one phase at a time; ARCHIVED is reached only through archiveElection.
+const ELECTION_STATES = ['DRAFT', 'NOMINATIONS', 'VOTING', 'CLOSED', 'CERTIFIED'];
+
+// Get elections that candidates or voters can currently take part in (public)
+exports.getOpenElections = async (req, res) => {
+  try {
+    const elections = await prisma.election.findMany({
+      where: {
+        state: {
+          in: ['NOMINATIONS', 'VOTING'],
+        },
+      },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        state: true,
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    res.json(elections);
+  } catch (error) {
+    console.error('Get open elections error:', error);
+    res.status(500).json({ error: 'Failed to fetch open elections' });
+  }
+};
+
+// Get all elections
+exports.getAllElections = async (req, res) => {
+  try {
+    const { state } = req.query;
+
+    const where = {};
+    if (state) {
+      where.state = state;
+    }
+
+    const elections = await prisma.election.findMany({
+      where,
+      orderBy: {
+        createdAt: 'desc',
+      },
+      include: {
+        _count: {
+          select: {
+            positions: true,
+            voters: true,
+            ballots: true,
+          },
+        },
+      },
+    });
+
+    res.json(elections);
+  } catch (error) {
+    console.error('Get elections error:', error);
+    res.status(500).json({ error: 'Failed to fetch elections' });
+  }
+};
+
+// Get election by ID
+exports.getElectionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+      include: {
+        positions: {
+          orderBy: {
+            name: 'asc',
+          },
+          // No vote counts: they would show results before they are released
+          include: {
+            _count: {
+              select: {
+                candidates: true,
+              },
+            },
+          },
+        },
+        _count: {
+          select: {
+            voters: true,
+            ballots: true,
+          },
+        },
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    res.json(election);
+  } catch (error) {
+    console.error('Get election error:', error);
+    res.status(500).json({ error: 'Failed to fetch election' });
+  }
+};
+
+// Create election (Admin only)
+exports.createElection = async (req, res) => {
+  try {
+    const { name, description, timezone } = req.body;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Election name is required' });
+    }
+
+    // Position windows are entered and displayed in this timezone
+    const electionTimezone = timezone || getDefaultTimezone();
+    if (!isValidTimezone(electionTimezone)) {
+      return res.status(400).json({ error: 'Timezone must be an IANA timezone such as Africa/Kampala' });
+    }
+
+    const election = await prisma.election.create({
+      data: {
+        name: name.trim(),
+        description: description?.trim() || null,
+        timezone: electionTimezone,
+        createdBy: req.user.id,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'CREATE_ELECTION',
+      entity: 'election',
+      entityId: election.id,
+      payload: { name: election.name, timezone: electionTimezone },
+    });
+
+    res.status(201).json({
+      message: 'Election created successfully',
+      election,
+    });
+  } catch (error) {
+    console.error('Create election error:', error);
+    res.status(500).json({ error: 'Failed to create election' });
+  }
+};
+
+// Update election details (Admin only)
+exports.updateElection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, timezone } = req.body;
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Timezone must be an IANA timezone such as Africa/Kampala' });
+    }
+
+    const existingElection = await prisma.election.findUnique({
+      where: { id },
+    });
+
+    if (!existingElection) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (['CERTIFIED', 'ARCHIVED'].includes(existingElection.state)) {
+      return res.status(400).json({ error: 'Certified or archived elections cannot be modified' });
+    }
+
+    // Windows already entered are stored as instants, so changing the timezone would move what officers typed
+    if (timezone && timezone !== existingElection.timezone) {
+      const positions = await prisma.position.count({ where: { electionId: id } });
+      if (positions > 0) {
+        return res.status(400).json({ error: 'Cannot change the timezone once positions have been added' });
+      }
+    }
+
+    const election = await prisma.election.update({
+      where: { id },
+      data: {
+        ...(name && { name: name.trim() }),
+        ...(description !== undefined && { description: description?.trim() || null }),
+        ...(timezone && { timezone }),
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'UPDATE_ELECTION',
+      entity: 'election',
+      entityId: election.id,
+      payload: { name, description, timezone },
+    });
+
+    res.json({
+      message: 'Election updated successfully',
+      election,
+    });
+  } catch (error) {
+    console.error('Update election error:', error);
+    res.status(500).json({ error: 'Failed to update election' });
+  }
+};
+
+// Move an election to its next phase (Admin only)
+exports.updateElectionState = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { state } = req.body;
+
+    if (!ELECTION_STATES.includes(state)) {
+      return res.status(400).json({
+        error: 'Invalid election state',
+        hint: `State must be one of: ${ELECTION_STATES.join(', ')}`,
+      });
+    }
+
+    const existingElection = await prisma.election.findUnique({
+      where: { id },
+    });
+
+    if (!existingElection) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (existingElection.state === 'ARCHIVED') {
+      return res.status(400).json({ error: 'Archived elections cannot change state' });
+    }
+
+    const currentIndex = ELECTION_STATES.indexOf(existingElection.state);
+    const nextIndex = ELECTION_STATES.indexOf(state);
+
+    // No phase can be skipped, e.g. an election that never opened for voting cannot be closed or certified
+    if (nextIndex !== currentIndex + 1) {
+      return res.status(400).json({
+        error: `Cannot move election from ${existingElection.state} to ${state}`,
+        hint: 'Elections move forward one phase at a time: ' + ELECTION_STATES.join(' → '),
+      });
+    }
+
+    // Elections with trustees encrypt votes as they are cast, so voting needs every trustee to have collected their key share
+    if (existingElection.encryptionPublicKey && state === 'VOTING') {
+      const uncollected = await prisma.electionTrustee.findMany({
+        where: { electionId: id, collectedAt: null },
+        select: { user: { select: { name: true } } },
+      });
+
+      if (uncollected.length > 0) {
+        return res.status(400).json({
+          error: 'Every trustee must collect their key share before voting opens',
+          trustees: uncollected.map((t) => t.user.name),
+        });
+      }
+    }
+
+    // Results cannot be certified while votes are still encrypted, a tie still decides a seat, or a required runoff has not been created
+    if (state === 'CERTIFIED') {
+      const sealed = await findSealedPositions(id);
+      if (sealed.length > 0) {
+        return res.status(409).json(sealedVotesResponse(sealed));
+      }
+
+      const { positions } = await computeResults(id);
+      const tied = positions.filter((p) => p.ties.some((t) => !t.resolved && !t.runoffPositionId));
+      if (tied.length > 0) {
+        return res.status(400).json({
+          error: 'Some positions have unresolved ties',
+          hint: 'Settle each tie with POST /api/positions/:id/tie-break before certifying',
+          positions: tied.map((p) => ({ positionId: p.positionId, name: p.positionName, ties: p.ties.filter((t) => !t.resolved) })),
+        });
+      }
+
+      const awaitingRunoff = positions.filter((p) => p.runoffRequired && !p.majority.runoffPositionId);
+      if (awaitingRunoff.length > 0) {
+        return res.status(400).json({
+          error: 'Some positions need a runoff because no candidate reached an absolute majority',
+          hint: 'Create each runoff with POST /api/positions/:id/runoff before certifying',
+          positions: awaitingRunoff.map((p) => ({ positionId: p.positionId, name: p.positionName, majority: p.majority })),
+        });
+      }
+    }
+
+    const election = await prisma.election.update({
+      where: { id },
+      data: { state },
+    });
+
+    // Record how each position lists its candidates as voting opens
+    const ballotOrders = state === 'VOTING'
+      ? await prisma.position.findMany({
+          where: { electionId: id },
+          select: { id: true, name: true, ballotOrder: true },
+        })
+      : null;
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'UPDATE_ELECTION_STATE',
+      entity: 'election',
+      entityId: election.id,
+      payload: {
+        name: election.name,
+        from: existingElection.state,
+        to: state,
+        ...(ballotOrders && { ballotOrders }),
+      },
+    });
+
+    // Once voting is over, commit the cast ballots to a Merkle root (published on the bulletin board).
+    // Encrypted votes are committed when the trustees decrypt the last of them.
+    let commitment = null;
+    if (
+      nextIndex >= ELECTION_STATES.indexOf('CLOSED') &&
+      !existingElection.merkleRoot &&
+      (await findSealedPositions(id)).length === 0
+    ) {
+      commitment = await commitCastVotes(id);
+
+      await logAudit({
+        actorType: 'system',
+        action: 'COMMIT_CAST_VOTES',
+        entity: 'election',
+        entityId: id,
+        payload: {
+          electionId: id,
+          merkleRoot: commitment.root,
+          leafCount: commitment.leafCount,
+        },
+      });
+    }
+
+    res.json({
+      message: `Election moved to ${state}`,
+      election: commitment
+        ? { ...election, merkleRoot: commitment.root, merkleLeafCount: commitment.leafCount, merkleCommittedAt: commitment.committedAt }
+        : election,
+    });
+  } catch (error) {
+    console.error('Update election state error:', error);
+    res.status(500).json({ error: 'Failed to update election state' });
+  }
+};
+
+// Whether an election's results are embargoed, and who has released them (Admin/Officer)
+exports.getResultsStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        name: true,
+        state: true,
+        resultsReleasedAt: true,
+        resultsReleasedBy: true,
+        resultsReleaseRequestedBy: true,
+        resultsReleaseRequestedAt: true,
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const { locked, openPositions } = await getResultsEmbargo(id);
+
+    res.json({
+      ...election,
+      locked,
+      openPositions,
+      requiresSecondAdmin: requiresSecondAdmin(),
+    });
+  } catch (error) {
+    console.error('Get results status error:', error);
+    res.status(500).json({ error: 'Failed to fetch results status' });
+  }
+};
+
+/**
+ * Release an election's results (Admin only)
+ * Only once every position's voting has closed. With RESULTS_RELEASE_TWO_ADMINS=true the
+ * first call requests the release and a different admin's call confirms it.
+ */
+exports.releaseResults = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!['VOTING', 'CLOSED', 'CERTIFIED'].includes(election.state)) {
+      return res.status(400).json({
+        error: 'Results can only be released once voting has taken place',
+        electionState: election.state,
+      });
+    }
+
+    if (election.resultsReleasedAt) {
+      return res.status(400).json({ error: 'Results have already been released', releasedAt: election.resultsReleasedAt });
+    }
+
+    const { openPositions } = await getResultsEmbargo(id);
+    if (openPositions.length > 0) {
+      return res.status(400).json({
+        error: 'Results cannot be released while voting is open for some positions',
+        positions: openPositions,
+      });
+    }
+
+    // First of two admins: record the request and wait for a second admin
+    if (requiresSecondAdmin() && !election.resultsReleaseRequestedBy) {
+      const requestedAt = new Date();
+      await prisma.election.update({
+        where: { id },
+        data: { resultsReleaseRequestedBy: req.user.id, resultsReleaseRequestedAt: requestedAt },
+      });
+
+      await logAudit({
+        actorType: 'admin',
+        actorId: req.user.id,
+        action: 'REQUEST_RESULTS_RELEASE',
+        entity: 'election',
+        entityId: id,
+        payload: { name: election.name },
+      });
+
+      return res.status(202).json({
+        message: 'Results release requested',
+        hint: 'A different admin must confirm with POST /api/elections/:id/results/release',
+        requestedAt,
+      });
+    }
+
+    if (requiresSecondAdmin() && election.resultsReleaseRequestedBy === req.user.id) {
+      return res.status(400).json({ error: 'The release must be confirmed by a different admin' });
+    }
+
+    // Only one confirmation can release the results
+    const releasedAt = new Date();
+    const released = await prisma.election.updateMany({
+      where: { id, resultsReleasedAt: null },
+      data: { resultsReleasedAt: releasedAt, resultsReleasedBy: req.user.id },
+    });
+
+    if (released.count !== 1) {
+      return res.status(400).json({ error: 'Results have already been released' });
+    }
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'RELEASE_RESULTS',
+      entity: 'election',
+      entityId: id,
+      payload: {
+        name: election.name,
+        state: election.state,
+        ...(requiresSecondAdmin() && { requestedBy: election.resultsReleaseRequestedBy, confirmedBy: req.user.id }),
+      },
+    });
+
+    res.json({
+      message: 'Results released',
+      releasedAt,
+    });
+  } catch (error) {
+    console.error('Release results error:', error);
+    res.status(500).json({ error: 'Failed to release results' });
+  }
+};
+
+// Get the window boundaries the phase scheduler has acted on (Admin/Officer)
+exports.getPhaseTransitions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const transitions = await prisma.phaseTransition.findMany({
+      where: { position: { electionId: id } },
+      include: {
+        position: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: { firedAt: 'desc' },
+    });
+
+    // Provisional results recorded when voting closed are results too: embargoed and access-logged
+    const withResults = transitions.filter((t) => t.summary?.winners);
+    if (withResults.length === 0) {
+      return res.json(transitions);
+    }
+
+    const embargo = await getResultsEmbargo(id);
+    await logResultsAccess(req.user, id, 'phase-transitions', !embargo.locked);
+
+    if (!embargo.locked) {
+      return res.json(transitions);
+    }
+
+    res.json(transitions.map((t) => (
+      t.summary?.winners
+        ? { ...t, summary: { ballotsCast: t.summary.ballotsCast, embargoed: true } }
+        : t
+    )));
+  } catch (error) {
+    console.error('Get phase transitions error:', error);
+    res.status(500).json({ error: 'Failed to fetch phase transitions' });
+  }
+};
+
+// Delete election (Admin only)
+exports.deleteElection = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: {
+            positions: true,
+            voters: true,
+            ballots: true,
+          },
+        },
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    // Only empty draft elections can be deleted; anything else is history
+    if (election.state !== 'DRAFT') {
+      return res.status(400).json({ error: 'Only draft elections can be deleted' });
+    }
+
+    if (election._count.positions > 0 || election._count.voters > 0 || election._count.ballots > 0) {
+      return res.status(400).json({ error: 'Cannot delete election with existing positions or voters' });
+    }
+
+    await prisma.election.delete({
+      where: { id },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'DELETE_ELECTION',
+      entity: 'election',
+      entityId: id,
+      payload: { name: election.name },
+    });
+
+    res.json({ message: 'Election deleted successfully' });
+  } catch (error) {
+    console.error('Delete election error:', error);
+    res.status(500).json({ error: 'Failed to delete election' });
+  }
+};
+
+/**
+ * Archive a finished election (Admin only)
+ *
+ * Freezes positions, candidates, tallies, turnout and audit entries into an
+ * immutable ElectionArchive snapshot, then clears the election's live voting
+ * data (votes, ballots, verifications, voter roll, candidates and positions).
+ * The election record itself is kept in the ARCHIVED state.
+ */
+exports.archiveElection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const retention = (req.body.retention || getDefaultRetention()).toUpperCase();
+
+    if (!RETENTION_OPTIONS.includes(retention)) {
+      return res.status(400).json({
+        error: 'Invalid retention setting',
+        hint: `Retention must be one of: ${RETENTION_OPTIONS.join(', ')}`,
+      });
+    }
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!['CLOSED', 'CERTIFIED'].includes(election.state)) {
+      return res.status(400).json({
+        error: 'Only closed or certified elections can be archived',
+        electionState: election.state,
+      });
+    }
+
+    // The archive is a copy of the results, so it would get around the embargo
+    if (!election.resultsReleasedAt) {
+      return res.status(400).json({
+        error: 'Results must be released before the election is archived',
+        hint: 'POST /api/elections/:id/results/release',
+      });
+    }
+
+    // Archiving deletes the ballots, so votes that were never decrypted would be lost
+    const sealed = await findSealedPositions(id);
+    if (sealed.length > 0) {
+      return res.status(409).json(sealedVotesResponse(sealed));
+    }
+
+    const snapshot = await buildElectionSnapshot(election, retention);
+    const snapshotHash = hashSnapshot(snapshot);
+
+    // Store the snapshot and clear live data together so nothing is lost if either step fails
+    // Order: Archive -> Votes -> Ballots -> Ballot issuances -> Verifications -> Voters -> Candidates -> Positions
+    const { archive, deleted } = await prisma.$transaction(async (tx) => {
+      const archive = await tx.electionArchive.create({
+        data: {
+          electionId: election.id,
+          electionName: election.name,
+          retention,
+          snapshot,
+          snapshotHash,
+          archivedBy: req.user.id,
+        },
+      });
+
+      const votes = await tx.vote.deleteMany({ where: { position: { electionId: id } } });
+      const ballots = await tx.ballot.deleteMany({ where: { electionId: id } });
+      const ballotIssuances = await tx.ballotIssuance.deleteMany({ where: { electionId: id } });
+      const verifications = await tx.verification.deleteMany({ where: { voter: { electionId: id } } });
+      const voters = await tx.eligibleVoter.deleteMany({ where: { electionId: id } });
+      const candidates = await tx.candidate.deleteMany({ where: { position: { electionId: id } } });
+      const positions = await tx.position.deleteMany({ where: { electionId: id } });
+
+      await tx.election.update({
+        where: { id },
+        data: { state: 'ARCHIVED' },
+      });
+
+      return {
+        archive,
+        deleted: {
+          votes: votes.count,
+          ballots: ballots.count,
+          ballotIssuances: ballotIssuances.count,
+          verifications: verifications.count,
+          voters: voters.count,
+          candidates: candidates.count,
+          positions: positions.count,
+        },
+      };
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'ARCHIVE_ELECTION',
+      entity: 'election',
+      entityId: election.id,
+      payload: {
+        name: election.name,
+        archiveId: archive.id,
+        retention,
+        snapshotHash,
+        liveDataCleared: deleted,
+      },
+    });
+
+    res.status(201).json({
+      message: 'Election archived successfully',
+      archive: {
+        id: archive.id,
+        electionId: archive.electionId,
+        electionName: archive.electionName,
+        retention: archive.retention,
+        snapshotHash: archive.snapshotHash,
+        archivedAt: archive.archivedAt,
+      },
+      deletedCount: deleted,
+    });
+  } catch (error) {
+    console.error('Archive election error:', error);
+    res.status(500).json({ error: 'Failed to archive election' });
+  }
+};
+
+// Get saved election templates (Admin only)
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await prisma.electionTemplate.findMany({
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json(templates);
+  } catch (error) {
+    console.error('Get election templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch election templates' });
+  }
+};
+
+// Archiving deletes an election's positions; its archive snapshot keeps a copy of them
+const setupPositions = (election) => (election.archive ? election.archive.snapshot.positions : election.positions);
+
+// Save an election's positions as a template for future cycles (Admin only)
+exports.saveTemplate = async (req, res) => {
+  try {
+    const { electionId, name, description } = req.body;
+
+    if (!electionId) {
+      return res.status(400).json({ error: 'Election ID is required' });
+    }
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+      include: { positions: true, archive: { select: { snapshot: true } } },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const positions = buildTemplatePositions(setupPositions(election));
+    if (positions.length === 0) {
+      return res.status(400).json({ error: 'The election has no positions to save' });
+    }
+
+    const template = await prisma.electionTemplate.create({
+      data: {
+        name: name?.trim() || election.name,
+        description: description?.trim() || null,
+        timezone: election.timezone,
+        positions,
+        sourceElectionId: election.id,
+        createdBy: req.user.id,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'SAVE_ELECTION_TEMPLATE',
+      entity: 'election_template',
+      entityId: template.id,
+      payload: { name: template.name, electionId: election.id, positions: positions.length },
+    });
+
+    res.status(201).json({
+      message: 'Election template saved successfully',
+      template,
+    });
+  } catch (error) {
+    console.error('Save election template error:', error);
+    res.status(500).json({ error: 'Failed to save election template' });
+  }
+};
+
+// Delete a saved election template (Admin only)
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const template = await prisma.electionTemplate.findUnique({
+      where: { id: templateId },
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Election template not found' });
+    }
+
+    await prisma.electionTemplate.delete({
+      where: { id: templateId },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'DELETE_ELECTION_TEMPLATE',
+      entity: 'election_template',
+      entityId: templateId,
+      payload: { name: template.name },
+    });
+
+    res.json({ message: 'Election template deleted successfully' });
+  } catch (error) {
+    console.error('Delete election template error:', error);
+    res.status(500).json({ error: 'Failed to delete election template' });
+  }
+};
+
+/**
+ * Clone a past election or a saved template into a new DRAFT election (Admin only)
+ * Send `sourceElectionId` or `templateId`, the new `name`, and `anchorDate`: where the
+ * earliest window boundary of the new cycle falls (in the new election's timezone).
+ * An archived source election is cloned from the positions in its archive snapshot.
+ * Without `confirm: true` nothing is created and the planned positions are returned as a preview.
+ */
+exports.cloneElection = async (req, res) => {
+  try {
+    const { sourceElectionId, templateId, name, description, timezone, anchorDate, confirm } = req.body;
+
+    if (!sourceElectionId === !templateId) {
+      return res.status(400).json({ error: 'Send either a source election ID or a template ID' });
+    }
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Election name is required' });
+    }
+
+    let source;
+    if (templateId) {
+      const template = await prisma.electionTemplate.findUnique({
+        where: { id: templateId },
+      });
+
+      if (!template) {
+        return res.status(404).json({ error: 'Election template not found' });
+      }
+
+      source = { type: 'TEMPLATE', id: template.id, name: template.name, timezone: template.timezone, positions: template.positions };
+    } else {
+      const election = await prisma.election.findUnique({
+        where: { id: sourceElectionId },
+        include: { positions: true, archive: { select: { snapshot: true } } },
+      });
+
+      if (!election) {
+        return res.status(404).json({ error: 'Source election not found' });
+      }
+
+      source = { type: 'ELECTION', id: election.id, name: election.name, timezone: election.timezone, positions: buildTemplatePositions(setupPositions(election)) };
+    }
+
+    if (source.positions.length === 0) {
+      return res.status(400).json({ error: 'There are no positions to clone' });
+    }
+
+    const electionTimezone = timezone || source.timezone;
+    if (!isValidTimezone(electionTimezone)) {
+      return res.status(400).json({ error: 'Timezone must be an IANA timezone such as Africa/Kampala' });
+    }
+
+    const anchor = parseInTimezone(anchorDate, electionTimezone);
+    if (isNaN(anchor.getTime())) {
+      return res.status(400).json({ error: 'A valid anchor date is required' });
+    }
+
+    const positions = planPositions(source.positions, anchor, electionTimezone);
+
+    if (confirm !== true) {
+      return res.json({
+        preview: true,
+        message: `Preview only: send confirm: true to create the election with ${positions.length} position(s)`,
+        source: { type: source.type, id: source.id, name: source.name },
+        election: { name: name.trim(), description: description?.trim() || null, timezone: electionTimezone },
+        positions,
+      });
+    }
+
+    const election = await prisma.$transaction(async (tx) => {
+      const election = await tx.election.create({
+        data: {
+          name: name.trim(),
+          description: description?.trim() || null,
+          timezone: electionTimezone,
+          createdBy: req.user.id,
+        },
+      });
+
+      for (const { timezone: _timezone, localTimes: _localTimes, ...position } of positions) {
+        // Empty JSON columns are left to their defaults rather than written as null
+        const data = Object.fromEntries(Object.entries(position).filter(([, value]) => value !== null));
+        await tx.position.create({
+          data: { ...data, electionId: election.id },
+        });
+      }
+
+      return election;
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'CLONE_ELECTION',
+      entity: 'election',
+      entityId: election.id,
+      payload: {
+        name: election.name,
+        source: { type: source.type, id: source.id, name: source.name },
+        anchorDate: anchor,
+        timezone: electionTimezone,
+        positions: positions.map((p) => p.name),
+      },
+    });
+
+    res.status(201).json({
+      message: `Election cloned with ${positions.length} position(s)`,
+      election,
+      positions,
+    });
+  } catch (error) {
+    console.error('Clone election error:', error);
+    res.status(500).json({ error: 'Failed to clone election' });
+  }
+};
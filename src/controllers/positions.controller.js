@@ -1,47 +1,111 @@
 const { prisma } = require('../config/prisma');
+const { Prisma } = require('@prisma/client');
 const { logAudit } = require('../utils/auditLogger');
+const { computeResults } = require('../utils/results');
+const { findSealedPositions, sealedVotesResponse } = require('../utils/trustees');
+const { TIE_BREAK_POLICIES, sameCandidates, seededDrawOrder, generateSeed } = require('../utils/tieBreak');
+const { createRunoffPosition } = require('../utils/runoff');
+const { newBallotRound } = require('../utils/ballotRounds');
+const { normalizeElectorate } = require('../utils/eligibility');
+const { normalizeQuotas } = require('../utils/seatAllocation');
+const { parseInTimezone, withLocalTimes } = require('../utils/timezone');
+const { BALLOT_ORDERS } = require('../utils/ballotOrder');
 
-// Helper function to parse dates consistently
-// Dates from datetime-local inputs are in format "YYYY-MM-DDTHH:mm" (no timezone)
-// IMPORTANT: datetime-local inputs are interpreted in the SERVER's local timezone
-// JavaScript's Date constructor treats strings without timezone as local time
-// This ensures that "9:29 PM" entered by user is stored as "9:29 PM server local time"
-const parseDate = (dateString) => {
-  if (!dateString) return new Date(dateString);
-  
-  // If date string has timezone info (Z or +/-), use it directly
-  if (dateString.includes('Z') || dateString.match(/[+-]\d{2}:\d{2}$/)) {
-    return new Date(dateString);
+const VOTING_METHODS = ['PLURALITY', 'IRV', 'STV', 'APPROVAL'];
+const MAJORITY_RULES = ['RELATIVE', 'ABSOLUTE'];
+
+// Validate seats, minimum selections, voting method, majority rule and quotas together
+// Returns an error message, or null when the combination is valid
+const validateBallotRules = ({ seats, minSelections, votingMethod, majorityRule = 'RELATIVE', quotas = null }) => {
+  if (isNaN(seats) || seats < 1) {
+    return 'Seats must be a positive number';
+  }
+  if (!VOTING_METHODS.includes(votingMethod)) {
+    return `Voting method must be one of: ${VOTING_METHODS.join(', ')}`;
+  }
+  if (votingMethod === 'IRV' && seats !== 1) {
+    return 'IRV can only be used for single-seat positions (use STV for multi-seat positions)';
+  }
+  if (isNaN(minSelections) || minSelections < 1) {
+    return 'Minimum selections must be at least 1';
+  }
+  // Plurality ballots pick at most `seats` candidates; ranked and approval ballots may include every candidate
+  if (votingMethod === 'PLURALITY' && minSelections > seats) {
+    return 'Minimum selections must be between 1 and the number of seats';
+  }
+  if (!MAJORITY_RULES.includes(majorityRule)) {
+    return `Majority rule must be one of: ${MAJORITY_RULES.join(', ')}`;
+  }
+  // IRV already requires a majority; an absolute majority only makes sense for one plurality seat
+  if (majorityRule === 'ABSOLUTE' && (votingMethod !== 'PLURALITY' || seats !== 1)) {
+    return 'An absolute majority can only be required for single-seat plurality positions';
+  }
+  // Reserved seats are filled from a ranking by votes, which IRV/STV counts do not produce
+  if (quotas && !['PLURALITY', 'APPROVAL'].includes(votingMethod)) {
+    return 'Quotas can only be used for plurality and approval positions';
+  }
+  if (quotas && majorityRule === 'ABSOLUTE') {
+    return 'Quotas cannot be combined with an absolute majority';
   }
-  
-  // For datetime-local format (YYYY-MM-DDTHH:mm), parse as local time
-  // JavaScript automatically interprets this in the server's local timezone
-  // Add seconds if missing
-  if (dateString.includes(':') && dateString.split(':').length === 2) {
-    return new Date(`${dateString}:00`);
+  return null;
+};
+
+// Answers a referendum may offer; YES and NO are always offered
+const ANSWER_OPTIONS = ['YES', 'NO', 'ABSTAIN'];
+const PASS_THRESHOLDS = ['SIMPLE', 'TWO_THIRDS'];
+
+// Validate a referendum question, its answer options and pass threshold
+// Returns an error message, or null when the question is valid
+const validateReferendum = ({ question, answerOptions, passThreshold }) => {
+  if (!question || question.trim().length === 0) {
+    return 'Referendum question is required';
+  }
+  if (!Array.isArray(answerOptions) || answerOptions.some((option) => !ANSWER_OPTIONS.includes(option))) {
+    return `Answer options must be a list of: ${ANSWER_OPTIONS.join(', ')}`;
+  }
+  if (!answerOptions.includes('YES') || !answerOptions.includes('NO')) {
+    return 'Answer options must include YES and NO';
   }
-  
-  return new Date(dateString);
+  if (!PASS_THRESHOLDS.includes(passThreshold)) {
+    return `Pass threshold must be one of: ${PASS_THRESHOLDS.join(', ')}`;
+  }
+  return null;
 };
 
 // Get all positions
 exports.getAllPositions = async (req, res) => {
   try {
+    const { electionId } = req.query;
+
+    const where = {};
+    if (electionId) {
+      where.electionId = electionId;
+    }
+
     const positions = await prisma.position.findMany({
+      where,
       orderBy: {
         createdAt: 'desc',
       },
       include: {
+        election: {
+          select: {
+            id: true,
+            name: true,
+            state: true,
+            timezone: true,
+          },
+        },
+        // Vote counts are left to the results reports, which apply the embargo
         _count: {
           select: {
             candidates: true,
-            votes: true,
           },
         },
       },
     });
 
-    res.json(positions);
+    res.json(positions.map((position) => withLocalTimes(position, position.election.timezone)));
   } catch (error) {
     console.error('Get positions error:', error);
     res.status(500).json({ error: 'Failed to fetch positions' });
@@ -56,6 +120,14 @@ exports.getPositionById = async (req, res) => {
     const position = await prisma.position.findUnique({
       where: { id },
       include: {
+        election: {
+          select: {
+            id: true,
+            name: true,
+            state: true,
+            timezone: true,
+          },
+        },
         candidates: {
           include: {
             user: {
@@ -67,9 +139,9 @@ exports.getPositionById = async (req, res) => {
             },
           },
         },
-        _count: {
-          select: {
-            votes: true,
+        tieBreaks: {
+          orderBy: {
+            createdAt: 'asc',
           },
         },
       },
@@ -79,7 +151,7 @@ exports.getPositionById = async (req, res) => {
       return res.status(404).json({ error: 'Position not found' });
     }
 
-    res.json(position);
+    res.json(withLocalTimes(position, position.election.timezone));
   } catch (error) {
     console.error('Get position error:', error);
     res.status(500).json({ error: 'Failed to fetch position' });
@@ -104,14 +176,85 @@ exports.createPosition = async (req, res) => {
       return res.status(403).json({ error: 'Only administrators can create positions' });
     }
 
-    const { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
+    const { electionId, name, type, question, answerOptions, passThreshold, seats, minSelections, votingMethod, allowAbstain, allowNota, rerunOnNota, tieBreakPolicy, majorityRule, electorate, quotas, ticket, runningMateTitle, ballotOrder, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
+
+    // Referendum questions have no candidates, so no seats or nomination window
+    const isReferendum = type === 'REFERENDUM';
+    if (type && !['CANDIDATE_RACE', 'REFERENDUM'].includes(type)) {
+      return res.status(400).json({ error: 'Position type must be CANDIDATE_RACE or REFERENDUM' });
+    }
 
     // Validation
-    if (!name || !seats || !nominationOpens || !nominationCloses || !votingOpens || !votingCloses) {
+    if (!electionId || !name || !votingOpens || !votingCloses) {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
-    // Validate dates
+    if (!isReferendum && (!seats || !nominationOpens || !nominationCloses)) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    const seatCount = isReferendum ? 1 : parseInt(seats);
+    const minimum = isReferendum || minSelections === undefined ? 1 : parseInt(minSelections);
+    const method = isReferendum ? 'PLURALITY' : votingMethod || 'PLURALITY';
+    const { value: seatQuotas, error: quotasError } = normalizeQuotas(quotas, seatCount);
+    if (quotasError) {
+      return res.status(400).json({ error: quotasError });
+    }
+    const ballotRulesError = validateBallotRules({ seats: seatCount, minSelections: minimum, votingMethod: method, majorityRule, quotas: seatQuotas });
+    if (ballotRulesError) {
+      return res.status(400).json({ error: ballotRulesError });
+    }
+
+    const options = answerOptions || ANSWER_OPTIONS;
+    const threshold = passThreshold || 'SIMPLE';
+    if (isReferendum) {
+      const referendumError = validateReferendum({ question, answerOptions: options, passThreshold: threshold });
+      if (referendumError) {
+        return res.status(400).json({ error: referendumError });
+      }
+      if (allowAbstain || allowNota) {
+        return res.status(400).json({ error: 'Referendums offer ABSTAIN through their answer options' });
+      }
+      if (seatQuotas) {
+        return res.status(400).json({ error: 'Referendums have no seats to reserve' });
+      }
+      if (ticket) {
+        return res.status(400).json({ error: 'Referendums are not contested by tickets' });
+      }
+    }
+
+    if (rerunOnNota && !allowNota) {
+      return res.status(400).json({ error: 'A re-run on NONE_OF_THE_ABOVE requires the NONE_OF_THE_ABOVE option' });
+    }
+
+    if (tieBreakPolicy && !TIE_BREAK_POLICIES.includes(tieBreakPolicy)) {
+      return res.status(400).json({ error: `Tie-break policy must be one of: ${TIE_BREAK_POLICIES.join(', ')}` });
+    }
+
+    if (ballotOrder && !BALLOT_ORDERS.includes(ballotOrder)) {
+      return res.status(400).json({ error: `Ballot order must be one of: ${BALLOT_ORDERS.join(', ')}` });
+    }
+
+    const { value: electorateRules, error: electorateError } = normalizeElectorate(electorate);
+    if (electorateError) {
+      return res.status(400).json({ error: electorateError });
+    }
+
+    // Positions can only be added to elections that have not finished
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (['CLOSED', 'CERTIFIED', 'ARCHIVED'].includes(election.state)) {
+      return res.status(400).json({ error: `Cannot add positions to a ${election.state.toLowerCase()} election` });
+    }
+
+    // Validate dates (datetime-local inputs are wall-clock times in the election's timezone)
+    const { timezone } = election;
     console.log('Create Position - Raw dates from frontend:', {
       nominationOpens,
       nominationCloses,
@@ -119,19 +262,24 @@ exports.createPosition = async (req, res) => {
       votingCloses,
     });
     
-    const nomOpen = parseDate(nominationOpens);
-    const nomClose = parseDate(nominationCloses);
-    const voteOpen = parseDate(votingOpens);
-    const voteClose = parseDate(votingCloses);
+    const voteOpen = parseInTimezone(votingOpens, timezone);
+    const voteClose = parseInTimezone(votingCloses, timezone);
+    // A referendum's (empty) nomination window closes as voting opens
+    const nomOpen = isReferendum ? voteOpen : parseInTimezone(nominationOpens, timezone);
+    const nomClose = isReferendum ? voteOpen : parseInTimezone(nominationCloses, timezone);
     
-    console.log('Create Position - Parsed dates (UTC):', {
+    if ([voteOpen, voteClose, nomOpen, nomClose].some((date) => isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DDTHH:mm format' });
+    }
+
+    console.log(`Create Position - Parsed dates (UTC, entered in ${timezone}):`, {
       nominationOpens: nomOpen.toISOString(),
       nominationCloses: nomClose.toISOString(),
       votingOpens: voteOpen.toISOString(),
       votingCloses: voteClose.toISOString(),
     });
 
-    if (nomClose <= nomOpen) {
+    if (!isReferendum && nomClose <= nomOpen) {
       return res.status(400).json({ error: 'Nomination close date must be after open date' });
     }
 
@@ -146,8 +294,28 @@ exports.createPosition = async (req, res) => {
     // Create position
     const position = await prisma.position.create({
       data: {
+        electionId,
         name,
-        seats: parseInt(seats),
+        type: isReferendum ? 'REFERENDUM' : 'CANDIDATE_RACE',
+        ...(isReferendum && {
+          question: question.trim(),
+          answerOptions: options,
+          passThreshold: threshold,
+        }),
+        seats: seatCount,
+        minSelections: minimum,
+        votingMethod: method,
+        allowAbstain: Boolean(allowAbstain),
+        allowNota: Boolean(allowNota),
+        rerunOnNota: Boolean(rerunOnNota),
+        ...(tieBreakPolicy && { tieBreakPolicy }),
+        ...(majorityRule && { majorityRule }),
+        ...(electorateRules && { electorate: electorateRules }),
+        ...(seatQuotas && { quotas: seatQuotas }),
+        // Joint tickets: each nomination names a running mate for the second office
+        ticket: Boolean(ticket),
+        ...(ticket && { runningMateTitle: runningMateTitle?.trim() || 'Running Mate' }),
+        ...(ballotOrder && { ballotOrder }),
         nominationOpens: nomOpen,
         nominationCloses: nomClose,
         votingOpens: voteOpen,
@@ -162,12 +330,34 @@ exports.createPosition = async (req, res) => {
       action: 'CREATE_POSITION',
       entity: 'position',
       entityId: position.id,
-      payload: { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses },
+      payload: {
+        electionId,
+        name,
+        type: position.type,
+        ...(isReferendum && { question: position.question, answerOptions: options, passThreshold: threshold }),
+        seats,
+        minSelections: minimum,
+        votingMethod: method,
+        allowAbstain,
+        allowNota,
+        rerunOnNota,
+        tieBreakPolicy,
+        majorityRule,
+        electorate: electorateRules,
+        quotas: seatQuotas,
+        ticket: Boolean(ticket),
+        runningMateTitle: position.runningMateTitle,
+        ballotOrder: position.ballotOrder,
+        nominationOpens,
+        nominationCloses,
+        votingOpens,
+        votingCloses,
+      },
     });
 
     res.status(201).json({
       message: 'Position created successfully',
-      position,
+      position: withLocalTimes(position, timezone),
     });
   } catch (error) {
     console.error('Create position error:', error);
@@ -179,32 +369,137 @@ exports.createPosition = async (req, res) => {
 exports.updatePosition = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
+    const { name, question, answerOptions, passThreshold, seats, minSelections, votingMethod, allowAbstain, allowNota, rerunOnNota, tieBreakPolicy, majorityRule, electorate, quotas, ticket, runningMateTitle, ballotOrder, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
 
     // Check if position exists
     const existingPosition = await prisma.position.findUnique({
       where: { id },
+      include: { election: { select: { timezone: true } } },
     });
 
     if (!existingPosition) {
       return res.status(404).json({ error: 'Position not found' });
     }
+    const { timezone } = existingPosition.election;
 
-    // Validate dates if provided
-    if (nominationOpens && nominationCloses) {
-      const nomOpen = parseDate(nominationOpens);
-      const nomClose = parseDate(nominationCloses);
-      if (nomClose <= nomOpen) {
-        return res.status(400).json({ error: 'Nomination close date must be after open date' });
+    // Validate seat and selection limits against the values that will be stored
+    const seatCount = seats ? parseInt(seats) : existingPosition.seats;
+    const minimum = minSelections !== undefined ? parseInt(minSelections) : existingPosition.minSelections;
+    const method = votingMethod || existingPosition.votingMethod;
+    const rule = majorityRule || existingPosition.majorityRule;
+    // Stored quotas must still fit when only the seats change
+    const { value: seatQuotas, error: quotasError } = normalizeQuotas(
+      quotas !== undefined ? quotas : existingPosition.quotas,
+      seatCount
+    );
+    if (quotasError) {
+      return res.status(400).json({ error: quotasError });
+    }
+    const ballotRulesError = validateBallotRules({ seats: seatCount, minSelections: minimum, votingMethod: method, majorityRule: rule, quotas: seatQuotas });
+    if (ballotRulesError) {
+      return res.status(400).json({ error: ballotRulesError });
+    }
+
+    const isReferendum = existingPosition.type === 'REFERENDUM';
+    if (isReferendum) {
+      if (seats || minSelections !== undefined || votingMethod || allowAbstain || allowNota || rerunOnNota || quotas || ticket || nominationOpens || nominationCloses) {
+        return res.status(400).json({ error: 'Referendums have no seats, selections, voting method, nominations or NONE_OF_THE_ABOVE options' });
+      }
+
+      const referendumError = validateReferendum({
+        question: question !== undefined ? question : existingPosition.question,
+        answerOptions: answerOptions || existingPosition.answerOptions,
+        passThreshold: passThreshold || existingPosition.passThreshold,
+      });
+      if (referendumError) {
+        return res.status(400).json({ error: referendumError });
       }
+    } else if (question !== undefined || answerOptions || passThreshold) {
+      return res.status(400).json({ error: 'Only referendum positions have a question, answer options and pass threshold' });
     }
 
-    if (votingOpens && votingCloses) {
-      const voteOpen = parseDate(votingOpens);
-      const voteClose = parseDate(votingCloses);
-      if (voteClose <= voteOpen) {
+    if (tieBreakPolicy && !TIE_BREAK_POLICIES.includes(tieBreakPolicy)) {
+      return res.status(400).json({ error: `Tie-break policy must be one of: ${TIE_BREAK_POLICIES.join(', ')}` });
+    }
+
+    if (ballotOrder && !BALLOT_ORDERS.includes(ballotOrder)) {
+      return res.status(400).json({ error: `Ballot order must be one of: ${BALLOT_ORDERS.join(', ')}` });
+    }
+
+    const { value: electorateRules, error: electorateError } = normalizeElectorate(electorate);
+    if (electorateError) {
+      return res.status(400).json({ error: electorateError });
+    }
+
+    const notaOffered = allowNota !== undefined ? Boolean(allowNota) : existingPosition.allowNota;
+    const rerunConfigured = rerunOnNota !== undefined ? Boolean(rerunOnNota) : existingPosition.rerunOnNota;
+    if (rerunConfigured && !notaOffered) {
+      return res.status(400).json({ error: 'A re-run on NONE_OF_THE_ABOVE requires the NONE_OF_THE_ABOVE option' });
+    }
+
+    // The way ballots are filled in cannot change once votes have been cast
+    const choicesChanged =
+      (allowAbstain !== undefined && Boolean(allowAbstain) !== existingPosition.allowAbstain) ||
+      notaOffered !== existingPosition.allowNota ||
+      (answerOptions && JSON.stringify(answerOptions) !== JSON.stringify(existingPosition.answerOptions));
+    const electorateChanged =
+      electorate !== undefined && JSON.stringify(electorateRules) !== JSON.stringify(existingPosition.electorate);
+    const quotasChanged =
+      quotas !== undefined && JSON.stringify(seatQuotas) !== JSON.stringify(existingPosition.quotas);
+    const ballotOrderChanged = ballotOrder && ballotOrder !== existingPosition.ballotOrder;
+    if (method !== existingPosition.votingMethod || choicesChanged || electorateChanged || quotasChanged || ballotOrderChanged) {
+      const votesCast =
+        (await prisma.vote.count({ where: { positionId: id } })) +
+        (await prisma.encryptedVote.count({ where: { positionId: id } }));
+      if (votesCast > 0) {
+        return res.status(400).json({ error: 'Cannot change the voting method, ballot choices, ballot order, electorate or quotas after votes have been cast' });
+      }
+    }
+
+    // Nominations already name (or lack) running mates, so ticket positions are fixed once nominations arrive
+    if (ticket !== undefined && Boolean(ticket) !== existingPosition.ticket) {
+      const nominations = await prisma.candidate.count({ where: { positionId: id } });
+      if (nominations > 0) {
+        return res.status(400).json({ error: 'Cannot turn tickets on or off after nominations have been submitted' });
+      }
+    }
+
+    // Validate every date provided, then the windows they form with the dates left unchanged
+    const dates = {};
+    for (const [field, value] of Object.entries({ nominationOpens, nominationCloses, votingOpens, votingCloses })) {
+      if (!value) continue;
+      dates[field] = parseInTimezone(value, timezone);
+      if (isNaN(dates[field].getTime())) {
+        return res.status(400).json({ error: 'Dates must be in YYYY-MM-DDTHH:mm format' });
+      }
+    }
+
+    // A referendum's (empty) nomination window follows its voting window
+    if (isReferendum && dates.votingOpens) {
+      dates.nominationOpens = dates.votingOpens;
+      dates.nominationCloses = dates.votingOpens;
+    }
+
+    if (Object.keys(dates).length > 0) {
+      const windows = {
+        nominationOpens: existingPosition.nominationOpens,
+        nominationCloses: existingPosition.nominationCloses,
+        votingOpens: existingPosition.votingOpens,
+        votingCloses: existingPosition.votingCloses,
+        ...dates,
+      };
+
+      if (!isReferendum && windows.nominationCloses <= windows.nominationOpens) {
+        return res.status(400).json({ error: 'Nomination close date must be after open date' });
+      }
+
+      if (windows.votingCloses <= windows.votingOpens) {
         return res.status(400).json({ error: 'Voting close date must be after open date' });
       }
+
+      if (windows.votingOpens < windows.nominationCloses) {
+        return res.status(400).json({ error: 'Voting period must start after nomination period ends' });
+      }
     }
 
     // Update position
@@ -212,11 +507,24 @@ exports.updatePosition = async (req, res) => {
       where: { id },
       data: {
         ...(name && { name }),
-        ...(seats && { seats: parseInt(seats) }),
-        ...(nominationOpens && { nominationOpens: parseDate(nominationOpens) }),
-        ...(nominationCloses && { nominationCloses: parseDate(nominationCloses) }),
-        ...(votingOpens && { votingOpens: parseDate(votingOpens) }),
-        ...(votingCloses && { votingCloses: parseDate(votingCloses) }),
+        ...(question !== undefined && { question: question.trim() }),
+        ...(answerOptions && { answerOptions }),
+        ...(passThreshold && { passThreshold }),
+        seats: seatCount,
+        minSelections: minimum,
+        votingMethod: method,
+        ...(allowAbstain !== undefined && { allowAbstain: Boolean(allowAbstain) }),
+        allowNota: notaOffered,
+        rerunOnNota: rerunConfigured,
+        ...(tieBreakPolicy && { tieBreakPolicy }),
+        majorityRule: rule,
+        // Prisma needs DbNull to clear a JSON column
+        ...(electorate !== undefined && { electorate: electorateRules ?? Prisma.DbNull }),
+        ...(quotas !== undefined && { quotas: seatQuotas ?? Prisma.DbNull }),
+        ...(ticket !== undefined && { ticket: Boolean(ticket) }),
+        ...(runningMateTitle !== undefined && { runningMateTitle: runningMateTitle?.trim() || null }),
+        ...(ballotOrder && { ballotOrder }),
+        ...dates,
       },
     });
 
@@ -227,12 +535,12 @@ exports.updatePosition = async (req, res) => {
       action: 'UPDATE_POSITION',
       entity: 'position',
       entityId: position.id,
-      payload: { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses },
+      payload: { name, question, answerOptions, passThreshold, seats, minSelections, votingMethod, allowAbstain, allowNota, rerunOnNota, tieBreakPolicy, majorityRule, electorate: electorateRules, quotas: seatQuotas, ticket, runningMateTitle, ballotOrder, nominationOpens, nominationCloses, votingOpens, votingCloses },
     });
 
     res.json({
       message: 'Position updated successfully',
-      position,
+      position: withLocalTimes(position, timezone),
     });
   } catch (error) {
     console.error('Update position error:', error);
@@ -253,6 +561,7 @@ exports.deletePosition = async (req, res) => {
           select: {
             candidates: true,
             votes: true,
+            encryptedVotes: true,
           },
         },
       },
@@ -262,12 +571,12 @@ exports.deletePosition = async (req, res) => {
       return res.status(404).json({ error: 'Position not found' });
     }
 
-    // Prevent deletion if there are candidates or votes
+    // Prevent deletion if there are candidates or votes (including votes not yet decrypted)
     if (position._count.candidates > 0) {
       return res.status(400).json({ error: 'Cannot delete position with existing candidates' });
     }
 
-    if (position._count.votes > 0) {
+    if (position._count.votes > 0 || position._count.encryptedVotes > 0) {
       return res.status(400).json({ error: 'Cannot delete position with existing votes' });
     }
 
@@ -296,9 +605,7 @@ exports.deletePosition = async (req, res) => {
 // Get open positions (for candidates to nominate)
 exports.getOpenPositions = async (req, res) => {
   try {
-    // Get current time - this will be in the server's local timezone
-    // Since positions are stored by parsing datetime-local as local time,
-    // we compare using local time (which Prisma/MySQL will handle correctly)
+    // Windows are stored as UTC instants (entered in each election's timezone), so compare instants
     const now = new Date();
     console.log('Backend getOpenPositions - now (local):', now.toString());
     console.log('Backend getOpenPositions - now (UTC):', now.toISOString());
@@ -331,8 +638,17 @@ exports.getOpenPositions = async (req, res) => {
     
     // Use Prisma query to filter positions where nomination window is currently open
     // This ensures database-level filtering with consistent timezone handling
+    // Only elections that are accepting nominations are considered
     const openPositions = await prisma.position.findMany({
       where: {
+        ...(req.query.electionId && { electionId: req.query.electionId }),
+        type: 'CANDIDATE_RACE', // Referendums take no nominations
+        runoffOfId: null, // Nor do runoffs, whose candidates come from the tied position
+        // Re-run positions also take nominations while their election is voting
+        OR: [
+          { election: { state: 'NOMINATIONS' } },
+          { rerunOfId: { not: null }, election: { state: 'VOTING' } },
+        ],
         nominationOpens: {
           lte: now, // Nomination has opened (now >= nominationOpens)
         },
@@ -340,6 +656,15 @@ exports.getOpenPositions = async (req, res) => {
           gte: now, // Nomination hasn't closed yet (now <= nominationCloses)
         },
       },
+      include: {
+        election: {
+          select: {
+            id: true,
+            name: true,
+            timezone: true,
+          },
+        },
+      },
       orderBy: {
         nominationCloses: 'asc',
       },
@@ -354,13 +679,409 @@ exports.getOpenPositions = async (req, res) => {
       });
     }
 
-    res.json(openPositions);
+    res.json(openPositions.map((position) => withLocalTimes(position, position.election.timezone)));
   } catch (error) {
     console.error('Get open positions error:', error);
     res.status(500).json({ error: 'Failed to fetch open positions' });
   }
 };
 
+/**
+ * Re-run a position after NONE_OF_THE_ABOVE won (Admin only)
+ *
+ * Creates a new position in the same election with the same ballot rules and
+ * fresh nomination and voting windows, on a ballot round of its own so voters who
+ * already cast their ballot can vote again. Only allowed when the results of the
+ * original position say a re-run is required.
+ */
+exports.rerunPosition = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
+
+    if (!nominationOpens || !nominationCloses || !votingOpens || !votingCloses) {
+      return res.status(400).json({ error: 'Nomination and voting windows are required' });
+    }
+
+    const original = await prisma.position.findUnique({
+      where: { id },
+      include: {
+        election: true,
+        reruns: {
+          select: { id: true },
+        },
+      },
+    });
+
+    if (!original) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+
+    if (original.election.state !== 'VOTING') {
+      return res.status(400).json({
+        error: 'Positions can only be re-run while their election is voting',
+        electionState: original.election.state,
+      });
+    }
+
+    if (original.reruns.length > 0) {
+      return res.status(400).json({ error: 'This position has already been re-run' });
+    }
+
+    if (new Date() <= original.votingCloses) {
+      return res.status(400).json({ error: 'Voting for this position has not closed yet' });
+    }
+
+    const sealed = await findSealedPositions(original.electionId, [id]);
+    if (sealed.length > 0) {
+      return res.status(409).json(sealedVotesResponse(sealed));
+    }
+
+    const { positions: [result] } = await computeResults(original.electionId, { positionIds: [id] });
+    if (!result.rerunRequired) {
+      return res.status(400).json({
+        error: 'This position does not require a re-run',
+        hint: 'A re-run is only required when NONE_OF_THE_ABOVE wins on a position configured to re-run',
+      });
+    }
+
+    const { timezone } = original.election;
+    const nomOpen = parseInTimezone(nominationOpens, timezone);
+    const nomClose = parseInTimezone(nominationCloses, timezone);
+    const voteOpen = parseInTimezone(votingOpens, timezone);
+    const voteClose = parseInTimezone(votingCloses, timezone);
+
+    if ([nomOpen, nomClose, voteOpen, voteClose].some((date) => isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DDTHH:mm format' });
+    }
+
+    if (nomClose <= nomOpen) {
+      return res.status(400).json({ error: 'Nomination close date must be after open date' });
+    }
+
+    if (voteClose <= voteOpen) {
+      return res.status(400).json({ error: 'Voting close date must be after open date' });
+    }
+
+    if (voteOpen < nomClose) {
+      return res.status(400).json({ error: 'Voting period must start after nomination period ends' });
+    }
+
+    const position = await prisma.position.create({
+      data: {
+        electionId: original.electionId,
+        name: `${original.name} (Re-run)`,
+        seats: original.seats,
+        minSelections: original.minSelections,
+        votingMethod: original.votingMethod,
+        allowAbstain: original.allowAbstain,
+        allowNota: original.allowNota,
+        rerunOnNota: original.rerunOnNota,
+        tieBreakPolicy: original.tieBreakPolicy,
+        majorityRule: original.majorityRule,
+        ...(original.electorate && { electorate: original.electorate }),
+        ...(original.quotas && { quotas: original.quotas }),
+        ticket: original.ticket,
+        runningMateTitle: original.runningMateTitle,
+        ballotOrder: original.ballotOrder,
+        rerunOfId: original.id,
+        ballotRound: await newBallotRound(original.electionId),
+        nominationOpens: nomOpen,
+        nominationCloses: nomClose,
+        votingOpens: voteOpen,
+        votingCloses: voteClose,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'RERUN_POSITION',
+      entity: 'position',
+      entityId: position.id,
+      payload: {
+        electionId: original.electionId,
+        rerunOfId: original.id,
+        name: position.name,
+        ballotRound: position.ballotRound,
+        notaVotes: result.notaVotes,
+        nominationOpens,
+        nominationCloses,
+        votingOpens,
+        votingCloses,
+      },
+    });
+
+    res.status(201).json({
+      message: 'Re-run position created successfully',
+      position,
+    });
+  } catch (error) {
+    console.error('Rerun position error:', error);
+    res.status(500).json({ error: 'Failed to re-run position' });
+  }
+};
+
+/**
+ * Settle a tie in a position's count (Admin only)
+ *
+ * Applies the position's tie-break policy to the tie reported by its results:
+ * - RUNOFF: body { votingOpens, votingCloses } creates a runoff between the tied candidates
+ * - LOT_DRAW: body { drawOrder, officerName, notes? } records the officer's draw (first drawn preferred)
+ * - SEEDED_DRAW: body { seed? } orders the tied candidates by SHA-256(seed:candidateId)
+ * Voting for the position must have closed. Every tie-break is recorded and audited.
+ */
+exports.resolveTie = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { drawOrder, officerName, notes, votingOpens, votingCloses } = req.body;
+
+    const position = await prisma.position.findUnique({
+      where: { id },
+      include: { election: true },
+    });
+
+    if (!position) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+
+    if (!['VOTING', 'CLOSED'].includes(position.election.state)) {
+      return res.status(400).json({
+        error: 'Ties can only be settled while the election is voting or closed',
+        electionState: position.election.state,
+      });
+    }
+
+    if (new Date() <= position.votingCloses) {
+      return res.status(400).json({ error: 'Voting for this position has not closed yet' });
+    }
+
+    const sealed = await findSealedPositions(position.electionId, [id]);
+    if (sealed.length > 0) {
+      return res.status(409).json(sealedVotesResponse(sealed));
+    }
+
+    const { positions: [result] } = await computeResults(position.electionId, { positionIds: [id] });
+    // Ties are settled one at a time, in the order seats are filled
+    const tie = result.ties.find((t) => !t.resolved && !t.runoffPositionId);
+
+    if (!tie) {
+      return res.status(400).json({ error: 'This position has no unresolved tie' });
+    }
+
+    const policy = position.tieBreakPolicy;
+    const tieData = {
+      positionId: id,
+      policy,
+      round: tie.round,
+      candidateIds: tie.candidateIds,
+      seatsAtStake: tie.seatsAtStake ?? 1,
+      notes: notes?.trim() || null,
+      resolvedBy: req.user.id,
+    };
+
+    let tieBreak;
+    let runoff = null;
+
+    if (policy === 'RUNOFF') {
+      // A runoff decides seats; an IRV/STV elimination tie needs a draw
+      if (tie.stage === 'ELIMINATION') {
+        return res.status(400).json({
+          error: 'Elimination ties in a ranked count must be settled by draw',
+          hint: 'Change the tie-break policy to LOT_DRAW or SEEDED_DRAW',
+        });
+      }
+
+      if (position.election.state !== 'VOTING') {
+        return res.status(400).json({ error: 'A runoff can only be held while the election is voting' });
+      }
+
+      if (!votingOpens || !votingCloses) {
+        return res.status(400).json({ error: 'Runoff voting window is required' });
+      }
+
+      const { timezone } = position.election;
+      const voteOpen = parseInTimezone(votingOpens, timezone);
+      const voteClose = parseInTimezone(votingCloses, timezone);
+      if ([voteOpen, voteClose].some((date) => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'Dates must be in YYYY-MM-DDTHH:mm format' });
+      }
+
+      if (voteClose <= voteOpen) {
+        return res.status(400).json({ error: 'Voting close date must be after open date' });
+      }
+
+      ({ tieBreak, runoff } = await prisma.$transaction(async (tx) => {
+        const runoffPosition = await createRunoffPosition({
+          position,
+          candidateIds: tie.candidateIds,
+          seats: tie.seatsAtStake,
+          votingOpens: voteOpen,
+          votingCloses: voteClose,
+        }, tx);
+
+        const record = await tx.tieBreak.create({
+          data: { ...tieData, runoffPositionId: runoffPosition.id },
+        });
+
+        return { tieBreak: record, runoff: runoffPosition };
+      }));
+    } else if (policy === 'LOT_DRAW') {
+      if (!officerName || officerName.trim().length === 0) {
+        return res.status(400).json({ error: 'The returning officer who conducted the draw is required' });
+      }
+
+      if (!Array.isArray(drawOrder) || !sameCandidates(drawOrder, tie.candidateIds)) {
+        return res.status(400).json({
+          error: 'Draw order must list every tied candidate exactly once',
+          tiedCandidates: tie.candidateIds,
+        });
+      }
+
+      tieBreak = await prisma.tieBreak.create({
+        data: { ...tieData, drawOrder, officerName: officerName.trim() },
+      });
+    } else {
+      const seed = req.body.seed ? String(req.body.seed) : generateSeed();
+
+      tieBreak = await prisma.tieBreak.create({
+        data: { ...tieData, seed, drawOrder: seededDrawOrder(seed, tie.candidateIds) },
+      });
+    }
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'RESOLVE_TIE',
+      entity: 'position',
+      entityId: id,
+      payload: {
+        electionId: position.electionId,
+        tieBreakId: tieBreak.id,
+        policy,
+        stage: tie.stage,
+        round: tie.round,
+        candidateIds: tie.candidateIds,
+        seatsAtStake: tieBreak.seatsAtStake,
+        drawOrder: tieBreak.drawOrder,
+        seed: tieBreak.seed,
+        officerName: tieBreak.officerName,
+        runoffPositionId: tieBreak.runoffPositionId,
+      },
+    });
+
+    res.status(201).json({
+      message: runoff ? 'Runoff position created to settle the tie' : 'Tie settled by draw',
+      tieBreak,
+      ...(runoff && { runoff }),
+    });
+  } catch (error) {
+    console.error('Resolve tie error:', error);
+    res.status(500).json({ error: 'Failed to settle tie' });
+  }
+};
+
+/**
+ * Hold a runoff after no candidate reached an absolute majority (Admin only)
+ *
+ * Creates a runoff position between the top two candidates (and anyone level with
+ * second place) with its own voting window. The candidates are carried over as
+ * APPROVED, so they do not need to be nominated again.
+ */
+exports.createRunoff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { votingOpens, votingCloses } = req.body;
+
+    if (!votingOpens || !votingCloses) {
+      return res.status(400).json({ error: 'Runoff voting window is required' });
+    }
+
+    const position = await prisma.position.findUnique({
+      where: { id },
+      include: { election: true },
+    });
+
+    if (!position) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+
+    if (position.election.state !== 'VOTING') {
+      return res.status(400).json({
+        error: 'A runoff can only be held while the election is voting',
+        electionState: position.election.state,
+      });
+    }
+
+    if (new Date() <= position.votingCloses) {
+      return res.status(400).json({ error: 'Voting for this position has not closed yet' });
+    }
+
+    const sealed = await findSealedPositions(position.electionId, [id]);
+    if (sealed.length > 0) {
+      return res.status(409).json(sealedVotesResponse(sealed));
+    }
+
+    const { positions: [result] } = await computeResults(position.electionId, { positionIds: [id] });
+
+    if (!result.runoffRequired) {
+      return res.status(400).json({
+        error: 'This position does not require a runoff',
+        hint: 'A runoff is only required when no candidate reaches an absolute majority',
+      });
+    }
+
+    if (result.majority.runoffPositionId) {
+      return res.status(400).json({ error: 'A runoff has already been created for this position' });
+    }
+
+    const { timezone } = position.election;
+    const voteOpen = parseInTimezone(votingOpens, timezone);
+    const voteClose = parseInTimezone(votingCloses, timezone);
+    if ([voteOpen, voteClose].some((date) => isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DDTHH:mm format' });
+    }
+
+    if (voteClose <= voteOpen) {
+      return res.status(400).json({ error: 'Voting close date must be after open date' });
+    }
+
+    const runoff = await createRunoffPosition({
+      position,
+      candidateIds: result.majority.runoffCandidateIds,
+      seats: 1,
+      votingOpens: voteOpen,
+      votingCloses: voteClose,
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'CREATE_RUNOFF',
+      entity: 'position',
+      entityId: runoff.id,
+      payload: {
+        electionId: position.electionId,
+        runoffOfId: position.id,
+        name: runoff.name,
+        candidateIds: result.majority.runoffCandidateIds,
+        leaderVotes: result.candidates[0]?.votes || 0,
+        threshold: result.majority.threshold,
+        votingOpens,
+        votingCloses,
+      },
+    });
+
+    res.status(201).json({
+      message: 'Runoff position created successfully',
+      position: runoff,
+    });
+  } catch (error) {
+    console.error('Create runoff error:', error);
+    res.status(500).json({ error: 'Failed to create runoff' });
+  }
+};
+
 // Extend time windows for a position (Admin only)
 exports.extendTime = async (req, res) => {
   try {
@@ -370,6 +1091,7 @@ exports.extendTime = async (req, res) => {
     // Check if position exists
     const position = await prisma.position.findUnique({
       where: { id },
+      include: { election: { select: { timezone: true } } },
     });
 
     if (!position) {
@@ -385,6 +1107,9 @@ exports.extendTime = async (req, res) => {
 
     // Extend nomination window if specified
     if (extendNominationHours !== undefined) {
+      if (position.type === 'REFERENDUM') {
+        return res.status(400).json({ error: 'Referendums have no nomination window' });
+      }
       const hours = parseFloat(extendNominationHours);
       if (isNaN(hours) || hours <= 0) {
         return res.status(400).json({ error: 'extendNominationHours must be a positive number' });
@@ -392,6 +1117,8 @@ exports.extendTime = async (req, res) => {
       const newCloseDate = new Date(position.nominationCloses);
       newCloseDate.setHours(newCloseDate.getHours() + hours);
       updateData.nominationCloses = newCloseDate;
+      // Reopened nominations are frozen again by the scheduler at the new close
+      updateData.nominationsFrozenAt = null;
     }
 
     // Extend voting window if specified
@@ -438,7 +1165,7 @@ exports.extendTime = async (req, res) => {
 
     res.json({
       message: 'Time windows extended successfully',
-      position: updated,
+      position: withLocalTimes(updated, position.election.timezone),
     });
   } catch (error) {
     console.error('Extend time error:', error);
@@ -1,8 +1,30 @@
 const { prisma } = require('../config/prisma');
 const PDFDocument = require('pdfkit');
-const { loadCandidatePhoto } = require('../utils/pdfHelpers');
+const { loadCandidatePhoto, drawRankedCountTable, drawReferendumResult, drawSeatAllocation } = require('../utils/pdfHelpers');
+const { computeTurnout, computeResults } = require('../utils/results');
+const { hashSnapshot } = require('../utils/archive');
+const { buildCastVoteExport } = require('../utils/castVoteRecord');
+const { isCheckpointSigningConfigured, checkpointPublicKey, verifyAuditChain } = require('../utils/auditChain');
+const { findSealedPositions, sealedVotesResponse } = require('../utils/trustees');
+const { getResultsEmbargo, embargoedResponse, logResultsAccess } = require('../utils/resultsEmbargo');
+const { getDefaultTimezone, formatInTimezone, toZonedISOString } = require('../utils/timezone');
 const path = require('path');
 
+// One-line description of a tie and how (or whether) it was settled, for exports
+const describeTie = (tie) => {
+  let where = tie.stage === 'ELIMINATION' ? `Tied for elimination in round ${tie.round}` : 'Tied for the last seat';
+  if (tie.pool && tie.pool !== 'OPEN') {
+    where = `Tied for a seat reserved for ${tie.pool}`;
+  }
+  if (tie.resolved) {
+    return `${where} - settled by ${tie.policy.replace('_', ' ').toLowerCase()}`;
+  }
+  if (tie.runoffPositionId) {
+    return `${where} - to be decided by runoff`;
+  }
+  return `${where} - UNRESOLVED, no winner declared`;
+};
+
 // Get audit log
 exports.getAuditLog = async (req, res) => {
   try {
@@ -44,49 +66,45 @@ exports.getAuditLog = async (req, res) => {
   }
 };
 
-// Get turnout report with detailed breakdown
-exports.getTurnout = async (req, res) => {
+// Walk the audit log's hash chain and checkpoints, reporting the first broken link
+exports.verifyAuditLog = async (req, res) => {
   try {
-    const totalVoters = await prisma.eligibleVoter.count({
-      where: { status: 'ELIGIBLE' },
-    });
+    const verification = await verifyAuditChain();
 
-    const verifiedVoters = await prisma.verification.count({
-      where: { verifiedAt: { not: null } },
-    });
-
-    const votesCast = await prisma.ballot.count({
-      where: { status: 'CONSUMED' },
+    res.json({
+      ...verification,
+      message: verification.valid
+        ? `All ${verification.entries} audit log entries are intact`
+        : verification.firstBrokenLink
+          ? `The audit log chain is broken at entry ${verification.firstBrokenLink.sequence} (${verification.firstBrokenLink.reason})`
+          : 'The audit log chain is intact but does not match its signed checkpoints',
     });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+};
 
-    const ballotsIssued = await prisma.ballot.count();
+// Signed checkpoints with the public key needed to check them
+const buildCheckpointExport = async () => {
+  const checkpoints = await prisma.auditCheckpoint.findMany({
+    orderBy: { sequence: 'asc' },
+    select: { sequence: true, hash: true, keyId: true, signature: true, createdAt: true },
+  });
+
+  return {
+    algorithm: 'Ed25519 over canonical JSON { createdAt, hash, sequence }',
+    publicKey: isCheckpointSigningConfigured() ? checkpointPublicKey() : null,
+    checkpoints,
+  };
+};
 
-    const turnout = totalVoters > 0 ? (votesCast / totalVoters) * 100 : 0;
-    const verificationRate =
-      totalVoters > 0 ? (verifiedVoters / totalVoters) * 100 : 0;
-    const ballotUsageRate =
-      ballotsIssued > 0 ? (votesCast / ballotsIssued) * 100 : 0;
-    const nonVoters = totalVoters - votesCast;
-    const nonVoterPercentage =
-      totalVoters > 0 ? (nonVoters / totalVoters) * 100 : 0;
+// Get turnout report with detailed breakdown
+exports.getTurnout = async (req, res) => {
+  try {
+    const turnout = await computeTurnout(req.query.electionId);
 
-    res.json({
-      totalVoters,
-      verifiedVoters,
-      votesCast,
-      ballotsIssued,
-      nonVoters,
-      turnout: parseFloat(turnout.toFixed(2)),
-      verificationRate: parseFloat(verificationRate.toFixed(2)),
-      ballotUsageRate: parseFloat(ballotUsageRate.toFixed(2)),
-      nonVoterPercentage: parseFloat(nonVoterPercentage.toFixed(2)),
-      breakdown: {
-        voted: votesCast,
-        notVoted: nonVoters,
-        verified: verifiedVoters,
-        notVerified: totalVoters - verifiedVoters,
-      },
-    });
+    res.json(turnout);
   } catch (error) {
     console.error('Get turnout error:', error);
     res.status(500).json({ error: 'Failed to fetch turnout report' });
@@ -96,109 +114,103 @@ exports.getTurnout = async (req, res) => {
 // Get results report with detailed analytics
 exports.getResults = async (req, res) => {
   try {
-    const positions = await prisma.position.findMany({
-      include: {
-        candidates: {
-          include: {
-            user: {
-              select: {
-                name: true,
-                email: true,
-              },
-            },
-            _count: {
-              select: {
-                votes: true,
-              },
-            },
-          },
-          where: {
-            status: 'APPROVED',
-          },
-        },
+    // Locked until voting has closed everywhere and the results are released; every request is audited
+    const embargo = await getResultsEmbargo(req.query.electionId);
+    await logResultsAccess(req.user, req.query.electionId, 'results', !embargo.locked);
+    if (embargo.locked) {
+      return res.status(403).json(embargoedResponse(embargo));
+    }
+
+    // No results, not even partial ones, while any votes are still encrypted
+    const sealed = await findSealedPositions(req.query.electionId);
+    if (sealed.length > 0) {
+      return res.status(409).json(sealedVotesResponse(sealed));
+    }
+
+    const results = await computeResults(req.query.electionId);
+
+    res.json(results);
+  } catch (error) {
+    console.error('Get results error:', error);
+    res.status(500).json({ error: 'Failed to fetch results report' });
+  }
+};
+
+// List archived elections (snapshot contents omitted)
+exports.getArchives = async (req, res) => {
+  try {
+    const archives = await prisma.electionArchive.findMany({
+      select: {
+        id: true,
+        electionId: true,
+        electionName: true,
+        retention: true,
+        snapshotHash: true,
+        archivedBy: true,
+        archivedAt: true,
+      },
+      orderBy: {
+        archivedAt: 'desc',
       },
-      orderBy: { name: 'asc' },
     });
 
-    // Get total votes cast for all positions
-    const totalVotesCast = await prisma.ballot.count({
-      where: { status: 'CONSUMED' },
-    });
+    res.json(archives);
+  } catch (error) {
+    console.error('Get archives error:', error);
+    res.status(500).json({ error: 'Failed to fetch archives' });
+  }
+};
 
-    const results = positions.map((position) => {
-      // Calculate total votes for this position
-      const positionTotalVotes = position.candidates.reduce(
-        (sum, candidate) => sum + candidate._count.votes,
-        0
-      );
-
-      // Sort candidates by votes (descending)
-      const sortedCandidates = [...position.candidates].sort(
-        (a, b) => b._count.votes - a._count.votes
-      );
-
-      // Calculate percentages and rankings
-      const candidatesWithStats = sortedCandidates.map((candidate, index) => {
-        const votePercentage =
-          positionTotalVotes > 0
-            ? ((candidate._count.votes / positionTotalVotes) * 100).toFixed(2)
-            : '0.00';
-        const overallPercentage =
-          totalVotesCast > 0
-            ? ((candidate._count.votes / totalVotesCast) * 100).toFixed(2)
-            : '0.00';
-
-        return {
-          candidateId: candidate.id,
-          name: candidate.name,
-          program: candidate.program,
-          votes: candidate._count.votes,
-          rank: index + 1,
-          votePercentage: parseFloat(votePercentage),
-          overallPercentage: parseFloat(overallPercentage),
-          isWinner: index < position.seats,
-        };
-      });
+// Get a single archived election snapshot
+exports.getArchiveById = async (req, res) => {
+  try {
+    const { id } = req.params;
 
-      return {
-        positionId: position.id,
-        positionName: position.name,
-        seats: position.seats,
-        totalVotes: positionTotalVotes,
-        candidates: candidatesWithStats,
-        winner: candidatesWithStats[0] || null,
-      };
+    const archive = await prisma.electionArchive.findUnique({
+      where: { id },
     });
 
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' });
+    }
+
+    // An archive holds the election's results (only released results are archived)
+    await logResultsAccess(req.user, archive.electionId, 'archive', true);
+
     res.json({
-      positions: results,
-      summary: {
-        totalPositions: positions.length,
-        totalCandidates: positions.reduce(
-          (sum, p) => sum + p.candidates.length,
-          0
-        ),
-        totalVotesCast,
-      },
+      ...archive,
+      // Recompute the digest so readers can tell if the stored snapshot was altered
+      integrityVerified: hashSnapshot(archive.snapshot) === archive.snapshotHash,
     });
   } catch (error) {
-    console.error('Get results error:', error);
-    res.status(500).json({ error: 'Failed to fetch results report' });
+    console.error('Get archive error:', error);
+    res.status(500).json({ error: 'Failed to fetch archive' });
   }
 };
 
 // Export report (CSV/PDF generation)
 exports.exportReport = async (req, res) => {
   try {
-    const { type } = req.params; // e.g., 'turnout-csv', 'results-pdf', 'audit-csv'
+    const { type } = req.params; // e.g., 'turnout-csv', 'results-pdf', 'audit-csv', 'audit-checkpoints-json', 'archive-json', 'cast-votes-json'
+    const { electionId } = req.query;
+
+    // Times in exports are shown in the election's timezone
+    const election = electionId
+      ? await prisma.election.findUnique({ where: { id: electionId }, select: { timezone: true } })
+      : null;
+    const timezone = election?.timezone || getDefaultTimezone();
 
     if (type.startsWith('turnout')) {
-      const totalVoters = await prisma.eligibleVoter.count({ where: { status: 'ELIGIBLE' } });
-      const votesCast = await prisma.ballot.count({ where: { status: 'CONSUMED' } });
-      const turnoutPercent = totalVoters > 0 ? ((votesCast / totalVoters) * 100).toFixed(2) : '0.00';
+      const { totalVoters, votesCast, turnout, positions } = await computeTurnout(electionId);
+      const turnoutPercent = turnout.toFixed(2);
       
       if (type.endsWith('csv')) {
-        const csv = `Total Voters,Votes Cast,Turnout %\n${totalVoters},${votesCast},${turnoutPercent}%`;
+        let csv = `Total Voters,Votes Cast,Turnout %\n${totalVoters},${votesCast},${turnoutPercent}%`;
+        // Each position's turnout is measured against its own electorate
+        csv += '\n\nPosition,Eligible Voters,Ballots Cast,Turnout %\n';
+        positions.forEach((position) => {
+          csv += `"${position.positionName}",${position.eligibleVoters},${position.ballotsCast},${position.turnout.toFixed(2)}%\n`;
+        });
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=turnout-report.csv');
         return res.send(csv);
@@ -212,7 +224,7 @@ exports.exportReport = async (req, res) => {
         // Header
         doc.fontSize(20).text('Election Turnout Report', { align: 'center' });
         doc.moveDown();
-        doc.fontSize(12).text(`Generated: ${new Date().toLocaleString()}`, { align: 'center' });
+        doc.fontSize(12).text(`Generated: ${formatInTimezone(new Date(), timezone)}`, { align: 'center' });
         doc.moveDown(2);
 
         // Report data
@@ -223,37 +235,74 @@ exports.exportReport = async (req, res) => {
         doc.text(`Votes Cast: ${votesCast}`, { indent: 20 });
         doc.text(`Turnout Percentage: ${turnoutPercent}%`, { indent: 20 });
         doc.moveDown();
+
+        if (positions.length > 0) {
+          doc.fontSize(16).text('By Position', { underline: true });
+          doc.moveDown();
+          doc.fontSize(12);
+          positions.forEach((position) => {
+            doc.text(
+              `${position.positionName}: ${position.ballotsCast} of ${position.eligibleVoters} eligible (${position.turnout.toFixed(2)}%)`,
+              { indent: 20 }
+            );
+          });
+          doc.moveDown();
+        }
+
         doc.fontSize(10).text('E-Voting System - Professional Election Management Platform', { align: 'center' });
 
         doc.end();
         return;
       }
-      res.json({ totalVoters, votesCast, turnout: parseFloat(turnoutPercent) });
+      res.json({ totalVoters, votesCast, turnout: parseFloat(turnoutPercent), positions });
     } else if (type.startsWith('results')) {
+      const embargo = await getResultsEmbargo(electionId);
+      await logResultsAccess(req.user, electionId, type, !embargo.locked);
+      if (embargo.locked) {
+        return res.status(403).json(embargoedResponse(embargo));
+      }
+
+      const sealed = await findSealedPositions(electionId);
+      if (sealed.length > 0) {
+        return res.status(409).json(sealedVotesResponse(sealed));
+      }
+
       // Get results data
-      const positions = await prisma.position.findMany({
-        include: {
-          candidates: {
-            include: {
-              user: {
-                select: { name: true, email: true },
-              },
-              _count: {
-                select: { votes: true },
-              },
-            },
-            where: { status: 'APPROVED' },
-          },
-        },
-        orderBy: { name: 'asc' },
-      });
+      const { positions } = await computeResults(electionId);
 
       if (type.endsWith('csv')) {
-        let csv = 'Position,Candidate Name,Program,Votes\n';
+        let csv = 'Position,Voting Method,Candidate Name,Program,Votes,Approval %,Confirmation Yes,Confirmation No,Tie,Seat\n';
+        // Rows without candidate details leave the last five columns empty
+        const noDetails = ',,,,';
         positions.forEach((position) => {
+          // Referendum questions list each answer in place of candidates
+          if (position.referendum) {
+            Object.entries(position.referendum.answers).forEach(([answer, count]) => {
+              csv += `"${position.positionName}","REFERENDUM","${answer}","",${count},${noDetails}\n`;
+            });
+            return;
+          }
           position.candidates.forEach((candidate) => {
-            csv += `"${position.name}","${candidate.name}","${candidate.program}",${candidate._count.votes}\n`;
+            const approval = candidate.approvalPercentage !== undefined ? `${candidate.approvalPercentage}%` : '';
+            const confirmation = candidate.confirmation ? `${candidate.confirmation.yes},${candidate.confirmation.no}` : ',';
+            const tie = position.ties
+              .filter((t) => t.candidateIds.includes(candidate.candidateId))
+              .map(describeTie)
+              .join('; ');
+            // Positions with quotas: the reserved or open seat a winner takes
+            const seat = candidate.isWinner && candidate.seat
+              ? candidate.seat.seatType === 'RESERVED' ? `Reserved (${candidate.seat.quota})` : 'Open'
+              : '';
+            const name = candidate.runningMate ? `${candidate.name} / ${candidate.runningMate.name}` : candidate.name;
+            csv += `"${position.positionName}","${position.votingMethod}","${name}","${candidate.program}",${candidate.votes},${approval},${confirmation},"${tie}","${seat}"\n`;
           });
+          // Blank and NONE_OF_THE_ABOVE ballots are listed after the candidates
+          if (position.blankVotes > 0) {
+            csv += `"${position.positionName}","${position.votingMethod}","ABSTAIN","",${position.blankVotes},${noDetails}\n`;
+          }
+          if (position.notaVotes > 0) {
+            csv += `"${position.positionName}","${position.votingMethod}","NONE OF THE ABOVE","",${position.notaVotes},${noDetails}\n`;
+          }
         });
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=results-report.csv');
@@ -277,7 +326,7 @@ exports.exportReport = async (req, res) => {
         doc.fontSize(10)
           .font('Helvetica')
           .fillColor('#000000')
-          .text(`Generated: ${new Date().toLocaleString()}`, 50, 80, { align: 'center', width: doc.page.width - 100 });
+          .text(`Generated: ${formatInTimezone(new Date(), timezone)}`, 50, 80, { align: 'center', width: doc.page.width - 100 });
         
         doc.y = 110;
 
@@ -294,12 +343,23 @@ exports.exportReport = async (req, res) => {
           doc.fillColor('#000000')
             .fontSize(18)
             .font('Helvetica-Bold')
-            .text(position.name.toUpperCase(), 50, doc.y);
+            .text(position.positionName.toUpperCase(), 50, doc.y);
           
+          if (position.referendum) {
+            doc.y += 25;
+            drawReferendumResult(doc, position.referendum);
+            continue;
+          }
+
           doc.fontSize(10)
             .font('Helvetica')
             .fillColor('#000000')
-            .text(`Seats Available: ${position.seats}`, 50, doc.y + 5);
+            .text(`Seats Available: ${position.seats}`, 50, doc.y + 5)
+            .text(
+              `Voting: ${formatInTimezone(position.votingOpens, position.timezone)} to ${formatInTimezone(position.votingCloses, position.timezone)}`,
+              50,
+              doc.y
+            );
           
           doc.y += 30;
 
@@ -310,9 +370,18 @@ exports.exportReport = async (req, res) => {
               .text('No candidates for this position.', 50, doc.y);
             doc.y += 30;
           } else {
-            // Sort candidates by votes
-            const sortedCandidates = [...position.candidates].sort((a, b) => b._count.votes - a._count.votes);
-            const totalVotes = sortedCandidates.reduce((sum, c) => sum + c._count.votes, 0);
+            // Candidates are already ranked by votes
+            const sortedCandidates = position.candidates;
+            const totalVotes = position.totalVotes;
+
+            let votesLabel = 'Votes';
+            if (position.confirmationVote) {
+              votesLabel = 'Yes Votes';
+            } else if (position.tally) {
+              votesLabel = 'First Preferences';
+            } else if (position.votingMethod === 'APPROVAL') {
+              votesLabel = 'Approvals';
+            }
 
             // Candidate details section
             let currentY = doc.y;
@@ -327,10 +396,8 @@ exports.exportReport = async (req, res) => {
                 currentY = 50;
               }
 
-              const isWinner = idx < position.seats;
-              const votePercentage = totalVotes > 0 
-                ? ((candidate._count.votes / totalVotes) * 100).toFixed(2) 
-                : '0.00';
+              const isWinner = candidate.isWinner;
+              const votePercentage = candidate.votePercentage.toFixed(2);
 
               // Simple candidate entry
               const photoX = 50;
@@ -379,19 +446,63 @@ exports.exportReport = async (req, res) => {
               doc.fillColor('#000000')
                 .fontSize(12)
                 .font('Helvetica')
-                .text(`Votes: ${candidate._count.votes}`, infoX, infoY + 48);
-
+                .text(`${votesLabel}: ${candidate.votes}`, infoX, infoY + 48);
+
+              // Approval voting reports the share of voters approving; confirmation votes the
+              // YES/NO split; other methods the share of votes
+              let shareLine = `Percentage: ${votePercentage}%`;
+              if (candidate.confirmation) {
+                shareLine = `No Votes: ${candidate.confirmation.no} (${candidate.confirmation.yesPercentage.toFixed(2)}% Yes)`;
+              } else if (candidate.approvalPercentage !== undefined) {
+                shareLine = `Approval: ${candidate.approvalPercentage.toFixed(2)}% of voters`;
+              }
               doc.fillColor('#000000')
                 .fontSize(12)
                 .font('Helvetica')
-                .text(`Percentage: ${votePercentage}%`, infoX, infoY + 62);
+                .text(shareLine, infoX, infoY + 62);
 
-              // Winner declaration
+              // Winner declaration (uncontested candidates must win their confirmation vote)
               if (isWinner) {
                 doc.fillColor('#000000')
                   .fontSize(12)
                   .font('Helvetica-Bold')
-                  .text('WINNER', infoX, infoY + 78);
+                  .text(position.confirmationVote ? 'CONFIRMED - ELECTED' : 'WINNER', infoX, infoY + 78);
+              } else if (position.confirmationVote) {
+                doc.fillColor('#000000')
+                  .fontSize(12)
+                  .font('Helvetica-Bold')
+                  .text('NOT CONFIRMED', infoX, infoY + 78);
+              }
+
+              // Ticket positions: running mate photo and name on the right
+              if (candidate.runningMate) {
+                const mateX = 330;
+                try {
+                  const matePhoto = await loadCandidatePhoto(candidate.runningMate.photoUrl, candidate.runningMate.name);
+                  if (matePhoto) {
+                    doc.image(matePhoto, mateX, photoY, {
+                      width: photoSize,
+                      height: photoSize,
+                      fit: [photoSize, photoSize],
+                    });
+                  }
+                } catch (photoError) {
+                  console.warn(`Photo error for ${candidate.runningMate.name}:`, photoError.message);
+                }
+
+                const mateInfoX = mateX + photoSize + 15;
+                doc.fillColor('#000000')
+                  .fontSize(10)
+                  .font('Helvetica')
+                  .text(candidate.runningMate.title || 'Running Mate', mateInfoX, infoY);
+                doc.fontSize(14)
+                  .font('Helvetica-Bold')
+                  .text(candidate.runningMate.name, mateInfoX, infoY + 18);
+                if (candidate.runningMate.program) {
+                  doc.fontSize(10)
+                    .font('Helvetica')
+                    .text(candidate.runningMate.program, mateInfoX, infoY + 35);
+                }
               }
 
               currentY += photoSize + 30;
@@ -400,6 +511,16 @@ exports.exportReport = async (req, res) => {
             doc.y = currentY;
             doc.moveDown(1);
 
+            // Round-by-round count for IRV/STV positions
+            if (position.tally) {
+              drawRankedCountTable(doc, position.tally);
+            }
+
+            // Reserved seats first, then open seats
+            if (position.seatAllocation) {
+              drawSeatAllocation(doc, position.seatAllocation, position.candidates);
+            }
+
             // Simple Summary
             doc.fillColor('#000000')
               .fontSize(12)
@@ -417,6 +538,55 @@ exports.exportReport = async (req, res) => {
               .fontSize(10)
               .font('Helvetica')
               .text(`Total Votes Cast: ${totalVotes}`, 50, doc.y);
+
+            // Multi-seat positions: each ballot may carry several votes
+            if (position.seats > 1) {
+              doc.y += 15;
+              doc.fillColor('#000000')
+                .fontSize(10)
+                .font('Helvetica')
+                .text(`Ballots Cast: ${position.ballotsCast}`, 50, doc.y);
+            }
+
+            if (position.blankVotes > 0 || position.notaVotes > 0) {
+              doc.y += 15;
+              doc.fillColor('#000000')
+                .fontSize(10)
+                .font('Helvetica')
+                .text(
+                  `Valid: ${position.validVotes}   Blank (Abstain): ${position.blankVotes}   None of the Above: ${position.notaVotes}`,
+                  50,
+                  doc.y
+                );
+            }
+
+            if (position.runoffRequired) {
+              doc.y += 15;
+              doc.fillColor('#000000')
+                .fontSize(10)
+                .font('Helvetica-Bold')
+                .text(
+                  `No absolute majority (${position.majority.threshold} votes needed) - runoff ${position.majority.runoffPositionId ? 'created' : 'required'}`,
+                  50,
+                  doc.y
+                );
+            }
+
+            position.ties.forEach((tie) => {
+              doc.y += 15;
+              doc.fillColor('#000000')
+                .fontSize(10)
+                .font('Helvetica-Bold')
+                .text(describeTie(tie), 50, doc.y);
+            });
+
+            if (position.rerunRequired) {
+              doc.y += 15;
+              doc.fillColor('#000000')
+                .fontSize(10)
+                .font('Helvetica-Bold')
+                .text('NONE OF THE ABOVE won - no candidate elected, position to be re-run', 50, doc.y);
+            }
             
             doc.y += 15;
             doc.fillColor('#000000')
@@ -433,7 +603,7 @@ exports.exportReport = async (req, res) => {
         doc.fillColor('#000000')
           .fontSize(8)
           .font('Helvetica')
-          .text(`Generated on ${new Date().toLocaleString()}`, 50, footerY, { 
+          .text(`Generated on ${formatInTimezone(new Date(), timezone)}`, 50, footerY, { 
             align: 'center', 
             width: doc.page.width - 100 
           });
@@ -442,29 +612,120 @@ exports.exportReport = async (req, res) => {
         return;
       }
       res.json(positions.map((p) => ({
-        positionName: p.name,
+        positionName: p.positionName,
         candidates: p.candidates.map((c) => ({
           name: c.name,
-          votes: c._count.votes,
+          votes: c.votes,
         })),
+        blankVotes: p.blankVotes,
+        notaVotes: p.notaVotes,
+        rerunRequired: p.rerunRequired,
+        ties: p.ties,
+        majority: p.majority,
+        seatAllocation: p.seatAllocation,
+        referendum: p.referendum,
       })));
+    } else if (type.startsWith('audit-checkpoints')) {
+      // Signed heads of the audit chain, to be kept outside the database and compared with later exports
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', 'attachment; filename=audit-checkpoints.json');
+      res.send(JSON.stringify(await buildCheckpointExport(), null, 2));
     } else if (type.startsWith('audit')) {
       const logs = await prisma.auditLog.findMany({
         take: 1000,
-        orderBy: { createdAt: 'desc' },
+        orderBy: { sequence: 'desc' },
       });
 
       if (type.endsWith('csv')) {
-        let csv = 'Date,Actor Type,Action,Entity,Details\n';
+        let csv = 'Sequence,Date,Actor Type,Action,Entity,Details,Previous Hash,Hash\n';
         logs.forEach((log) => {
           const details = log.payload ? JSON.stringify(log.payload) : '';
-          csv += `"${log.createdAt}","${log.actorType}","${log.action}","${log.entity || ''}","${details}"\n`;
+          csv += `${log.sequence},"${toZonedISOString(log.createdAt, timezone)}","${log.actorType}","${log.action}","${log.entity || ''}","${details}","${log.prevHash}","${log.hash || ''}"\n`;
+        });
+
+        // Checkpoints keep their UTC timestamp: it is part of what was signed
+        const { algorithm, publicKey, checkpoints } = await buildCheckpointExport();
+        csv += `\nSigned Checkpoints,"${algorithm}"\nPublic Key,"${publicKey || ''}"\n`;
+        csv += 'Sequence,Date,Hash,Key ID,Signature\n';
+        checkpoints.forEach((checkpoint) => {
+          csv += `${checkpoint.sequence},"${checkpoint.createdAt.toISOString()}","${checkpoint.hash}","${checkpoint.keyId}","${checkpoint.signature}"\n`;
         });
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
         return res.send(csv);
       }
-      res.json({ logs });
+      res.json({ logs, checkpoints: await buildCheckpointExport() });
+    } else if (type.startsWith('cast-votes')) {
+      // Anonymous cast ballots for offline recounting with scripts/verify-tally.js
+      if (!electionId) {
+        return res.status(400).json({ error: 'electionId is required' });
+      }
+
+      const castElection = await prisma.election.findUnique({ where: { id: electionId } });
+      if (!castElection) {
+        return res.status(404).json({ error: 'Election not found' });
+      }
+
+      if (!['CLOSED', 'CERTIFIED'].includes(castElection.state)) {
+        return res.status(400).json({ error: 'Cast votes can be exported once voting has closed (and before archiving)' });
+      }
+
+      // The cast votes give the results away, so they are embargoed with them
+      const embargo = await getResultsEmbargo(electionId);
+      await logResultsAccess(req.user, electionId, type, !embargo.locked);
+      if (embargo.locked) {
+        return res.status(403).json(embargoedResponse(embargo));
+      }
+
+      const sealed = await findSealedPositions(electionId);
+      if (sealed.length > 0) {
+        return res.status(409).json(sealedVotesResponse(sealed));
+      }
+
+      const castVotes = await buildCastVoteExport(castElection);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename=cast-votes-${castElection.id}.json`);
+      res.send(JSON.stringify(castVotes, null, 2));
+    } else if (type.startsWith('archive')) {
+      const { archiveId } = req.query;
+      if (!archiveId) {
+        return res.status(400).json({ error: 'archiveId is required' });
+      }
+
+      const archive = await prisma.electionArchive.findUnique({
+        where: { id: archiveId },
+      });
+
+      if (!archive) {
+        return res.status(404).json({ error: 'Archive not found' });
+      }
+
+      await logResultsAccess(req.user, archive.electionId, type, true);
+
+      if (type.endsWith('csv')) {
+        // Aggregate results only; the full snapshot is available as JSON
+        let csv = 'Election,Position,Candidate Name,Program,Votes,Winner\n';
+        archive.snapshot.results.positions.forEach((position) => {
+          position.candidates.forEach((candidate) => {
+            csv += `"${archive.electionName}","${position.positionName}","${candidate.name}","${candidate.program}",${candidate.votes},${candidate.isWinner ? 'Yes' : 'No'}\n`;
+          });
+        });
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=archive-${archive.id}.csv`);
+        return res.send(csv);
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename=archive-${archive.id}.json`);
+      res.send(JSON.stringify({
+        id: archive.id,
+        electionId: archive.electionId,
+        electionName: archive.electionName,
+        retention: archive.retention,
+        archivedAt: archive.archivedAt,
+        snapshotHash: archive.snapshotHash,
+        snapshot: archive.snapshot,
+      }, null, 2));
     } else {
       res.status(400).json({ error: 'Invalid export type' });
     }
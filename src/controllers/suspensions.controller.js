@@ -0,0 +1,235 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { suspensionScope } = require('../utils/suspension');
+
+// Get suspensions, newest first (Admin/Officer)
+exports.getSuspensions = async (req, res) => {
+  try {
+    const { electionId, active } = req.query;
+
+    const suspensions = await prisma.suspension.findMany({
+      where: {
+        ...(electionId && { OR: [{ electionId }, { electionId: null }] }),
+        ...(active === 'true' && { resumedAt: null }),
+      },
+      include: {
+        election: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        position: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: {
+        suspendedAt: 'desc',
+      },
+    });
+
+    res.json(suspensions.map((suspension) => ({ ...suspension, scope: suspensionScope(suspension) })));
+  } catch (error) {
+    console.error('Get suspensions error:', error);
+    res.status(500).json({ error: 'Failed to fetch suspensions' });
+  }
+};
+
+/**
+ * Suspend voting (Admin only)
+ * Send a positionId to suspend one position, an electionId to suspend a whole
+ * election, or neither to suspend voting in every election.
+ */
+exports.suspendVoting = async (req, res) => {
+  try {
+    const { electionId, positionId, reason } = req.body;
+
+    if (!reason || reason.trim().length === 0) {
+      return res.status(400).json({ error: 'A reason for the suspension is required' });
+    }
+
+    let scopeElectionId = electionId || null;
+    let scopeName = 'all elections';
+
+    if (positionId) {
+      const position = await prisma.position.findUnique({
+        where: { id: positionId },
+        include: { election: { select: { state: true } } },
+      });
+
+      if (!position) {
+        return res.status(404).json({ error: 'Position not found' });
+      }
+
+      if (position.election.state !== 'VOTING') {
+        return res.status(400).json({ error: 'Voting can only be suspended while the election is voting' });
+      }
+
+      scopeElectionId = position.electionId;
+      scopeName = position.name;
+    } else if (electionId) {
+      const election = await prisma.election.findUnique({
+        where: { id: electionId },
+      });
+
+      if (!election) {
+        return res.status(404).json({ error: 'Election not found' });
+      }
+
+      if (election.state !== 'VOTING') {
+        return res.status(400).json({ error: 'Voting can only be suspended while the election is voting' });
+      }
+
+      scopeName = election.name;
+    }
+
+    // One active suspension per scope
+    const existing = await prisma.suspension.findFirst({
+      where: {
+        resumedAt: null,
+        electionId: scopeElectionId,
+        positionId: positionId || null,
+      },
+    });
+
+    if (existing) {
+      return res.status(400).json({ error: `Voting is already suspended for ${scopeName}`, suspension: existing });
+    }
+
+    const suspension = await prisma.suspension.create({
+      data: {
+        electionId: scopeElectionId,
+        positionId: positionId || null,
+        reason: reason.trim(),
+        suspendedBy: req.user.id,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'SUSPEND_VOTING',
+      entity: 'suspension',
+      entityId: suspension.id,
+      payload: {
+        scope: suspensionScope(suspension),
+        electionId: scopeElectionId,
+        positionId: positionId || null,
+        scopeName,
+        reason: suspension.reason,
+      },
+    });
+
+    res.status(201).json({
+      message: `Voting suspended for ${scopeName}`,
+      suspension: { ...suspension, scope: suspensionScope(suspension) },
+    });
+  } catch (error) {
+    console.error('Suspend voting error:', error);
+    res.status(500).json({ error: 'Failed to suspend voting' });
+  }
+};
+
+/**
+ * Resume voting (Admin only)
+ * With `extendWindow`, every covered position whose voting had not closed when the
+ * suspension began has its voting close pushed back by the suspended time (rounded up to a minute).
+ */
+exports.resumeVoting = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { extendWindow, note } = req.body;
+
+    const suspension = await prisma.suspension.findUnique({
+      where: { id },
+    });
+
+    if (!suspension) {
+      return res.status(404).json({ error: 'Suspension not found' });
+    }
+
+    if (suspension.resumedAt) {
+      return res.status(400).json({ error: 'Voting has already been resumed' });
+    }
+
+    const resumedAt = new Date();
+    const extendedMinutes = extendWindow
+      ? Math.ceil((resumedAt.getTime() - suspension.suspendedAt.getTime()) / 60000)
+      : null;
+
+    const { resumed, extended } = await prisma.$transaction(async (tx) => {
+      const resumed = await tx.suspension.update({
+        where: { id },
+        data: {
+          resumedAt,
+          resumedBy: req.user.id,
+          resumeNote: note?.trim() || null,
+          extendedMinutes,
+        },
+      });
+
+      if (!extendedMinutes) {
+        return { resumed, extended: [] };
+      }
+
+      // Positions the suspension covered that were still due to close when it began
+      let scope = {};
+      if (suspension.positionId) {
+        scope = { id: suspension.positionId };
+      } else if (suspension.electionId) {
+        scope = { electionId: suspension.electionId };
+      } else {
+        scope = { election: { state: 'VOTING' } };
+      }
+
+      const positions = await tx.position.findMany({
+        where: { ...scope, votingCloses: { gt: suspension.suspendedAt } },
+        select: { id: true, name: true, votingCloses: true },
+      });
+
+      const extended = [];
+      for (const position of positions) {
+        const votingCloses = new Date(position.votingCloses.getTime() + extendedMinutes * 60000);
+        await tx.position.update({
+          where: { id: position.id },
+          data: { votingCloses },
+        });
+        extended.push({ positionId: position.id, name: position.name, from: position.votingCloses, to: votingCloses });
+      }
+
+      return { resumed, extended };
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'RESUME_VOTING',
+      entity: 'suspension',
+      entityId: id,
+      payload: {
+        scope: suspensionScope(suspension),
+        electionId: suspension.electionId,
+        positionId: suspension.positionId,
+        suspendedAt: suspension.suspendedAt,
+        resumedAt,
+        note: note?.trim() || null,
+        extendedMinutes,
+        extendedPositions: extended,
+      },
+    });
+
+    res.json({
+      message: extendedMinutes
+        ? `Voting resumed; ${extended.length} voting window(s) extended by ${extendedMinutes} minute(s)`
+        : 'Voting resumed',
+      suspension: { ...resumed, scope: suspensionScope(resumed) },
+      extended,
+    });
+  } catch (error) {
+    console.error('Resume voting error:', error);
+    res.status(500).json({ error: 'Failed to resume voting' });
+  }
+};
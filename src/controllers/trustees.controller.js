@@ -0,0 +1,425 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { createElectionKey, decodeShare, hashShare, isPublicKey, sealShare, keyFingerprint } = require('../utils/voteEncryption');
+const { findSealedPositions, submittedShareIndexes, holdSubmittedShare, decryptClosedPositions } = require('../utils/trustees');
+const { commitCastVotes } = require('../utils/castVoteRecord');
+
+// Phases in which trustees can still be appointed (no votes exist yet)
+const SETUP_STATES = ['DRAFT', 'NOMINATIONS'];
+
+// Get an election's trustees and the state of the ceremony (Admin/Officer, or one of the trustees)
+exports.getTrustees = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+      select: {
+        id: true,
+        name: true,
+        state: true,
+        encryptionPublicKey: true,
+        trusteeThreshold: true,
+        trustees: {
+          select: {
+            userId: true,
+            shareIndex: true,
+            collectedAt: true,
+            user: { select: { name: true, role: true } },
+          },
+          orderBy: { shareIndex: 'asc' },
+        },
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const isTrustee = election.trustees.some((t) => t.userId === req.user.id);
+    if (!['ADMIN', 'OFFICER'].includes(req.user.role) && !isTrustee) {
+      return res.status(403).json({ error: 'Only trustees of this election can view its ceremony' });
+    }
+
+    const { encryptionPublicKey, trusteeThreshold, trustees, ...details } = election;
+    const submitted = submittedShareIndexes(electionId);
+
+    res.json({
+      election: details,
+      publicKey: encryptionPublicKey,
+      keyFingerprint: encryptionPublicKey ? keyFingerprint(encryptionPublicKey) : null,
+      threshold: trusteeThreshold,
+      trustees: trustees.map((t) => ({
+        userId: t.userId,
+        name: t.user.name,
+        role: t.user.role,
+        shareIndex: t.shareIndex,
+        collected: Boolean(t.collectedAt),
+        submitted: submitted.includes(t.shareIndex),
+      })),
+      sharesSubmitted: submitted.length,
+      sealedPositions: await findSealedPositions(electionId),
+    });
+  } catch (error) {
+    console.error('Get trustees error:', error);
+    res.status(500).json({ error: 'Failed to fetch trustees' });
+  }
+};
+
+/**
+ * Register the public key your key shares are encrypted to (any user who may become a trustee)
+ * Generate the key pair offline with `npm run trustee:key -- generate <file>`; only the public key is sent.
+ */
+exports.registerTrusteeKey = async (req, res) => {
+  try {
+    const { publicKey } = req.body;
+
+    if (!isPublicKey(publicKey)) {
+      return res.status(400).json({
+        error: 'publicKey must be a base64 X25519 public key',
+        hint: 'Generate one with: npm run trustee:key -- generate trustee-key.pem',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { trusteePublicKey: publicKey },
+    });
+
+    await logAudit({
+      actorType: req.user.role.toLowerCase(),
+      actorId: req.user.id,
+      action: 'REGISTER_TRUSTEE_KEY',
+      entity: 'user',
+      entityId: req.user.id,
+      payload: { keyFingerprint: keyFingerprint(publicKey) },
+    });
+
+    res.json({
+      message: 'Trustee key registered. Shares you are given from now on are encrypted to it.',
+      keyFingerprint: keyFingerprint(publicKey),
+    });
+  } catch (error) {
+    console.error('Register trustee key error:', error);
+    res.status(500).json({ error: 'Failed to register trustee key' });
+  }
+};
+
+/**
+ * Appoint an election's trustees (Admin only)
+ * Generates the election key and splits it into one share per trustee, any `threshold` of
+ * which can decrypt the votes. Each share is stored only encrypted to its trustee's registered
+ * key. Appointing again before voting opens replaces the key and shares.
+ */
+exports.setupTrustees = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+    const { userIds, threshold } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ error: 'userIds must list at least one trustee' });
+    }
+
+    const uniqueUserIds = [...new Set(userIds)];
+    if (uniqueUserIds.length !== userIds.length) {
+      return res.status(400).json({ error: 'Each trustee may only be appointed once' });
+    }
+
+    if (uniqueUserIds.length > 255) {
+      return res.status(400).json({ error: 'An election can have at most 255 trustees' });
+    }
+
+    const k = parseInt(threshold);
+    if (!Number.isInteger(k) || k < 1 || k > uniqueUserIds.length) {
+      return res.status(400).json({ error: `threshold must be between 1 and the number of trustees (${uniqueUserIds.length})` });
+    }
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!SETUP_STATES.includes(election.state)) {
+      return res.status(400).json({
+        error: 'Trustees can only be appointed before voting opens',
+        electionState: election.state,
+      });
+    }
+
+    const users = await prisma.user.findMany({
+      where: { id: { in: uniqueUserIds }, status: 'ACTIVE' },
+      select: { id: true, name: true, role: true, trusteePublicKey: true },
+    });
+
+    if (users.length !== uniqueUserIds.length) {
+      return res.status(400).json({
+        error: 'Some trustees are not active users',
+        userIds: uniqueUserIds.filter((id) => !users.some((u) => u.id === id)),
+      });
+    }
+
+    const withoutKey = users.filter((u) => !u.trusteePublicKey);
+    if (withoutKey.length > 0) {
+      return res.status(400).json({
+        error: 'Some trustees have not registered a trustee key',
+        userIds: withoutKey.map((u) => u.id),
+        hint: 'Each trustee registers the public key their share is encrypted to with PUT /api/trustees/key',
+      });
+    }
+    const userById = new Map(users.map((u) => [u.id, u]));
+
+    // The private key only exists inside createElectionKey; from here on it is just the shares
+    const { publicKey, shares } = createElectionKey(uniqueUserIds.length, k);
+
+    await prisma.$transaction([
+      prisma.electionTrustee.deleteMany({ where: { electionId } }),
+      prisma.electionTrustee.createMany({
+        data: uniqueUserIds.map((userId, i) => ({
+          electionId,
+          userId,
+          shareIndex: i + 1,
+          shareHash: hashShare(shares[i]),
+          encryptedShare: sealShare(userById.get(userId).trusteePublicKey, electionId, i + 1, shares[i]),
+        })),
+      }),
+      prisma.election.update({
+        where: { id: electionId },
+        data: { encryptionPublicKey: publicKey, trusteeThreshold: k },
+      }),
+    ]);
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'SETUP_TRUSTEES',
+      entity: 'election',
+      entityId: electionId,
+      payload: {
+        trustees: users.map((u) => ({ userId: u.id, name: u.name, role: u.role, keyFingerprint: keyFingerprint(u.trusteePublicKey) })),
+        threshold: k,
+        keyFingerprint: keyFingerprint(publicKey),
+        replaced: Boolean(election.encryptionPublicKey),
+      },
+    });
+
+    res.status(201).json({
+      message: `${uniqueUserIds.length} trustee(s) appointed; any ${k} of them can decrypt the votes`,
+      publicKey,
+      keyFingerprint: keyFingerprint(publicKey),
+      threshold: k,
+      hint: 'Each trustee collects their key share with POST /api/trustees/elections/:electionId/collect before voting opens',
+    });
+  } catch (error) {
+    console.error('Setup trustees error:', error);
+    res.status(500).json({ error: 'Failed to appoint trustees' });
+  }
+};
+
+// Get the elections the current user is a trustee of
+exports.getMyTrusteeships = async (req, res) => {
+  try {
+    const trusteeships = await prisma.electionTrustee.findMany({
+      where: { userId: req.user.id },
+      select: {
+        shareIndex: true,
+        collectedAt: true,
+        election: {
+          select: { id: true, name: true, state: true, trusteeThreshold: true, encryptionPublicKey: true },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json(trusteeships.map(({ election, ...t }) => ({
+      election: { id: election.id, name: election.name, state: election.state },
+      threshold: election.trusteeThreshold,
+      keyFingerprint: keyFingerprint(election.encryptionPublicKey),
+      shareIndex: t.shareIndex,
+      collected: Boolean(t.collectedAt),
+      submitted: submittedShareIndexes(election.id).includes(t.shareIndex),
+    })));
+  } catch (error) {
+    console.error('Get trusteeships error:', error);
+    res.status(500).json({ error: 'Failed to fetch trusteeships' });
+  }
+};
+
+/**
+ * Collect your key share (trustee only, once)
+ * The share comes encrypted to your trustee key and is removed from the server as it is handed
+ * over; open it and keep it offline until the tally.
+ */
+exports.collectShare = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+
+    const trustee = await prisma.electionTrustee.findUnique({
+      where: { electionId_userId: { electionId, userId: req.user.id } },
+    });
+
+    if (!trustee) {
+      return res.status(403).json({ error: 'You are not a trustee of this election' });
+    }
+
+    // Claim the share so two requests cannot both receive it
+    const claimed = await prisma.electionTrustee.updateMany({
+      where: { id: trustee.id, encryptedShare: { not: null } },
+      data: { encryptedShare: null, collectedAt: new Date() },
+    });
+
+    if (claimed.count !== 1) {
+      return res.status(410).json({
+        error: 'Your key share has already been collected',
+        hint: 'Shares are handed out once. If it was lost, an admin can appoint the trustees again before voting opens.',
+      });
+    }
+
+    await logAudit({
+      actorType: req.user.role.toLowerCase(),
+      actorId: req.user.id,
+      action: 'COLLECT_KEY_SHARE',
+      entity: 'election',
+      entityId: electionId,
+      payload: { shareIndex: trustee.shareIndex },
+    });
+
+    res.json({
+      encryptedShare: trustee.encryptedShare,
+      electionId,
+      shareIndex: trustee.shareIndex,
+      message: 'Store this key share safely offline. It is not kept on the server and cannot be shown again.',
+      hint: `Open it with your private key: npm run trustee:key -- open trustee-key.pem ${electionId} ${trustee.shareIndex} <encryptedShare>`,
+    });
+  } catch (error) {
+    console.error('Collect key share error:', error);
+    res.status(500).json({ error: 'Failed to collect key share' });
+  }
+};
+
+/**
+ * Submit your key share for decryption (trustee only)
+ * Accepted once a position's voting has closed. The share that completes the threshold
+ * decrypts every closed position; all submitted shares are then dropped. Shares are held in
+ * memory only, so after a restart they have to be submitted again.
+ */
+exports.submitShare = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+    const { share } = req.body;
+
+    if (!decodeShare(share)) {
+      return res.status(400).json({ error: 'Key shares look like ELS1-<number>-<64 hex characters>' });
+    }
+
+    const trustee = await prisma.electionTrustee.findUnique({
+      where: { electionId_userId: { electionId, userId: req.user.id } },
+      include: { election: { select: { state: true, merkleRoot: true } } },
+    });
+
+    if (!trustee) {
+      return res.status(403).json({ error: 'You are not a trustee of this election' });
+    }
+
+    if (!['VOTING', 'CLOSED'].includes(trustee.election.state)) {
+      return res.status(400).json({
+        error: 'Key shares are submitted after voting closes and before certification',
+        electionState: trustee.election.state,
+      });
+    }
+
+    const closed = await prisma.encryptedVote.count({
+      where: { position: { electionId, votingCloses: { lte: new Date() } } },
+    });
+    if (closed === 0) {
+      return res.status(400).json({ error: 'There are no encrypted votes from closed positions to decrypt' });
+    }
+
+    if (hashShare(share) !== trustee.shareHash) {
+      return res.status(400).json({ error: 'This is not your key share for this election' });
+    }
+
+    // Held in memory only until the decryption it completes
+    if (!holdSubmittedShare(electionId, trustee.shareIndex, share.trim())) {
+      return res.status(409).json({ error: 'You have already submitted your key share for this decryption' });
+    }
+
+    await logAudit({
+      actorType: req.user.role.toLowerCase(),
+      actorId: req.user.id,
+      action: 'SUBMIT_KEY_SHARE',
+      entity: 'election',
+      entityId: electionId,
+      payload: { shareIndex: trustee.shareIndex },
+    });
+
+    let decrypted;
+    try {
+      decrypted = await decryptClosedPositions(electionId);
+    } catch (error) {
+      console.error('Decrypt votes error:', error);
+
+      await logAudit({
+        actorType: 'system',
+        action: 'DECRYPT_VOTES_FAILED',
+        entity: 'election',
+        entityId: electionId,
+        payload: { reason: error.message },
+      });
+
+      return res.status(500).json({
+        error: 'The votes could not be decrypted',
+        hint: 'Submitted shares have been dropped; trustees need to submit them again. Nothing was changed.',
+      });
+    }
+
+    if (!decrypted) {
+      const election = await prisma.election.findUnique({
+        where: { id: electionId },
+        select: { trusteeThreshold: true },
+      });
+      return res.json({
+        message: 'Key share accepted',
+        sharesSubmitted: submittedShareIndexes(electionId).length,
+        threshold: election.trusteeThreshold,
+      });
+    }
+
+    await logAudit({
+      actorType: 'system',
+      action: 'DECRYPT_VOTES',
+      entity: 'election',
+      entityId: electionId,
+      payload: decrypted,
+    });
+
+    // The last encrypted votes of a closed election: commit the cast ballots now (see updateElectionState)
+    let commitment = null;
+    if (trustee.election.state === 'CLOSED' && !trustee.election.merkleRoot && (await findSealedPositions(electionId)).length === 0) {
+      commitment = await commitCastVotes(electionId);
+
+      await logAudit({
+        actorType: 'system',
+        action: 'COMMIT_CAST_VOTES',
+        entity: 'election',
+        entityId: electionId,
+        payload: {
+          electionId,
+          merkleRoot: commitment.root,
+          leafCount: commitment.leafCount,
+        },
+      });
+    }
+
+    res.json({
+      message: `Key share accepted; votes of ${decrypted.positionIds.length} position(s) decrypted`,
+      decrypted,
+      merkleRoot: commitment?.root || null,
+    });
+  } catch (error) {
+    console.error('Submit key share error:', error);
+    res.status(500).json({ error: 'Failed to submit key share' });
+  }
+};
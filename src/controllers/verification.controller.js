@@ -3,13 +3,52 @@ const bcrypt = require('bcryptjs');
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
 const { sendOTPEmail } = require('../utils/emailService');
+const { findElectionSuspension, suspendedResponse } = require('../utils/suspension');
+const { generateBallotToken, hashBallotToken, voterProfile } = require('../utils/ballotToken');
+const { findPendingBallotRound } = require('../utils/ballotRounds');
+
+/**
+ * Resolve which election a voter is verifying for.
+ * Uses the election_id sent by the client; when omitted, falls back to the
+ * only election currently open for voting (if there is exactly one).
+ * @returns {Promise<{election?: Object, error?: string}>}
+ */
+const resolveVotingElection = async (electionId) => {
+  if (electionId) {
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+    });
+    if (!election) {
+      return { error: 'Election not found' };
+    }
+    if (election.state !== 'VOTING') {
+      return { error: 'This election is not open for voting' };
+    }
+    return { election };
+  }
+
+  const openElections = await prisma.election.findMany({
+    where: { state: 'VOTING' },
+    take: 2,
+  });
+
+  if (openElections.length === 1) {
+    return { election: openElections[0] };
+  }
+
+  return {
+    error: openElections.length === 0
+      ? 'No election is currently open for voting'
+      : 'Election is required when more than one election is open for voting',
+  };
+};
 
 /**
  * Request OTP for voter verification
  * 
  * Flow:
- * 1. Voter enters registration number
- * 2. System finds eligible voter
+ * 1. Voter enters registration number (and the election they are voting in)
+ * 2. System finds eligible voter on that election's voter roll
  * 3. Generates OTP
  * 4. Sends OTP via Email
  * 5. Stores hashed OTP in database
@@ -17,15 +56,31 @@ const { sendOTPEmail } = require('../utils/emailService');
  */
 exports.requestOTP = async (req, res) => {
   try {
-    const { reg_no } = req.body;
+    const { reg_no, election_id } = req.body;
 
     if (!reg_no) {
       return res.status(400).json({ error: 'Registration number is required' });
     }
 
-    // Find eligible voter
+    const { election, error: electionError } = await resolveVotingElection(election_id);
+    if (electionError) {
+      return res.status(400).json({ error: electionError });
+    }
+
+    // No OTPs are sent while voting is suspended
+    const suspension = await findElectionSuspension(election.id);
+    if (suspension) {
+      return res.status(503).json(suspendedResponse(suspension));
+    }
+
+    // Find eligible voter on this election's voter roll
     const voter = await prisma.eligibleVoter.findUnique({
-      where: { regNo: reg_no.toUpperCase() },
+      where: {
+        electionId_regNo: {
+          electionId: election.id,
+          regNo: reg_no.toUpperCase(),
+        },
+      },
     });
 
     if (!voter) {
@@ -36,18 +91,13 @@ exports.requestOTP = async (req, res) => {
       return res.status(400).json({ error: 'Voter is not eligible' });
     }
 
-    // Check if voter has already voted (prevent repeat verification)
-    const existingBallot = await prisma.ballot.findFirst({
-      where: {
-        voterId: voter.id,
-        status: 'CONSUMED',
-      },
-    });
-
-    if (existingBallot) {
+    // Check if voter already has a ballot for every round (prevent repeat verification).
+    // Tokens are random and only the voter holds theirs, so an issued ballot cannot be
+    // found again or re-issued; the issuances are all there is to check.
+    if (!(await findPendingBallotRound(election.id, voter.id))) {
       return res.status(400).json({ 
-        error: 'You have already voted. Ballot already used.',
-        hint: 'Each voter can only vote once',
+        error: 'You have already been issued a ballot.',
+        hint: 'Each voter is issued one ballot (and one for each runoff or re-run), and its token cannot be shown again',
       });
     }
 
@@ -132,6 +182,7 @@ exports.requestOTP = async (req, res) => {
       entity: 'verification',
       entityId: verification.id,
       payload: { 
+        electionId: election.id,
         voterId: voter.id,
         regNo: voter.regNo,
         method: 'EMAIL',
@@ -145,6 +196,7 @@ exports.requestOTP = async (req, res) => {
       hint: 'Check your email inbox (and spam folder) for the verification code. It may take a few moments to arrive.',
       sentVia: ['EMAIL'],
       email: voter.email, // Include email for user confirmation
+      electionId: election.id,
     });
   } catch (error) {
     console.error('Request OTP error:', error);
@@ -164,15 +216,31 @@ exports.requestOTP = async (req, res) => {
  */
 exports.confirmOTP = async (req, res) => {
   try {
-    const { reg_no, otp } = req.body;
+    const { reg_no, otp, election_id } = req.body;
 
     if (!reg_no || !otp) {
       return res.status(400).json({ error: 'Registration number and OTP are required' });
     }
 
-    // Find eligible voter
+    const { election, error: electionError } = await resolveVotingElection(election_id);
+    if (electionError) {
+      return res.status(400).json({ error: electionError });
+    }
+
+    // Ballots are not issued while voting is suspended
+    const suspension = await findElectionSuspension(election.id);
+    if (suspension) {
+      return res.status(503).json(suspendedResponse(suspension));
+    }
+
+    // Find eligible voter on this election's voter roll
     const voter = await prisma.eligibleVoter.findUnique({
-      where: { regNo: reg_no.toUpperCase() },
+      where: {
+        electionId_regNo: {
+          electionId: election.id,
+          regNo: reg_no.toUpperCase(),
+        },
+      },
     });
 
     if (!voter) {
@@ -216,17 +284,11 @@ exports.confirmOTP = async (req, res) => {
       return res.status(401).json({ error: 'Invalid OTP' });
     }
 
-    // Check if voter has already voted
-    const existingBallot = await prisma.ballot.findFirst({
-      where: {
-        voterId: voter.id,
-        status: 'CONSUMED',
-      },
-    });
-
-    if (existingBallot) {
+    // Check if voter already has a ballot for every round
+    const round = await findPendingBallotRound(election.id, voter.id);
+    if (!round) {
       return res.status(400).json({ 
-        error: 'You have already voted. Ballot already used.',
+        error: 'You have already been issued a ballot.',
       });
     }
 
@@ -238,44 +300,69 @@ exports.confirmOTP = async (req, res) => {
       },
     });
 
-    // Generate single-use ballot token
-    const ballotToken = crypto.randomBytes(32).toString('hex');
+    // Generate the voter's single-use ballot token
+    const ballotToken = generateBallotToken();
 
-    // Create ballot
-    const ballot = await prisma.ballot.create({
-      data: {
-        voterId: voter.id,
-        token: ballotToken,
-        status: 'ACTIVE',
-      },
+    // The ballot keeps only the attributes its round's electorates check
+    const positions = await prisma.position.findMany({
+      where: { electionId: election.id, ballotRound: round },
+      select: { electorate: true },
     });
 
-    // Link verification to ballot
-    await prisma.verification.update({
-      where: { id: verification.id },
-      data: {
-        ballotToken: ballotToken,
-      },
-    });
+    // Record that the voter was issued a ballot, and the ballot itself, separately:
+    // the issuance names the voter, the ballot only knows the token's hash.
+    // The issuance is unique per voter and round, so of two concurrent confirmations only one gets a ballot.
+    let issuance;
+    try {
+      issuance = await prisma.$transaction(async (tx) => {
+        const issuance = await tx.ballotIssuance.create({
+          data: {
+            electionId: election.id,
+            voterId: voter.id,
+            round,
+          },
+        });
+
+        await tx.ballot.create({
+          data: {
+            electionId: election.id,
+            round,
+            tokenHash: hashBallotToken(ballotToken),
+            voterProfile: voterProfile(voter, positions.map((p) => p.electorate)),
+            status: 'ACTIVE',
+          },
+        });
+
+        return issuance;
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ 
+          error: 'You have already been issued a ballot.',
+        });
+      }
+      throw error;
+    }
 
-    // Log audit
+    // Log audit (the issuance, never the ballot or its token)
     await logAudit({
       actorType: 'system',
       action: 'OTP_VERIFIED_BALLOT_ISSUED',
-      entity: 'ballot',
-      entityId: ballot.id,
+      entity: 'ballot_issuance',
+      entityId: issuance.id,
       payload: { 
+        electionId: election.id,
         voterId: voter.id,
         regNo: voter.regNo,
-        ballotToken: ballotToken.substring(0, 8) + '...', // Partial token for logging
+        round,
       },
     });
 
     res.json({
       message: 'Verification successful',
       ballotToken,
-      expiresAt: ballot.issuedAt,
-      note: 'Use this token to cast your vote. It can only be used once.',
+      round,
+      note: 'Use this token to cast your vote. It can only be used once, and cannot be shown again.',
     });
   } catch (error) {
     console.error('Confirm OTP error:', error);
@@ -4,6 +4,17 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const { Readable } = require('stream');
 
+// Optional constituency columns: faculty, year_of_study and groups (separated by ";")
+const parseConstituency = (row) => {
+  const year = parseInt(row.year_of_study);
+  const groups = (row.groups || '').split(';').map((group) => group.trim()).filter(Boolean);
+  return {
+    faculty: row.faculty?.trim() || null,
+    yearOfStudy: isNaN(year) ? null : year,
+    groups: groups.length > 0 ? groups : null,
+  };
+};
+
 // Import voters from CSV
 exports.importCSV = async (req, res) => {
   try {
@@ -11,6 +22,24 @@ exports.importCSV = async (req, res) => {
       return res.status(400).json({ error: 'CSV file is required' });
     }
 
+    // Voter rolls belong to a single election
+    const { electionId } = req.body;
+    if (!electionId) {
+      return res.status(400).json({ error: 'Election is required' });
+    }
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (['CLOSED', 'CERTIFIED', 'ARCHIVED'].includes(election.state)) {
+      return res.status(400).json({ error: `Cannot import voters into a ${election.state.toLowerCase()} election` });
+    }
+
     const results = [];
     const errors = [];
     let rowNumber = 0;
@@ -35,18 +64,19 @@ exports.importCSV = async (req, res) => {
 
             // Check if voter already exists
             const existing = await prisma.eligibleVoter.findUnique({
-              where: { regNo },
+              where: { electionId_regNo: { electionId, regNo } },
             });
 
             if (existing) {
               // Update existing voter
               await prisma.eligibleVoter.update({
-                where: { regNo },
+                where: { electionId_regNo: { electionId, regNo } },
                 data: {
                   name: row.name.trim(),
                   email: row.email.trim(),
                   phone: row.phone.trim(),
                   program: row.program?.trim() || null,
+                  ...parseConstituency(row),
                   status: 'ELIGIBLE',
                 },
               });
@@ -55,11 +85,13 @@ exports.importCSV = async (req, res) => {
               // Create new voter
               await prisma.eligibleVoter.create({
                 data: {
+                  electionId,
                   regNo,
                   name: row.name.trim(),
                   email: row.email.trim(),
                   phone: row.phone.trim(),
                   program: row.program?.trim() || null,
+                  ...parseConstituency(row),
                   status: 'ELIGIBLE',
                 },
               });
@@ -74,7 +106,9 @@ exports.importCSV = async (req, res) => {
     });
 
     // Get actual count from database to verify
-    const actualCount = await prisma.eligibleVoter.count();
+    const actualCount = await prisma.eligibleVoter.count({
+      where: { electionId },
+    });
 
     // Log audit
     await logAudit({
@@ -83,6 +117,7 @@ exports.importCSV = async (req, res) => {
       action: 'IMPORT_VOTERS',
       entity: 'eligible_voter',
       payload: {
+        electionId,
         totalRows: rowNumber,
         successful: results.length,
         errors: errors.length,
@@ -111,10 +146,13 @@ exports.importCSV = async (req, res) => {
 // Get all eligible voters
 exports.getAllVoters = async (req, res) => {
   try {
-    const { page = 1, limit = 100, search } = req.query;
+    const { page = 1, limit = 100, search, electionId } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const where = {};
+    if (electionId) {
+      where.electionId = electionId;
+    }
     if (search && typeof search === 'string' && search.trim().length > 0) {
       const searchTerm = search.trim();
       // For MySQL, try without mode first (MySQL is usually case-insensitive by default)
@@ -163,38 +201,50 @@ exports.getAllVoters = async (req, res) => {
 };
 
 // Delete all voters (Admin only) - for re-importing CSV
-// Also deletes all related votes, ballots, verifications, candidates, and positions
-// This clears everything for a new voting cycle
+// Also deletes all related ballots, verifications, candidates, and positions
+// (optionally limited to one election). Refuses to run once votes have been cast:
+// finished elections must be archived through POST /api/elections/:id/archive,
+// which keeps a snapshot of the results before clearing live data.
 exports.deleteAllVoters = async (req, res) => {
   try {
-    // Get counts before deletion for audit
-    const votersCount = await prisma.eligibleVoter.count();
-    const votesCount = await prisma.vote.count();
-    const ballotsCount = await prisma.ballot.count();
-    const verificationsCount = await prisma.verification.count();
-    const candidatesCount = await prisma.candidate.count();
-    const positionsCount = await prisma.position.count();
+    const { electionId } = req.query;
+
+    // Filters limiting the deletion to one election's data (or everything when omitted)
+    const byElection = electionId ? { electionId } : {};
+    const byPosition = electionId ? { position: { electionId } } : {};
+    const byVoter = electionId ? { voter: { electionId } } : {};
+
+    const votesCast =
+      (await prisma.vote.count({ where: byPosition })) + (await prisma.encryptedVote.count({ where: byPosition }));
+    if (votesCast > 0) {
+      return res.status(409).json({
+        error: 'Cannot delete voting data while votes exist',
+        hint: 'Archive the election first. Archiving keeps a read-only snapshot of the results and then clears the live data.',
+        votesCast,
+      });
+    }
 
     // Delete in transaction to ensure data consistency
-    // Order: Votes -> Ballots -> Verifications -> Candidates -> Positions -> Voters
+    // Order: Votes -> Ballots -> Ballot issuances -> Verifications -> Candidates -> Positions -> Voters
     const result = await prisma.$transaction(async (tx) => {
       // 1. Delete all votes first (they depend on ballots, positions, and candidates)
-      const votesDeleted = await tx.vote.deleteMany({});
+      const votesDeleted = await tx.vote.deleteMany({ where: byPosition });
       
-      // 2. Delete all ballots (they depend on voters)
-      const ballotsDeleted = await tx.ballot.deleteMany({});
+      // 2. Delete all ballots, then the records of who was issued one (they depend on voters)
+      const ballotsDeleted = await tx.ballot.deleteMany({ where: byElection });
+      await tx.ballotIssuance.deleteMany({ where: byElection });
       
       // 3. Delete all verifications (they depend on voters)
-      const verificationsDeleted = await tx.verification.deleteMany({});
+      const verificationsDeleted = await tx.verification.deleteMany({ where: byVoter });
       
       // 4. Delete all candidates (they depend on positions and users)
-      const candidatesDeleted = await tx.candidate.deleteMany({});
+      const candidatesDeleted = await tx.candidate.deleteMany({ where: byPosition });
       
       // 5. Delete all positions (candidates already deleted, but positions can be deleted now)
-      const positionsDeleted = await tx.position.deleteMany({});
+      const positionsDeleted = await tx.position.deleteMany({ where: byElection });
       
       // 6. Delete all voters
-      const votersDeleted = await tx.eligibleVoter.deleteMany({});
+      const votersDeleted = await tx.eligibleVoter.deleteMany({ where: byElection });
 
       return {
         votes: votesDeleted.count,
@@ -213,13 +263,14 @@ exports.deleteAllVoters = async (req, res) => {
       action: 'DELETE_ALL_VOTING_DATA',
       entity: 'eligible_voter',
       payload: {
+        electionId: electionId || null,
         votersDeleted: result.voters,
         votesDeleted: result.votes,
         ballotsDeleted: result.ballots,
         verificationsDeleted: result.verifications,
         candidatesDeleted: result.candidates,
         positionsDeleted: result.positions,
-        reason: 'Admin cleared all voting data for new voting cycle. CSV file removed.',
+        reason: 'Admin cleared voter roll and election setup before any votes were cast. CSV file removed.',
       },
     });
 
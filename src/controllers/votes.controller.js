@@ -1,25 +1,26 @@
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
+const { isConfirmationVote, fixConfirmationVotes } = require('../utils/results');
+const { isVoterEligible } = require('../utils/eligibility');
+const { withLocalTimes, toZonedISOString } = require('../utils/timezone');
+const { findElectionSuspension, findPositionSuspensions, suspendedResponse } = require('../utils/suspension');
+const { orderCandidates } = require('../utils/ballotOrder');
+const { hashBallotToken } = require('../utils/ballotToken');
+const { generateReceipt } = require('../utils/receipts');
+const { sealVotes } = require('../utils/voteEncryption');
 
-// Helper function to parse dates consistently (same as positions controller)
-const parseDate = (dateString) => {
-  if (!dateString) return null;
-  
-  // If date string has timezone info (Z or +/-), use it directly
-  if (dateString.includes('Z') || dateString.match(/[+-]\d{2}:\d{2}$/)) {
-    return new Date(dateString);
-  }
-  
-  // For datetime-local format (YYYY-MM-DDTHH:mm), parse as local time
-  // JavaScript automatically interprets this in the server's local timezone
-  // Add seconds if missing
-  if (dateString.includes(':') && dateString.split(':').length === 2) {
-    return new Date(`${dateString}:00`);
-  }
-  
-  return new Date(dateString);
+// Voting methods where voters rank candidates instead of ticking them
+const RANKED_METHODS = ['IRV', 'STV'];
+
+// Choices that stand in for candidate selections, and the position flag that enables each
+const SPECIAL_CHOICES = {
+  ABSTAIN: 'allowAbstain',
+  NONE_OF_THE_ABOVE: 'allowNota',
 };
 
+// Answers on a confirmation ballot for an uncontested position
+const CONFIRMATION_ANSWERS = ['YES', 'NO'];
+
 /**
  * Get ballot data (positions and candidates)
  * Uses ballot token to verify voter and get voting data
@@ -33,15 +34,16 @@ exports.getBallot = async (req, res) => {
       return res.status(400).json({ error: 'Ballot token is required' });
     }
 
-    // Find ballot by token
+    // Find ballot by its token's hash (ballots never store the token or the voter)
     const ballot = await prisma.ballot.findUnique({
-      where: { token },
+      where: { tokenHash: hashBallotToken(token) },
       include: {
-        voter: {
+        election: {
           select: {
             id: true,
-            regNo: true,
             name: true,
+            state: true,
+            timezone: true,
           },
         },
       },
@@ -58,6 +60,19 @@ exports.getBallot = async (req, res) => {
       });
     }
 
+    if (ballot.election.state !== 'VOTING') {
+      return res.status(400).json({
+        error: 'This election is not open for voting',
+        electionState: ballot.election.state,
+      });
+    }
+
+    // Voting halted by an admin for this election (or everywhere)
+    const suspension = await findElectionSuspension(ballot.electionId);
+    if (suspension) {
+      return res.status(503).json(suspendedResponse(suspension));
+    }
+
     // Get all positions with open voting windows
     // Use current time for comparison (Prisma will handle timezone correctly)
     // Use Date object directly - Prisma handles timezone conversion correctly
@@ -70,6 +85,9 @@ exports.getBallot = async (req, res) => {
     
     // First, get ALL positions to debug
     const allPositions = await prisma.position.findMany({
+      where: {
+        electionId: ballot.electionId,
+      },
       orderBy: {
         name: 'asc',
       },
@@ -94,10 +112,16 @@ exports.getBallot = async (req, res) => {
       console.log(`  Is Open: ${isOpen}`);
     });
     
+    // Whether each open position is a confirmation vote is fixed before it is shown to anyone
+    await fixConfirmationVotes({ electionId: ballot.electionId });
+
     // Use Prisma query to filter positions where voting window is currently open
     // This ensures database-level filtering with consistent timezone handling
-    const positions = await prisma.position.findMany({
+    // A ballot only carries its own round's positions (the main ballot, or one runoff or re-run)
+    const openPositions = await prisma.position.findMany({
       where: {
+        electionId: ballot.electionId,
+        ballotRound: ballot.round,
         votingOpens: {
           lte: now, // Voting has opened (now >= votingOpens)
         },
@@ -110,6 +134,19 @@ exports.getBallot = async (req, res) => {
       },
     });
     
+    // Only show the positions whose electorate includes this voter
+    const eligiblePositions = openPositions.filter((position) => isVoterEligible(position.electorate, ballot.voterProfile || {}));
+
+    // Suspended positions are left off the ballot until voting on them resumes
+    const positionSuspensions = await findPositionSuspensions(eligiblePositions.map((p) => p.id));
+    const suspendedPositions = eligiblePositions
+      .filter((position) => positionSuspensions.some((s) => s.positionId === position.id))
+      .map((position) => {
+        const suspension = positionSuspensions.find((s) => s.positionId === position.id);
+        return { id: position.id, name: position.name, reason: suspension.reason, suspendedAt: suspension.suspendedAt };
+      });
+    const positions = eligiblePositions.filter((position) => !suspendedPositions.some((s) => s.id === position.id));
+
     console.log(`Backend getBallot - found ${positions.length} open positions for voting (via Prisma query)`);
     if (positions.length > 0) {
       console.log('Open positions:', positions.map(p => ({
@@ -117,7 +154,7 @@ exports.getBallot = async (req, res) => {
         votingOpens: new Date(p.votingOpens).toISOString(),
         votingCloses: new Date(p.votingCloses).toISOString(),
       })));
-    } else if (allPositions.length > 0) {
+    } else if (openPositions.length === 0 && allPositions.length > 0) {
       console.warn('⚠️ Positions exist but none are open for voting!');
       console.warn('Check the voting window times vs current time');
       console.warn('This might be a timezone issue - check server logs above for date comparisons');
@@ -139,6 +176,13 @@ exports.getBallot = async (req, res) => {
             name: true,
           },
         },
+        // Ticket positions show the running mate beside the nominee (photo in runningMatePhotoUrl)
+        runningMate: {
+          select: {
+            name: true,
+            program: true,
+          },
+        },
       },
       orderBy: {
         name: 'asc',
@@ -184,10 +228,63 @@ exports.getBallot = async (req, res) => {
       ballot: {
         id: ballot.id,
         status: ballot.status,
-        issuedAt: ballot.issuedAt,
+        round: ballot.round,
       },
-      positions,
-      candidates,
+      election: ballot.election,
+      // Positions open to this voter but suspended by an admin (not on the ballot for now)
+      suspendedPositions,
+      // Tell the client how to fill in each position: how many candidates may be
+      // selected, and whether they must be ranked (IRV/STV) instead of ticked.
+      // Plurality allows up to `seats` selections; ranked and approval ballots allow every candidate.
+      // `choices` lists the ABSTAIN / NONE_OF_THE_ABOVE options the position offers.
+      // Referendum questions take exactly one of their `answerOptions` instead of candidates.
+      // Uncontested positions are a confirmation vote: YES or NO for every candidate.
+      positions: positions.map((position) => {
+        if (position.type === 'REFERENDUM') {
+          return {
+            ...position,
+            ranked: false,
+            confirmationVote: false,
+            choices: [],
+            minSelections: 1,
+            maxSelections: 1,
+          };
+        }
+
+        const approved = candidates.filter((c) => c.positionId === position.id).length;
+        if (isConfirmationVote(position, approved)) {
+          return {
+            ...position,
+            ranked: false,
+            confirmationVote: true,
+            answerOptions: CONFIRMATION_ANSWERS,
+            choices: position.allowAbstain ? ['ABSTAIN'] : [],
+            minSelections: approved,
+            maxSelections: approved,
+          };
+        }
+
+        const ranked = RANKED_METHODS.includes(position.votingMethod);
+        return {
+          ...position,
+          ranked,
+          confirmationVote: false,
+          choices: Object.keys(SPECIAL_CHOICES).filter((choice) => position[SPECIAL_CHOICES[choice]]),
+          minSelections: position.minSelections,
+          maxSelections: position.votingMethod === 'PLURALITY'
+            ? position.seats
+            : candidates.filter((c) => c.positionId === position.id).length,
+        };
+      }).map((position) => withLocalTimes(position, ballot.election.timezone)),
+      // Each position's candidates in its ballot order (stable for this ballot across reloads)
+      candidates: positions.flatMap((position) =>
+        orderCandidates(
+          candidates.filter((c) => c.positionId === position.id),
+          position.ballotOrder,
+          ballot.id,
+          position.id
+        )
+      ),
     });
   } catch (error) {
     console.error('Get ballot error:', error);
@@ -211,14 +308,15 @@ exports.castVote = async (req, res) => {
       return res.status(400).json({ error: 'Votes are required' });
     }
 
-    // Find ballot by token
+    // Find ballot by its token's hash
     const ballot = await prisma.ballot.findUnique({
-      where: { token },
+      where: { tokenHash: hashBallotToken(token) },
       include: {
-        voter: {
+        election: {
           select: {
-            id: true,
-            regNo: true,
+            state: true,
+            timezone: true,
+            encryptionPublicKey: true,
           },
         },
       },
@@ -235,6 +333,19 @@ exports.castVote = async (req, res) => {
       });
     }
 
+    if (ballot.election.state !== 'VOTING') {
+      return res.status(400).json({
+        error: 'This election is not open for voting',
+        electionState: ballot.election.state,
+      });
+    }
+
+    // Voting halted by an admin for this election (or everywhere)
+    const suspension = await findElectionSuspension(ballot.electionId);
+    if (suspension) {
+      return res.status(503).json(suspendedResponse(suspension));
+    }
+
     // Validate voting window is still open
     // Use Date object directly - Prisma handles timezone conversion correctly
     // This must match the logic in getBallot for consistency
@@ -245,11 +356,35 @@ exports.castVote = async (req, res) => {
       timestamp: now.getTime(),
     });
     
+    // A ballot may carry several votes for the same position (multi-seat positions)
+    const positionIds = [...new Set(votes.map((v) => v.positionId))];
+
+    // Nothing is recorded while any requested position is suspended; the ballot stays unused
+    const positionSuspensions = await findPositionSuspensions(positionIds);
+    if (positionSuspensions.length > 0) {
+      const suspended = await prisma.position.findMany({
+        where: { id: { in: positionSuspensions.map((s) => s.positionId) } },
+        select: { id: true, name: true },
+      });
+      return res.status(503).json({
+        ...suspendedResponse(positionSuspensions[0]),
+        positions: suspended.map((p) => ({
+          id: p.id,
+          name: p.name,
+          reason: positionSuspensions.find((s) => s.positionId === p.id).reason,
+        })),
+      });
+    }
+
+    await fixConfirmationVotes({ id: { in: positionIds }, electionId: ballot.electionId });
+
     const positions = await prisma.position.findMany({
       where: {
         id: {
-          in: votes.map((v) => v.positionId),
+          in: positionIds,
         },
+        electionId: ballot.electionId, // Ballots are only valid for their own election
+        ballotRound: ballot.round, // ... and their own round
         votingOpens: {
           lte: now,
         },
@@ -259,16 +394,26 @@ exports.castVote = async (req, res) => {
       },
     });
 
-    console.log(`Backend castVote - found ${positions.length} open positions out of ${votes.length} requested`);
+    console.log(`Backend castVote - found ${positions.length} open positions out of ${positionIds.length} requested`);
     
-    if (positions.length !== votes.length) {
+    if (positions.length !== positionIds.length) {
       // Get position names that are not open
       const allPositions = await prisma.position.findMany({
         where: {
-          id: { in: votes.map((v) => v.positionId) },
+          id: { in: positionIds },
         },
-        select: { id: true, name: true, votingOpens: true, votingCloses: true },
+        select: { id: true, name: true, votingOpens: true, votingCloses: true, electionId: true, ballotRound: true },
       });
+
+      // Runoffs and re-runs are voted on with a ballot of their own round
+      const otherRound = allPositions.filter((p) => p.electionId === ballot.electionId && p.ballotRound !== ballot.round);
+      if (otherRound.length > 0) {
+        return res.status(400).json({
+          error: 'Some positions are not on this ballot',
+          hint: 'Runoffs and re-runs have a ballot of their own: verify again to be issued one',
+          positions: otherRound.map((p) => p.name),
+        });
+      }
       
       // Use the same now value for consistency
       const closedPositions = allPositions.filter((p) => {
@@ -297,12 +442,97 @@ exports.castVote = async (req, res) => {
           name: p.name,
           votingOpens: p.votingOpens,
           votingCloses: p.votingCloses,
+          timezone: ballot.election.timezone,
+          localTimes: {
+            votingOpens: toZonedISOString(p.votingOpens, ballot.election.timezone),
+            votingCloses: toZonedISOString(p.votingCloses, ballot.election.timezone),
+          },
         })),
       });
     }
 
+    // Voters can only vote for positions whose electorate includes them
+    const outOfConstituency = positions.filter((position) => !isVoterEligible(position.electorate, ballot.voterProfile || {}));
+    if (outOfConstituency.length > 0) {
+      return res.status(403).json({
+        error: 'You are not eligible to vote for some of these positions',
+        positions: outOfConstituency.map((p) => p.name),
+      });
+    }
+
+    // ABSTAIN / NONE_OF_THE_ABOVE votes carry no candidate and must be offered by the position
+    const invalidChoices = votes.filter((v) => v.choice && v.choice !== 'CANDIDATE' && !SPECIAL_CHOICES[v.choice]);
+    if (invalidChoices.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid vote choice',
+        hint: `Choice must be one of: CANDIDATE, ${Object.keys(SPECIAL_CHOICES).join(', ')}`,
+      });
+    }
+
+    const positionsById = new Map(positions.map((p) => [p.id, p]));
+    const isReferendum = (v) => positionsById.get(v.positionId).type === 'REFERENDUM';
+
+    // Uncontested positions are confirmation votes (YES/NO per candidate)
+    const approvedCounts = await prisma.candidate.groupBy({
+      by: ['positionId'],
+      where: {
+        positionId: { in: positionIds },
+        status: 'APPROVED',
+      },
+      _count: { _all: true },
+    });
+    const approvedFor = (positionId) =>
+      approvedCounts.find((row) => row.positionId === positionId)?._count._all || 0;
+    const isConfirmation = (positionId) => isConfirmationVote(positionsById.get(positionId), approvedFor(positionId));
+
+    const answerVotes = votes.filter(isReferendum);
+    const specialVotes = votes.filter((v) => !isReferendum(v) && SPECIAL_CHOICES[v.choice]);
+    const candidateVotes = votes.filter((v) => !isReferendum(v) && !SPECIAL_CHOICES[v.choice]);
+
+    // Referendum questions take exactly one of their answer options
+    const invalidAnswers = positions.filter((position) => {
+      if (position.type !== 'REFERENDUM') return false;
+      const answers = answerVotes.filter((v) => v.positionId === position.id);
+      return answers.length !== 1 || !position.answerOptions.includes(answers[0].answer);
+    });
+    if (invalidAnswers.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid answers for some referendum questions',
+        hint: 'Give exactly one of the offered answers for each question',
+        positions: invalidAnswers.map((p) => ({ name: p.name, answerOptions: p.answerOptions })),
+      });
+    }
+
+    // NONE_OF_THE_ABOVE is not offered on confirmation ballots, where NO rejects a candidate
+    const notOffered = specialVotes.filter(
+      (v) =>
+        !positionsById.get(v.positionId)[SPECIAL_CHOICES[v.choice]] ||
+        (v.choice === 'NONE_OF_THE_ABOVE' && isConfirmation(v.positionId))
+    );
+    if (notOffered.length > 0) {
+      return res.status(400).json({
+        error: 'Some positions do not offer the selected choice',
+        positions: notOffered.map((v) => ({ name: positionsById.get(v.positionId).name, choice: v.choice })),
+      });
+    }
+
+    // A voter who abstains or rejects every candidate cannot also select candidates for that position
+    const mixedPositions = specialVotes.filter(
+      (special) => votes.filter((v) => v.positionId === special.positionId).length > 1
+    );
+    if (mixedPositions.length > 0) {
+      return res.status(400).json({
+        error: 'ABSTAIN or NONE_OF_THE_ABOVE must be the only choice for a position',
+        positions: [...new Set(mixedPositions.map((v) => positionsById.get(v.positionId).name))],
+      });
+    }
+
     // Validate candidates exist and are approved
-    const candidateIds = votes.map((v) => v.candidateId);
+    const candidateIds = candidateVotes.map((v) => v.candidateId);
+    if (new Set(candidateIds).size !== candidateIds.length) {
+      return res.status(400).json({ error: 'Cannot vote for the same candidate more than once' });
+    }
+
     const candidates = await prisma.candidate.findMany({
       where: {
         id: {
@@ -312,74 +542,151 @@ exports.castVote = async (req, res) => {
       },
     });
 
-    if (candidates.length !== votes.length) {
+    if (candidates.length !== candidateVotes.length) {
       return res.status(400).json({ error: 'Some candidates are invalid or not approved' });
     }
 
-    // Validate one vote per position
-    const positionIds = votes.map((v) => v.positionId);
-    const uniquePositions = new Set(positionIds);
-    if (uniquePositions.size !== positionIds.length) {
-      return res.status(400).json({ error: 'Cannot vote multiple times for the same position' });
+    // Validate each candidate is standing for the position they were voted for
+    const candidatePositions = new Map(candidates.map((c) => [c.id, c.positionId]));
+    if (candidateVotes.some((v) => candidatePositions.get(v.candidateId) !== v.positionId)) {
+      return res.status(400).json({ error: 'Some candidates do not belong to the selected positions' });
     }
 
-    // Check if voter already voted for any of these positions
-    const existingVotes = await prisma.vote.findMany({
-      where: {
-        ballotId: ballot.id,
-        positionId: {
-          in: positionIds,
-        },
-      },
+    // Validate the number of selections per position
+    // Plurality: between minSelections and seats candidates
+    // Approval: at least minSelections candidates, any number of approved candidates
+    // IRV/STV: at least minSelections candidates ranked 1, 2, 3... with no gaps
+    // Confirmation: YES or NO for every approved candidate
+    // (positions answered with ABSTAIN or NONE_OF_THE_ABOVE, and referendums, have no candidate selections)
+    const invalidSelections = positions.filter((position) => {
+      if (position.type === 'REFERENDUM') return false;
+      if (specialVotes.some((v) => v.positionId === position.id)) return false;
+
+      const selected = candidateVotes.filter((v) => v.positionId === position.id);
+
+      if (isConfirmation(position.id)) {
+        return (
+          selected.length !== approvedFor(position.id) ||
+          selected.some((v) => !CONFIRMATION_ANSWERS.includes(v.answer))
+        );
+      }
+
+      if (RANKED_METHODS.includes(position.votingMethod)) {
+        const ranks = selected.map((v) => Number(v.rank)).sort((a, b) => a - b);
+        const consecutive = ranks.every((rank, index) => rank === index + 1);
+        return selected.length < position.minSelections || !consecutive;
+      }
+
+      if (position.votingMethod === 'APPROVAL') {
+        return selected.length < position.minSelections;
+      }
+
+      return selected.length < position.minSelections || selected.length > position.seats;
     });
 
-    if (existingVotes.length > 0) {
-      return res.status(400).json({ error: 'You have already voted for some of these positions' });
+    if (invalidSelections.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid number of selections for some positions',
+        hint: 'Ranked positions need each choice numbered 1, 2, 3... without gaps or repeats; confirmation votes need YES or NO for every candidate',
+        positions: invalidSelections.map((p) => ({
+          name: p.name,
+          votingMethod: p.votingMethod,
+          confirmationVote: isConfirmation(p.id),
+          minSelections: p.minSelections,
+          maxSelections: p.votingMethod === 'PLURALITY' ? p.seats : null,
+        })),
+      });
     }
 
-    // Create vote records (transaction)
-    const voteRecords = await prisma.$transaction(
-      votes.map((vote) =>
-        prisma.vote.create({
-          data: {
-            ballotId: ballot.id,
-            positionId: vote.positionId,
-            candidateId: vote.candidateId,
-          },
-        })
-      )
-    );
+    // Build vote records
+    const rankedPositionIds = positions
+      .filter((p) => RANKED_METHODS.includes(p.votingMethod) && !isConfirmation(p.id))
+      .map((p) => p.id);
+    const voteData = (vote) => {
+      if (isReferendum(vote)) {
+        return { choice: 'ANSWER', answer: vote.answer, candidateId: null, rank: null };
+      }
+      if (SPECIAL_CHOICES[vote.choice]) {
+        return { choice: vote.choice, candidateId: null, rank: null };
+      }
+      if (isConfirmation(vote.positionId)) {
+        return { choice: 'ANSWER', answer: vote.answer, candidateId: vote.candidateId, rank: null };
+      }
+      return {
+        choice: 'CANDIDATE',
+        candidateId: vote.candidateId,
+        rank: rankedPositionIds.includes(vote.positionId) ? Number(vote.rank) : null,
+      };
+    };
+    // Consume the ballot and record its votes in one transaction. The ballot is claimed with a
+    // conditional update (ACTIVE → CONSUMED) that only one request can win: a concurrent request with
+    // the same token waits on the row lock, then matches nothing and records nothing. Double submits,
+    // retries and parallel tabs therefore add votes at most once.
+    // The receipt commits to exactly the vote rows recorded, and is stored with them.
+    // Elections with trustees store the votes encrypted under the election key until the trustees decrypt them.
+    const cast = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.ballot.updateMany({
+        where: {
+          id: ballot.id,
+          status: 'ACTIVE',
+        },
+        data: {
+          status: 'CONSUMED',
+        },
+      });
 
-    // Mark ballot as consumed
-    await prisma.ballot.update({
-      where: { id: ballot.id },
-      data: {
-        status: 'CONSUMED',
-        consumedAt: new Date(),
-      },
+      if (claimed.count !== 1) {
+        return null;
+      }
+
+      const voteRows = votes.map((vote) => ({
+        ballotId: ballot.id,
+        positionId: vote.positionId,
+        ...voteData(vote),
+      }));
+      const publicKey = ballot.election.encryptionPublicKey;
+      if (publicKey) {
+        await tx.encryptedVote.createMany({ data: sealVotes(publicKey, ballot.id, voteRows) });
+      } else {
+        await tx.vote.createMany({ data: voteRows });
+      }
+
+      const receipt = generateReceipt(ballot, voteRows);
+      await tx.ballot.update({
+        where: { id: ballot.id },
+        data: receipt,
+      });
+
+      return { votesRecorded: voteRows.length, receiptCode: receipt.receiptCode };
     });
 
+    if (cast === null) {
+      return res.status(409).json({
+        error: 'This ballot has already been used',
+        hint: 'You can only vote once',
+      });
+    }
+
     // Log audit (non-blocking - don't wait for it)
+    // Only that a ballot was cast: naming the ballot or the choices here would let the entry
+    // be matched with the voter's OTP_VERIFIED_BALLOT_ISSUED entry
     logAudit({
       actorType: 'voter',
-      actorId: ballot.voter.id,
       action: 'CAST_VOTE',
-      entity: 'ballot',
-      entityId: ballot.id,
+      entity: 'election',
+      entityId: ballot.electionId,
       payload: {
-        regNo: ballot.voter.regNo,
-        positionsVoted: votes.length,
-        positions: votes.map((v) => ({
-          positionId: v.positionId,
-          candidateId: v.candidateId,
-        })),
+        electionId: ballot.electionId,
+        positionsVoted: positionIds.length,
       },
     }).catch(err => console.error('Audit log error (non-critical):', err));
 
     res.json({
       message: 'Vote cast successfully',
-      votes: voteRecords.length,
+      votes: cast.votesRecorded,
+      receiptCode: cast.receiptCode,
       note: 'Your vote has been recorded. Thank you for participating!',
+      receiptHint: 'Keep your receipt code. Once voting closes you can check it appears on the bulletin board at /api/bulletin.',
     });
   } catch (error) {
     console.error('Cast vote error:', error);
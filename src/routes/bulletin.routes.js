@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const bulletinController = require('../controllers/bulletin.controller');
+
+// Public routes - No authentication required (receipt codes reveal no choices)
+router.get('/', bulletinController.getBulletins);
+router.get('/:electionId', bulletinController.getBulletin);
+router.get('/:electionId/receipts/:code', bulletinController.checkReceipt);
+router.get('/:electionId/receipts/:code/proof', bulletinController.getReceiptProof);
+
+module.exports = router;
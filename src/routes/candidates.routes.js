@@ -14,6 +14,20 @@ router.post(
 
 router.get('/my', authenticate, authorize('CANDIDATE'), candidatesController.getMyNominations);
 
+// Running mate routes (tickets naming the current user)
+router.get('/running-mate', authenticate, authorize('CANDIDATE'), candidatesController.getRunningMateInvitations);
+
+router.patch(
+  '/:id/running-mate',
+  authenticate,
+  authorize('CANDIDATE'),
+  candidatesController.uploadFiles,
+  candidatesController.respondAsRunningMate
+);
+
+// Nominee names someone else after their running mate declined (or before they respond)
+router.put('/:id/running-mate', authenticate, authorize('CANDIDATE'), candidatesController.replaceRunningMate);
+
 // Officer/Admin routes
 router.get('/', authenticate, authorize(['OFFICER', 'ADMIN']), candidatesController.getAllNominations);
 
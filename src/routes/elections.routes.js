@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const electionsController = require('../controllers/elections.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Public route - Get elections open for nominations or voting
+router.get('/open', electionsController.getOpenElections);
+
+// All other routes require authentication
+router.use(authenticate);
+
+// Get all elections
+router.get('/', electionsController.getAllElections);
+
+// Saved templates and cloning from a previous cycle (Admin only)
+router.get('/templates', authorize('ADMIN'), electionsController.getTemplates);
+router.post('/templates', authorize('ADMIN'), electionsController.saveTemplate);
+router.delete('/templates/:templateId', authorize('ADMIN'), electionsController.deleteTemplate);
+router.post('/clone', authorize('ADMIN'), electionsController.cloneElection);
+
+// Get election by ID
+router.get('/:id', electionsController.getElectionById);
+
+// Window boundaries fired by the phase scheduler
+router.get('/:id/transitions', authorize(['ADMIN', 'OFFICER']), electionsController.getPhaseTransitions);
+
+// Results embargo status
+router.get('/:id/results', authorize(['ADMIN', 'OFFICER']), electionsController.getResultsStatus);
+
+// Admin only routes
+router.post('/', authorize('ADMIN'), electionsController.createElection);
+router.put('/:id', authorize('ADMIN'), electionsController.updateElection);
+router.patch('/:id/state', authorize('ADMIN'), electionsController.updateElectionState);
+router.post('/:id/results/release', authorize('ADMIN'), electionsController.releaseResults);
+router.post('/:id/archive', authorize('ADMIN'), electionsController.archiveElection);
+router.delete('/:id', authorize('ADMIN'), electionsController.deleteElection);
+
+module.exports = router;
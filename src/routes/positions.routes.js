@@ -19,6 +19,9 @@ router.get('/:id', positionsController.getPositionById);
 router.post('/', authorize('ADMIN'), positionsController.createPosition);
 router.put('/:id', authorize('ADMIN'), positionsController.updatePosition);
 router.patch('/:id/extend', authorize('ADMIN'), positionsController.extendTime);
+router.post('/:id/rerun', authorize('ADMIN'), positionsController.rerunPosition);
+router.post('/:id/tie-break', authorize('ADMIN'), positionsController.resolveTie);
+router.post('/:id/runoff', authorize('ADMIN'), positionsController.createRunoff);
 router.delete('/:id', authorize('ADMIN'), positionsController.deletePosition);
 
 module.exports = router;
@@ -10,6 +10,9 @@ router.use(authorize('ADMIN'));
 router.get('/turnout', reportsController.getTurnout);
 router.get('/results', reportsController.getResults);
 router.get('/audit', reportsController.getAuditLog);
+router.get('/audit/verify', reportsController.verifyAuditLog);
+router.get('/archives', reportsController.getArchives);
+router.get('/archives/:id', reportsController.getArchiveById);
 router.get('/export/:type', reportsController.exportReport);
 
 module.exports = router;
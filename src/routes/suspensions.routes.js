@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const suspensionsController = require('../controllers/suspensions.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get suspensions (?electionId=..., ?active=true)
+router.get('/', authorize(['ADMIN', 'OFFICER']), suspensionsController.getSuspensions);
+
+// Admin only routes
+router.post('/', authorize('ADMIN'), suspensionsController.suspendVoting);
+router.post('/:id/resume', authorize('ADMIN'), suspensionsController.resumeVoting);
+
+module.exports = router;
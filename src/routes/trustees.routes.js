@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const trusteesController = require('../controllers/trustees.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// All routes require authentication; trustees can be any active user
+router.use(authenticate);
+
+// The current user's trusteeships
+router.get('/mine', trusteesController.getMyTrusteeships);
+
+// The public key the current user's key shares are encrypted to
+router.put('/key', trusteesController.registerTrusteeKey);
+
+// Ceremony status (Admin/Officer or the election's trustees)
+router.get('/elections/:electionId', trusteesController.getTrustees);
+
+// Admin only routes
+router.post('/elections/:electionId', authorize('ADMIN'), trusteesController.setupTrustees);
+
+// Trustee only routes (checked in the controller)
+router.post('/elections/:electionId/collect', trusteesController.collectShare);
+router.post('/elections/:electionId/shares', trusteesController.submitShare);
+
+module.exports = router;
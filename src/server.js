@@ -5,6 +5,8 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { testConnection } = require('./config/prisma');
+const { startScheduler } = require('./utils/scheduler');
+const { startAuditCheckpoints } = require('./utils/auditChain');
 
 dotenv.config();
 
@@ -84,12 +86,16 @@ app.use(
 app.use('/api/auth', require('./routes/auth.routes'));
 app.use('/api/admin', require('./routes/admin-recovery.routes'));
 app.use('/api/users', require('./routes/users.routes'));
+app.use('/api/elections', require('./routes/elections.routes'));
 app.use('/api/positions', require('./routes/positions.routes'));
 app.use('/api/candidates', require('./routes/candidates.routes'));
 app.use('/api/voters', require('./routes/voters.routes'));
 app.use('/api/verify', require('./routes/verification.routes'));
 app.use('/api/vote', require('./routes/votes.routes'));
 app.use('/api/reports', require('./routes/reports.routes'));
+app.use('/api/suspensions', require('./routes/suspensions.routes'));
+app.use('/api/bulletin', require('./routes/bulletin.routes'));
+app.use('/api/trustees', require('./routes/trustees.routes'));
 app.use('/api/email', require('./routes/email-test.routes'));
 
 // ----------------------------
@@ -138,6 +144,12 @@ async function startServer() {
       console.log(`📝 Environment: ${env}`);
       console.log(`🌐 Access at: ${url}`);
       console.log(`✅ CORS enabled for localhost`);
+
+      // Fire position window boundaries (catching up any missed while the server was down)
+      startScheduler();
+
+      // Periodically sign the head of the audit log's hash chain
+      startAuditCheckpoints();
     });
   } catch (error) {
     console.error('\n❌ Failed to start server due to database connection error');
@@ -0,0 +1,142 @@
+const { prisma } = require('../config/prisma');
+const { computeTurnout, computeResults } = require('./results');
+const { canonicalStringify, sha256 } = require('./hashing');
+
+/**
+ * Election Archive Helpers
+ *
+ * Retention settings (ARCHIVE_RETENTION in .env, overridable per archive):
+ * - AGGREGATE: keep tallies, turnout and a scrubbed audit trail; drop all voter PII (default)
+ * - FULL: additionally keep the voter roll with a ballot-issued flag (how each voter voted is never recorded)
+ */
+const RETENTION_OPTIONS = ['AGGREGATE', 'FULL'];
+
+// Audit payload fields that identify a voter and are dropped under AGGREGATE retention
+const VOTER_PII_FIELDS = ['regNo', 'voterId', 'email', 'phone', 'ip', 'userAgent'];
+
+const getDefaultRetention = () => {
+  const configured = process.env.ARCHIVE_RETENTION?.trim().toUpperCase();
+  return RETENTION_OPTIONS.includes(configured) ? configured : 'AGGREGATE';
+};
+
+// Remove voter-identifying details from an audit entry
+const scrubAuditEntry = (entry) => {
+  const payload = entry.payload && typeof entry.payload === 'object' ? { ...entry.payload } : entry.payload;
+  if (payload && typeof payload === 'object') {
+    VOTER_PII_FIELDS.forEach((field) => delete payload[field]);
+  }
+
+  return {
+    ...entry,
+    actorId: entry.actorType === 'voter' ? null : entry.actorId,
+    payload,
+  };
+};
+
+/**
+ * Build the read-only snapshot of an election
+ * @param {Object} election - The election record
+ * @param {String} retention - One of RETENTION_OPTIONS
+ * @returns {Promise<Object>} Plain JSON snapshot (dates as ISO strings)
+ */
+const buildElectionSnapshot = async (election, retention) => {
+  const positions = await prisma.position.findMany({
+    where: { electionId: election.id },
+    include: {
+      candidates: {
+        select: {
+          id: true,
+          name: true,
+          program: true,
+          manifestoUrl: true,
+          photoUrl: true,
+          status: true,
+          reason: true,
+          createdAt: true,
+        },
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  const [results, turnout] = await Promise.all([
+    computeResults(election.id),
+    computeTurnout(election.id),
+  ]);
+
+  // Audit entries about this election or anything that belongs to it
+  const ballots = await prisma.ballot.findMany({
+    where: { electionId: election.id },
+    select: { id: true, status: true, receiptCode: true },
+  });
+  const relatedIds = [
+    election.id,
+    ...positions.map((p) => p.id),
+    ...positions.flatMap((p) => p.candidates.map((c) => c.id)),
+    ...ballots.map((b) => b.id),
+  ];
+
+  const auditLog = await prisma.auditLog.findMany({
+    where: {
+      OR: [
+        { entityId: { in: relatedIds } },
+        { payload: { path: '$.electionId', equals: election.id } },
+      ],
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const snapshot = {
+    election: {
+      id: election.id,
+      name: election.name,
+      description: election.description,
+      state: election.state,
+      createdAt: election.createdAt,
+    },
+    positions,
+    results,
+    turnout,
+    auditLog: retention === 'FULL' ? auditLog : auditLog.map(scrubAuditEntry),
+    // Receipt codes of cast ballots, so voters can still check theirs on the bulletin board
+    bulletin: ballots
+      .filter((b) => b.status === 'CONSUMED' && b.receiptCode)
+      .map((b) => b.receiptCode)
+      .sort(),
+  };
+
+  if (retention === 'FULL') {
+    const voters = await prisma.eligibleVoter.findMany({
+      where: { electionId: election.id },
+      select: { id: true, regNo: true, name: true, program: true, status: true },
+      orderBy: { regNo: 'asc' },
+    });
+    const issuances = await prisma.ballotIssuance.findMany({
+      where: { electionId: election.id },
+      select: { voterId: true },
+    });
+    const issuedIds = new Set(issuances.map((i) => i.voterId));
+
+    snapshot.voterRoll = voters.map(({ id, ...voter }) => ({
+      ...voter,
+      ballotIssued: issuedIds.has(id),
+    }));
+  }
+
+  // Round-trip through JSON so the stored value and its hash agree exactly
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Digest of a snapshot, stored alongside it to detect later modification
+ * @param {Object} snapshot
+ * @returns {String} SHA-256 hex digest
+ */
+const hashSnapshot = (snapshot) => sha256(canonicalStringify(snapshot));
+
+module.exports = {
+  RETENTION_OPTIONS,
+  getDefaultRetention,
+  buildElectionSnapshot,
+  hashSnapshot,
+};
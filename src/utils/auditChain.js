@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/prisma');
+const { canonicalStringify, sha256 } = require('./hashing');
+
+/**
+ * Audit Hash Chain
+ *
+ * Every audit log entry carries a sequence number (1, 2, 3, ... with no gaps) and the hash of
+ * the entry before it, and its own hash covers both plus everything it records. Editing an entry
+ * changes its hash, deleting one leaves a gap, and either breaks every link after it, so a walk
+ * over the chain (verifyAuditChain) finds the first entry that was tampered with.
+ *
+ * Rewriting the whole chain from some point onwards would still verify, so the head of the chain
+ * is periodically signed with an Ed25519 key that is not in the database (AuditCheckpoint). The
+ * checkpoints are exported with the audit log; a copy held elsewhere pins the chain up to that entry.
+ *
+ * Entries written before chaining was introduced are numbered by the migration and hashed
+ * ("sealed") the first time the server writes or checkpoints the log.
+ *
+ * Configuration from .env:
+ * - AUDIT_SIGNING_KEY: Ed25519 private key in PEM format (PKCS#8) used to sign checkpoints;
+ *   checkpoints are not created without it
+ * - AUDIT_CHECKPOINT_INTERVAL_MS: how often a checkpoint is signed when there are new entries (default 3600000)
+ */
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+const DEFAULT_CHECKPOINT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Entries read per query while walking the chain
+const BATCH_SIZE = 1000;
+
+/**
+ * Hash of an audit log entry
+ * @param {Object} entry - Audit log row (sequence, prevHash, actor, action, entity, payload, createdAt)
+ * @returns {String}
+ */
+const entryHash = (entry) =>
+  sha256(
+    canonicalStringify({
+      sequence: entry.sequence,
+      prevHash: entry.prevHash,
+      actorType: entry.actorType,
+      actorId: entry.actorId ?? null,
+      action: entry.action,
+      entity: entry.entity ?? null,
+      entityId: entry.entityId ?? null,
+      payload: entry.payload ?? null,
+      createdAt: entry.createdAt,
+    })
+  );
+
+/**
+ * Hash entries written before chaining was introduced, in sequence order
+ * @returns {Promise<Number>} Number of entries sealed
+ */
+const sealAuditLog = async () => {
+  let sealed = 0;
+
+  for (;;) {
+    const entries = await prisma.auditLog.findMany({
+      where: { hash: null },
+      orderBy: { sequence: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (entries.length === 0) return sealed;
+
+    const previous = await prisma.auditLog.findUnique({
+      where: { sequence: entries[0].sequence - 1 },
+      select: { hash: true },
+    });
+    let prevHash = previous?.hash || GENESIS_HASH;
+
+    for (const entry of entries) {
+      const hash = entryHash({ ...entry, prevHash });
+      await prisma.auditLog.update({ where: { id: entry.id }, data: { prevHash, hash } });
+      prevHash = hash;
+      sealed++;
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Checkpoints
+// ---------------------------------------------------------------------------
+
+const isCheckpointSigningConfigured = () => Boolean(process.env.AUDIT_SIGNING_KEY?.trim());
+
+// PEM keys pasted into .env often have their line breaks escaped
+const signingKey = () => crypto.createPrivateKey(process.env.AUDIT_SIGNING_KEY.trim().replace(/\\n/g, '\n'));
+
+/**
+ * Public half of the signing key, for checking exported checkpoints
+ * @returns {String} SPKI PEM
+ */
+const checkpointPublicKey = () => crypto.createPublicKey(signingKey()).export({ type: 'spki', format: 'pem' });
+
+const keyIdOf = (publicKeyPem) => sha256(publicKeyPem).slice(0, 16);
+
+// The bytes a checkpoint signature covers
+const checkpointMessage = (checkpoint) =>
+  Buffer.from(
+    canonicalStringify({
+      sequence: checkpoint.sequence,
+      hash: checkpoint.hash,
+      createdAt: checkpoint.createdAt,
+    })
+  );
+
+/**
+ * Whether a checkpoint's signature is valid for a public key
+ * @param {Object} checkpoint - AuditCheckpoint row
+ * @param {String} publicKeyPem
+ * @returns {Boolean}
+ */
+const verifyCheckpointSignature = (checkpoint, publicKeyPem) => {
+  try {
+    return crypto.verify(null, checkpointMessage(checkpoint), publicKeyPem, Buffer.from(checkpoint.signature, 'base64'));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Sign the current head of the chain, unless it is already covered by a checkpoint
+ * @returns {Promise<Object|null>} The new checkpoint, or null when there is nothing new to sign
+ */
+const createCheckpoint = async () => {
+  await sealAuditLog();
+
+  const [head, last] = await Promise.all([
+    prisma.auditLog.findFirst({ orderBy: { sequence: 'desc' }, select: { sequence: true, hash: true } }),
+    prisma.auditCheckpoint.findFirst({ orderBy: { sequence: 'desc' }, select: { sequence: true } }),
+  ]);
+
+  if (!head || (last && last.sequence >= head.sequence)) {
+    return null;
+  }
+
+  const checkpoint = { sequence: head.sequence, hash: head.hash, createdAt: new Date() };
+  const signature = crypto.sign(null, checkpointMessage(checkpoint), signingKey()).toString('base64');
+
+  try {
+    return await prisma.auditCheckpoint.create({
+      data: { ...checkpoint, keyId: keyIdOf(checkpointPublicKey()), signature },
+    });
+  } catch (error) {
+    // Another instance signed the same head
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+};
+
+/**
+ * Start signing checkpoints on an interval
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when no signing key is configured
+ */
+const startAuditCheckpoints = () => {
+  if (!isCheckpointSigningConfigured()) {
+    console.warn('⚠️  AUDIT_SIGNING_KEY not set: audit log checkpoints will not be signed');
+    return null;
+  }
+
+  const intervalMs = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MS) || DEFAULT_CHECKPOINT_INTERVAL_MS;
+
+  const tick = async () => {
+    try {
+      const checkpoint = await createCheckpoint();
+      if (checkpoint) {
+        console.log(`🔏 Audit log checkpoint signed at entry ${checkpoint.sequence}`);
+      }
+    } catch (error) {
+      console.error('Audit checkpoint error:', error);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// ---------------------------------------------------------------------------
+// Verification
+// ---------------------------------------------------------------------------
+
+/**
+ * Walk the whole chain and every checkpoint
+ * @returns {Promise<Object>} { valid, entries, head, firstBrokenLink, checkpoints }
+ */
+const verifyAuditChain = async () => {
+  let expectedSequence = 1;
+  let prevHash = GENESIS_HASH;
+  let firstBrokenLink = null;
+  const hashes = new Map();
+
+  const broken = (entry, reason, expected, found) => ({
+    sequence: entry.sequence,
+    id: entry.id,
+    action: entry.action,
+    createdAt: entry.createdAt,
+    reason,
+    expected,
+    found,
+  });
+
+  for (;;) {
+    const entries = await prisma.auditLog.findMany({
+      where: { sequence: { gte: expectedSequence } },
+      orderBy: { sequence: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (entries.length === 0) break;
+
+    for (const entry of entries) {
+      if (entry.sequence !== expectedSequence) {
+        firstBrokenLink = broken(entry, 'MISSING_ENTRIES', expectedSequence, entry.sequence);
+      } else if (!entry.hash) {
+        firstBrokenLink = broken(entry, 'UNSEALED', null, null);
+      } else if (entry.prevHash !== prevHash) {
+        firstBrokenLink = broken(entry, 'PREVIOUS_HASH_MISMATCH', prevHash, entry.prevHash);
+      } else if (entryHash(entry) !== entry.hash) {
+        firstBrokenLink = broken(entry, 'CONTENT_MODIFIED', entry.hash, entryHash(entry));
+      }
+      if (firstBrokenLink) break;
+
+      hashes.set(entry.sequence, entry.hash);
+      prevHash = entry.hash;
+      expectedSequence++;
+    }
+    if (firstBrokenLink) break;
+  }
+
+  // Checkpoints: signed by our key, and still matching the entry they cover
+  const checkpoints = await prisma.auditCheckpoint.findMany({ orderBy: { sequence: 'asc' } });
+  const publicKey = isCheckpointSigningConfigured() ? checkpointPublicKey() : null;
+  const checkpointProblems = [];
+
+  checkpoints.forEach((checkpoint) => {
+    const problem = (reason) => checkpointProblems.push({ id: checkpoint.id, sequence: checkpoint.sequence, reason });
+
+    if (!publicKey || checkpoint.keyId !== keyIdOf(publicKey)) {
+      problem('UNKNOWN_SIGNING_KEY');
+    } else if (!verifyCheckpointSignature(checkpoint, publicKey)) {
+      problem('INVALID_SIGNATURE');
+    }
+
+    if (checkpoint.sequence >= expectedSequence && !firstBrokenLink) {
+      // The chain ends before an entry that was signed for: entries were removed from the end
+      problem('ENTRIES_TRUNCATED');
+    } else if (hashes.has(checkpoint.sequence) && hashes.get(checkpoint.sequence) !== checkpoint.hash) {
+      problem('HASH_MISMATCH');
+    }
+  });
+
+  const entries = expectedSequence - 1;
+
+  return {
+    valid: !firstBrokenLink && checkpointProblems.length === 0,
+    entries,
+    head: firstBrokenLink ? null : { sequence: entries, hash: prevHash },
+    firstBrokenLink,
+    checkpoints: {
+      total: checkpoints.length,
+      lastSequence: checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].sequence : null,
+      problems: checkpointProblems,
+    },
+  };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  entryHash,
+  sealAuditLog,
+  isCheckpointSigningConfigured,
+  checkpointPublicKey,
+  verifyCheckpointSignature,
+  createCheckpoint,
+  startAuditCheckpoints,
+  verifyAuditChain,
+};
@@ -1,4 +1,47 @@
 const { prisma } = require('../config/prisma');
+const { GENESIS_HASH, entryHash, sealAuditLog } = require('./auditChain');
+
+// Attempts at appending when another server instance takes the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Entries from this process are chained one at a time, in the order they were logged
+let queue = Promise.resolve();
+let sealing = null;
+
+/**
+ * Append an entry to the end of the hash chain (see utils/auditChain)
+ * @returns {Promise<Object>} The created entry
+ */
+const appendEntry = async (data) => {
+  // Entries written before chaining must be hashed before anything is chained onto them
+  sealing = sealing || sealAuditLog().catch((error) => {
+    sealing = null;
+    throw error;
+  });
+  await sealing;
+
+  for (let attempt = 1; ; attempt++) {
+    const head = await prisma.auditLog.findFirst({
+      orderBy: { sequence: 'desc' },
+      select: { sequence: true, hash: true },
+    });
+
+    const entry = {
+      ...data,
+      sequence: head ? head.sequence + 1 : 1,
+      prevHash: head ? head.hash : GENESIS_HASH,
+      createdAt: new Date(),
+    };
+
+    try {
+      return await prisma.auditLog.create({
+        data: { ...entry, hash: entryHash(entry) },
+      });
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
 
 /**
  * Log an action to the audit log
@@ -11,17 +54,20 @@ const { prisma } = require('../config/prisma');
  * @param {Object} params.payload - Additional data (optional)
  */
 const logAudit = async ({ actorType, actorId, action, entity, entityId, payload }) => {
+  const data = {
+    actorType,
+    actorId: actorId || null,
+    action,
+    entity: entity || null,
+    entityId: entityId || null,
+    payload: payload ? JSON.parse(JSON.stringify(payload)) : null
+  };
+
+  const append = queue.then(() => appendEntry(data));
+  queue = append.catch(() => {});
+
   try {
-    await prisma.auditLog.create({
-      data: {
-        actorType,
-        actorId: actorId || null,
-        action,
-        entity: entity || null,
-        entityId: entityId || null,
-        payload: payload ? JSON.parse(JSON.stringify(payload)) : null
-      }
-    });
+    await append;
   } catch (error) {
     console.error('Failed to log audit:', error);
     // Don't throw - audit logging failure shouldn't break the app
@@ -29,4 +75,3 @@ const logAudit = async ({ actorType, actorId, action, entity, entityId, payload
 };
 
 module.exports = { logAudit };
-
@@ -0,0 +1,48 @@
+const { sha256 } = require('./hashing');
+const { seededDrawOrder } = require('./tieBreak');
+
+/**
+ * Ballot Order
+ *
+ * Listing candidates in one fixed order favours whoever comes first. Each position
+ * chooses how its candidates are listed on a voter's ballot (Position.ballotOrder):
+ * - ALPHABETICAL: by name, the same for every voter
+ * - RANDOM: a shuffle seeded from the ballot and position, so a voter sees the same
+ *   order on every reload while orders differ between voters
+ * - ROTATED: the alphabetical list started at a different candidate on each ballot
+ *   (chosen from the ballot ID), so each candidate heads about the same share of ballots
+ */
+
+const BALLOT_ORDERS = ['ALPHABETICAL', 'RANDOM', 'ROTATED'];
+
+const alphabetical = (candidates) =>
+  [...candidates].sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+
+/**
+ * Order one position's candidates for a ballot
+ * @param {Array<{id: String, name: String}>} candidates - Candidates of a single position
+ * @param {String} policy - Position.ballotOrder
+ * @param {String} ballotId
+ * @param {String} positionId
+ * @returns {Array} The candidates in ballot order
+ */
+const orderCandidates = (candidates, policy, ballotId, positionId) => {
+  const sorted = alphabetical(candidates);
+  const seed = `${ballotId}:${positionId}`;
+
+  if (policy === 'RANDOM') {
+    return seededDrawOrder(seed, sorted.map((c) => c.id)).map((id) => sorted.find((c) => c.id === id));
+  }
+
+  if (policy === 'ROTATED' && sorted.length > 1) {
+    const start = parseInt(sha256(seed).slice(0, 8), 16) % sorted.length;
+    return [...sorted.slice(start), ...sorted.slice(0, start)];
+  }
+
+  return sorted;
+};
+
+module.exports = {
+  BALLOT_ORDERS,
+  orderCandidates,
+};
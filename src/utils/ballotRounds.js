@@ -0,0 +1,72 @@
+const { prisma } = require('../config/prisma');
+
+/**
+ * Ballot Rounds
+ *
+ * A voter is issued one ballot per round of an election. Round 1 is the main ballot; every
+ * runoff or re-run gets a round of its own (Position.ballotRound), so voters who have already
+ * cast their main ballot are issued a fresh one for it. Ballots and the issuances recording who
+ * received one carry their round, and a ballot only lists and accepts its own round's positions.
+ */
+
+const MAIN_ROUND = 1;
+
+/**
+ * Round for a runoff or re-run: one after the election's latest round
+ * @param {String} electionId
+ * @param {Object} [tx] - Prisma transaction client (defaults to the shared client)
+ * @returns {Promise<Number>}
+ */
+const newBallotRound = async (electionId, tx = prisma) => {
+  const { _max } = await tx.position.aggregate({
+    where: { electionId },
+    _max: { ballotRound: true },
+  });
+  return (_max.ballotRound || MAIN_ROUND) + 1;
+};
+
+/**
+ * The round a voter is issued a ballot for next: the earliest round that still has positions to
+ * vote on and that the voter has no ballot for
+ * @param {Number[]} openRounds - Rounds of the election's positions whose voting has not closed
+ * @param {Number[]} issuedRounds - Rounds the voter has already been issued a ballot for
+ * @returns {Number|null} null when the voter holds a ballot for every such round
+ */
+const pendingBallotRound = (openRounds, issuedRounds) => {
+  // Before any position is set up, a ballot is for the main round
+  const rounds = openRounds.length > 0 ? openRounds : [MAIN_ROUND];
+  const pending = rounds.filter((round) => !issuedRounds.includes(round));
+  return pending.length > 0 ? Math.min(...pending) : null;
+};
+
+/**
+ * Look up the round a voter is issued a ballot for next (see pendingBallotRound)
+ * @param {String} electionId
+ * @param {String} voterId
+ * @returns {Promise<Number|null>}
+ */
+const findPendingBallotRound = async (electionId, voterId) => {
+  const [positions, issuances] = await Promise.all([
+    prisma.position.findMany({
+      where: { electionId, votingCloses: { gte: new Date() } },
+      select: { ballotRound: true },
+      distinct: ['ballotRound'],
+    }),
+    prisma.ballotIssuance.findMany({
+      where: { electionId, voterId },
+      select: { round: true },
+    }),
+  ]);
+
+  return pendingBallotRound(
+    positions.map((p) => p.ballotRound),
+    issuances.map((i) => i.round)
+  );
+};
+
+module.exports = {
+  MAIN_ROUND,
+  newBallotRound,
+  pendingBallotRound,
+  findPendingBallotRound,
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { sha256 } = require('./hashing');
+const { isVoterEligible } = require('./eligibility');
+
+/**
+ * Anonymous Ballot Tokens
+ *
+ * Who received a ballot (BallotIssuance: election + voter) and what was cast with it
+ * (Ballot + Vote) are stored with nothing in common but the election:
+ * - the token handed to the voter is 32 random bytes, unrelated to the voter or the election
+ * - the ballot row only stores SHA-256(token); the token itself is never stored
+ * - the ballot keeps only the voter attributes that some position's electorate matches on
+ * - ballots and votes carry no timestamps, and the audit log never names a ballot next to a voter
+ *
+ * Anyone with database access or server secrets (including admins, reports and archives)
+ * therefore cannot tell how a voter voted. The flip side is that a token cannot be shown again:
+ * the issuance is the only record that a voter received a ballot, and a voter who has one
+ * is not issued another for the same round (see utils/ballotRounds).
+ *
+ * Turnout counts CONSUMED ballots; double voting is ruled out by one issuance per voter and round
+ * and one ballot per token, and detectable by comparing the ballot count with the issuance count.
+ */
+
+// Voter attribute each electorate criterion is matched against
+const CRITERION_ATTRIBUTES = {
+  programs: 'program',
+  faculties: 'faculty',
+  yearsOfStudy: 'yearOfStudy',
+  groups: 'groups',
+};
+
+/**
+ * A new ballot token
+ * @returns {String} 64-character hex token
+ */
+const generateBallotToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * What a ballot row stores in place of its token
+ * @param {String} token
+ * @returns {String}
+ */
+const hashBallotToken = (token) => sha256(String(token));
+
+/**
+ * The voter attributes a ballot needs to pick its positions, and nothing more
+ * An attribute is kept only if it matches a value some electorate lists; any other value
+ * (or a criterion no electorate uses) would fail every check anyway, so it is stored as null.
+ * Groups are cut down to the listed groups the voter belongs to.
+ * @param {Object} voter - EligibleVoter
+ * @param {Array<Object|null>} electorates - The electorates of the election's positions
+ * @returns {{ program: String|null, faculty: String|null, yearOfStudy: Number|null, groups: Array|null }}
+ */
+const voterProfile = (voter, electorates) => {
+  const profile = { program: null, faculty: null, yearOfStudy: null, groups: null };
+
+  for (const [criterion, attribute] of Object.entries(CRITERION_ATTRIBUTES)) {
+    const lists = electorates.filter((electorate) => electorate?.[criterion]).map((electorate) => electorate[criterion]);
+
+    if (criterion === 'groups') {
+      const groups = (voter.groups || []).filter((group) => lists.some((values) => values.includes(group)));
+      profile.groups = groups.length > 0 ? groups : null;
+    } else if (lists.some((values) => isVoterEligible({ [criterion]: values }, voter))) {
+      profile[attribute] = voter[attribute] ?? null;
+    }
+  }
+
+  return profile;
+};
+
+module.exports = {
+  generateBallotToken,
+  hashBallotToken,
+  voterProfile,
+};
@@ -0,0 +1,113 @@
+const { prisma } = require('../config/prisma');
+const { commitBallots } = require('./merkle');
+const { isConfirmationVote } = require('./results');
+
+/**
+ * Cast Vote Record
+ *
+ * The anonymous cast ballots of an election (vote rows, no ballot IDs) and their receipt codes,
+ * the Merkle commitment over them (see utils/merkle), and the export file that candidates'
+ * agents check with scripts/verify-tally.js. Receipts and ballots are listed apart, each in
+ * its own order, so nothing in the file tells which receipt belongs to which choices.
+ */
+
+const EXPORT_FORMAT = 'e-londa-cast-votes/2';
+
+/**
+ * Commitment over an election's cast ballots
+ * @param {String} electionId
+ * @returns {Promise<Object>} See utils/merkle.commitBallots
+ */
+const buildCastVoteTree = async (electionId) => {
+  const ballots = await prisma.ballot.findMany({
+    where: {
+      electionId,
+      status: 'CONSUMED',
+      receiptCode: { not: null },
+    },
+    select: {
+      receiptCode: true,
+      votes: {
+        select: { positionId: true, choice: true, candidateId: true, answer: true, rank: true },
+      },
+    },
+  });
+
+  return commitBallots(ballots.map((b) => b.receiptCode), ballots);
+};
+
+/**
+ * Commit an election's cast ballots: compute the Merkle root and store it on the election
+ * @returns {Promise<{ root: String, leafCount: Number, committedAt: Date }>}
+ */
+const commitCastVotes = async (electionId) => {
+  const { receipts, root } = await buildCastVoteTree(electionId);
+  const committedAt = new Date();
+
+  await prisma.election.update({
+    where: { id: electionId },
+    data: {
+      merkleRoot: root,
+      merkleLeafCount: receipts.length,
+      merkleCommittedAt: committedAt,
+    },
+  });
+
+  return { root, leafCount: receipts.length, committedAt };
+};
+
+/**
+ * Export file of an election's cast ballots, with what is needed to recount them offline
+ * @param {Object} election - Election record (with the committed root, if any)
+ * @returns {Promise<Object>}
+ */
+const buildCastVoteExport = async (election) => {
+  const positions = await prisma.position.findMany({
+    where: { electionId: election.id },
+    include: {
+      candidates: {
+        where: { status: 'APPROVED' },
+        select: { id: true, name: true },
+        orderBy: { name: 'asc' },
+      },
+      tieBreaks: {
+        orderBy: { createdAt: 'asc' },
+        select: { drawOrder: true },
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+  const { receipts, ballots, root } = await buildCastVoteTree(election.id);
+
+  return {
+    format: EXPORT_FORMAT,
+    election: { id: election.id, name: election.name, state: election.state },
+    merkle: {
+      algorithm: 'sha256, root = node(receipts root, ballots root), receipt leaf = sha256("receipt:" + code), ' +
+        'ballot leaf = sha256("ballot:" + canonical(votes)), node = sha256("node:" + left + right)',
+      committedRoot: election.merkleRoot,
+      committedAt: election.merkleCommittedAt,
+      root,
+      leafCount: receipts.length,
+    },
+    positions: positions.map((position) => ({
+      id: position.id,
+      name: position.name,
+      type: position.type,
+      votingMethod: position.votingMethod,
+      seats: position.seats,
+      answerOptions: position.answerOptions,
+      confirmationVote: isConfirmationVote(position, position.candidates.length),
+      candidates: position.candidates,
+      drawOrders: position.tieBreaks.filter((t) => t.drawOrder).map((t) => t.drawOrder),
+    })),
+    receipts,
+    ballots,
+  };
+};
+
+module.exports = {
+  buildCastVoteTree,
+  commitCastVotes,
+  buildCastVoteExport,
+};
@@ -0,0 +1,84 @@
+const { withLocalTimes } = require('./timezone');
+
+/**
+ * Election Templates
+ *
+ * Most cycles contest the same positions. A template captures each position's setup
+ * (ballot rules, electorate, quotas, ticket settings) and its windows as minute offsets
+ * from an anchor: the earliest window boundary of the cycle. Cloning into a new cycle
+ * puts the anchor on a new date and every window keeps its place relative to it, so a
+ * whole timeline moves with one date. Runoffs and reruns are left out; they only exist
+ * because of how a past count went.
+ */
+
+// Position fields copied as they are
+const SETUP_FIELDS = [
+  'name',
+  'type',
+  'question',
+  'answerOptions',
+  'passThreshold',
+  'seats',
+  'minSelections',
+  'votingMethod',
+  'allowAbstain',
+  'allowNota',
+  'rerunOnNota',
+  'tieBreakPolicy',
+  'electorate',
+  'majorityRule',
+  'ticket',
+  'runningMateTitle',
+  'quotas',
+  'ballotOrder',
+];
+
+const WINDOW_FIELDS = ['nominationOpens', 'nominationCloses', 'votingOpens', 'votingCloses'];
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Capture the positions of an election as template position setups
+ * @param {Array} positions - Position records
+ * @returns {Array} Setups ordered by their first window, with `offsets` in minutes from the anchor
+ */
+const buildTemplatePositions = (positions) => {
+  const original = positions.filter((p) => !p.runoffOfId && !p.rerunOfId);
+  if (original.length === 0) return [];
+
+  const anchor = Math.min(...original.flatMap((p) => WINDOW_FIELDS.map((field) => new Date(p[field]).getTime())));
+
+  return original
+    .map((position) => ({
+      ...Object.fromEntries(SETUP_FIELDS.map((field) => [field, position[field] ?? null])),
+      offsets: Object.fromEntries(
+        WINDOW_FIELDS.map((field) => [field, Math.round((new Date(position[field]).getTime() - anchor) / MINUTE)])
+      ),
+    }))
+    .sort((a, b) => a.offsets.nominationOpens - b.offsets.nominationOpens || a.name.localeCompare(b.name));
+};
+
+/**
+ * Lay template positions out on a new timeline
+ * @param {Array} templatePositions - Setups from buildTemplatePositions
+ * @param {Date} anchorDate - Where the earliest window boundary of the new cycle falls
+ * @param {String} timezone - The new election's timezone (for `localTimes` in previews)
+ * @returns {Array} Position data ready to create (without electionId), with `localTimes`
+ */
+const planPositions = (templatePositions, anchorDate, timezone) =>
+  templatePositions.map(({ offsets, ...setup }) =>
+    withLocalTimes(
+      {
+        ...setup,
+        ...Object.fromEntries(
+          WINDOW_FIELDS.map((field) => [field, new Date(anchorDate.getTime() + offsets[field] * MINUTE)])
+        ),
+      },
+      timezone
+    )
+  );
+
+module.exports = {
+  buildTemplatePositions,
+  planPositions,
+};
@@ -0,0 +1,104 @@
+/**
+ * Position Electorates
+ *
+ * A position may restrict who can vote for it with an `electorate`:
+ *   { programs: [...], faculties: [...], yearsOfStudy: [...], groups: [...] }
+ * Each criterion that is present must match (values within a list are alternatives),
+ * so { faculties: ['Engineering'], yearsOfStudy: [1] } means first-year engineering students.
+ * Programs and faculties match case-insensitively; group names must match exactly.
+ * A null electorate means every voter on the election's roll.
+ */
+const TEXT_CRITERIA = ['programs', 'faculties', 'groups'];
+const CRITERIA = [...TEXT_CRITERIA, 'yearsOfStudy'];
+
+/**
+ * Validate and tidy an electorate from a request body
+ * @param {Object|null|undefined} electorate
+ * @returns {{ value: Object|null, error: String|null }}
+ */
+const normalizeElectorate = (electorate) => {
+  if (electorate === null || electorate === undefined) {
+    return { value: null, error: null };
+  }
+
+  if (typeof electorate !== 'object' || Array.isArray(electorate)) {
+    return { value: null, error: 'Electorate must be an object' };
+  }
+
+  const unknown = Object.keys(electorate).filter((key) => !CRITERIA.includes(key));
+  if (unknown.length > 0) {
+    return { value: null, error: `Unknown electorate criteria: ${unknown.join(', ')} (use ${CRITERIA.join(', ')})` };
+  }
+
+  const value = {};
+  for (const key of CRITERIA) {
+    const list = electorate[key];
+    if (list === undefined || list === null) continue;
+
+    if (!Array.isArray(list) || list.length === 0) {
+      return { value: null, error: `Electorate ${key} must be a non-empty list` };
+    }
+
+    if (key === 'yearsOfStudy') {
+      const years = list.map((year) => parseInt(year));
+      if (years.some((year) => isNaN(year) || year < 1)) {
+        return { value: null, error: 'Electorate yearsOfStudy must be positive numbers' };
+      }
+      value[key] = [...new Set(years)];
+    } else {
+      value[key] = [...new Set(list.map((item) => String(item).trim()).filter(Boolean))];
+    }
+  }
+
+  // An electorate without criteria is the whole roll
+  return { value: Object.keys(value).length > 0 ? value : null, error: null };
+};
+
+// Case- and whitespace-insensitive comparison of attribute values
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Whether a voter belongs to a position's electorate
+ * @param {Object|null} electorate - Position.electorate
+ * @param {Object} voter - EligibleVoter (program, faculty, yearOfStudy, groups)
+ * @returns {Boolean}
+ */
+const isVoterEligible = (electorate, voter) => {
+  if (!electorate) return true;
+
+  const matches = {
+    programs: (values) => Boolean(voter.program) && values.some((v) => sameText(v, voter.program)),
+    faculties: (values) => Boolean(voter.faculty) && values.some((v) => sameText(v, voter.faculty)),
+    yearsOfStudy: (values) => values.includes(voter.yearOfStudy),
+    groups: (values) => (voter.groups || []).some((group) => values.includes(group)),
+  };
+
+  return CRITERIA.every((key) => !electorate[key] || matches[key](electorate[key]));
+};
+
+/**
+ * Prisma filter selecting the voters in a position's electorate
+ * (MySQL's default collation makes the program/faculty comparisons case-insensitive)
+ * @param {Object|null} electorate - Position.electorate
+ * @returns {Object} `where` clause for prisma.eligibleVoter
+ */
+const electorateWhere = (electorate) => {
+  if (!electorate) return {};
+
+  const conditions = [];
+  if (electorate.programs) conditions.push({ program: { in: electorate.programs } });
+  if (electorate.faculties) conditions.push({ faculty: { in: electorate.faculties } });
+  if (electorate.yearsOfStudy) conditions.push({ yearOfStudy: { in: electorate.yearsOfStudy } });
+  if (electorate.groups) {
+    conditions.push({ OR: electorate.groups.map((group) => ({ groups: { array_contains: [group] } })) });
+  }
+
+  return { AND: conditions };
+};
+
+module.exports = {
+  normalizeElectorate,
+  isVoterEligible,
+  electorateWhere,
+  sameText,
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+/**
+ * Serialize a value to JSON with object keys sorted at every level.
+ * MySQL reorders keys inside JSON columns, so anything we hash must be
+ * serialized canonically to produce the same digest after a round trip.
+ * @param {*} value - Any JSON-compatible value (Dates are serialized as ISO strings)
+ * @returns {String} Canonical JSON string
+ */
+const canonicalStringify = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * SHA-256 hex digest of a string or buffer
+ * @param {String|Buffer} data
+ * @returns {String}
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+module.exports = {
+  canonicalStringify,
+  sha256,
+};
@@ -0,0 +1,153 @@
+const { canonicalStringify, sha256 } = require('./hashing');
+
+/**
+ * Merkle Commitment over Cast Ballots
+ *
+ * When voting closes, the cast ballots are committed to in two trees that share nothing
+ * but their size, so no receipt code can be matched to a set of choices:
+ * - the receipts tree: one leaf per receipt code, in receipt code order
+ * - the ballots tree: one leaf per ballot's vote rows (serialized canonically), in leaf hash order
+ * The election's root is the node over both roots (receipts left, ballots right). It is stored
+ * on the election, audit-logged and shown on the bulletin board; changing, adding or removing
+ * any receipt or vote afterwards changes it. A voter proves their receipt is in the root with
+ * the receipts tree path plus the ballots root; agents recount the ballots tree's choices.
+ *
+ * Leaves and inner nodes are hashed with different prefixes ("receipt:" / "ballot:" / "node:")
+ * so a node can never pass for a leaf. A node without a partner is carried up to the next level as is.
+ *
+ * This module has no database access so it can also be used by offline verification tools
+ * (scripts/verify-tally.js).
+ */
+
+// The vote fields committed to, in the form they are exported
+const committedVotes = (votes) =>
+  votes
+    .map((v) => ({
+      positionId: v.positionId,
+      choice: v.choice,
+      candidateId: v.candidateId ?? null,
+      answer: v.answer ?? null,
+      rank: v.rank ?? null,
+    }))
+    .sort((a, b) => canonicalStringify(a).localeCompare(canonicalStringify(b)));
+
+/**
+ * Leaf hash of a receipt code
+ * @param {String} receiptCode
+ * @returns {String}
+ */
+const receiptLeafHash = (receiptCode) => sha256(`receipt:${receiptCode}`);
+
+/**
+ * Leaf hash of a cast ballot's choices
+ * @param {{ votes: Array }} ballot
+ * @returns {String}
+ */
+const ballotLeafHash = (ballot) => sha256(`ballot:${canonicalStringify(committedVotes(ballot.votes))}`);
+
+const nodeHash = (left, right) => sha256(`node:${left}${right}`);
+
+/**
+ * Every level of the tree, leaves first, root last
+ * @param {String[]} leaves - Leaf hashes, in tree order
+ * @returns {String[][]}
+ */
+const buildMerkleTree = (leaves) => {
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? nodeHash(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+/**
+ * Root of the tree over a set of leaves (the hash of an empty string for no ballots)
+ * @param {String[]} leaves
+ * @returns {String}
+ */
+const merkleRoot = (leaves) => (leaves.length === 0 ? sha256('') : buildMerkleTree(leaves).pop()[0]);
+
+/**
+ * Sibling hashes from a leaf up to the root
+ * @param {String[][]} levels - From buildMerkleTree
+ * @param {Number} index - Position of the leaf
+ * @returns {Array<{ hash: String, side: 'left'|'right' }>}
+ */
+const inclusionProof = (levels, index) => {
+  const proof = [];
+  let position = index;
+  for (const level of levels.slice(0, -1)) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < level.length) {
+      proof.push({ hash: level[sibling], side: position % 2 === 0 ? 'right' : 'left' });
+    }
+    position = Math.floor(position / 2);
+  }
+  return proof;
+};
+
+/**
+ * Whether a leaf and its proof lead to the root
+ * @param {String} leaf
+ * @param {Array<{ hash: String, side: String }>} proof
+ * @param {String} root
+ * @returns {Boolean}
+ */
+const verifyInclusion = (leaf, proof, root) =>
+  proof.reduce((hash, step) => (step.side === 'left' ? nodeHash(step.hash, hash) : nodeHash(hash, step.hash)), leaf) ===
+  root;
+
+/**
+ * Commit to an election's cast ballots
+ * @param {String[]} receiptCodes - Receipt codes of the cast ballots
+ * @param {Array<{ votes: Array }>} ballots - The cast ballots' vote rows, in any order
+ * @returns {{ receipts: String[], receiptLevels: String[][], ballots: Array, ballotLeaves: String[], ballotsRoot: String, root: String }}
+ *   Receipts in receipt code order, ballots in leaf hash order (their export order), and the election's root
+ */
+const commitBallots = (receiptCodes, ballots) => {
+  const receipts = [...receiptCodes].sort();
+  const receiptLeaves = receipts.map(receiptLeafHash);
+
+  const ordered = ballots
+    .map((ballot) => ({ votes: committedVotes(ballot.votes) }))
+    .map((ballot) => ({ ballot, leaf: ballotLeafHash(ballot) }))
+    .sort((a, b) => a.leaf.localeCompare(b.leaf));
+  const ballotLeaves = ordered.map((entry) => entry.leaf);
+
+  return {
+    receipts,
+    receiptLevels: receiptLeaves.length > 0 ? buildMerkleTree(receiptLeaves) : [],
+    ballots: ordered.map((entry) => entry.ballot),
+    ballotLeaves,
+    ballotsRoot: merkleRoot(ballotLeaves),
+    root: nodeHash(merkleRoot(receiptLeaves), merkleRoot(ballotLeaves)),
+  };
+};
+
+/**
+ * Proof that a receipt is in an election's root: its receipts tree path, then the ballots root
+ * @param {Object} commitment - From commitBallots
+ * @param {Number} index - Position of the receipt
+ * @returns {Array<{ hash: String, side: 'left'|'right' }>}
+ */
+const receiptProof = (commitment, index) => [
+  ...inclusionProof(commitment.receiptLevels, index),
+  { hash: commitment.ballotsRoot, side: 'right' },
+];
+
+module.exports = {
+  committedVotes,
+  receiptLeafHash,
+  ballotLeafHash,
+  buildMerkleTree,
+  merkleRoot,
+  inclusionProof,
+  verifyInclusion,
+  commitBallots,
+  receiptProof,
+};
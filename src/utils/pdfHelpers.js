@@ -131,8 +131,151 @@ async function loadCandidatePhoto(photoUrl, candidateName) {
   }
 }
 
+/**
+ * Draw the round-by-round table of an IRV/STV count
+ * @param {PDFDocument} doc - The PDF being generated (drawing starts at doc.y)
+ * @param {Object} tally - Count from the tally engine, with candidateNames
+ */
+function drawRankedCountTable(doc, tally) {
+  const name = (id) => (id === 'exhausted' ? 'Exhausted' : tally.candidateNames[id] || id);
+
+  if (doc.y > doc.page.height - 150) {
+    doc.addPage();
+    doc.y = 50;
+  }
+
+  doc.fillColor('#000000')
+    .fontSize(12)
+    .font('Helvetica-Bold')
+    .text(`${tally.method} Count`, 50, doc.y);
+
+  doc.fontSize(10)
+    .font('Helvetica')
+    .text(
+      `Valid ballots: ${tally.validBallots}` + (tally.quota !== null ? `   Droop quota: ${tally.quota}` : ''),
+      50,
+      doc.y + 5
+    );
+  doc.moveDown(0.5);
+
+  tally.rounds.forEach((round) => {
+    if (doc.y > doc.page.height - 100) {
+      doc.addPage();
+      doc.y = 50;
+    }
+
+    const tallies = Object.entries(round.tallies)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, votes]) => `${name(id)} ${votes}`)
+      .join(', ');
+
+    let outcome = '';
+    if (round.elected.length > 0) {
+      outcome = `Elected: ${round.elected.map(name).join(', ')}`;
+    } else if (round.eliminated) {
+      outcome = `Eliminated: ${name(round.eliminated)}${round.tieBroken ? ' (tie broken)' : ''}`;
+    }
+
+    const transfers = Object.entries(round.transfers)
+      .map(([id, votes]) => `${name(id)} +${votes}`)
+      .join(', ');
+
+    doc.fontSize(10)
+      .font('Helvetica-Bold')
+      .text(`Round ${round.round}`, 50, doc.y);
+    doc.font('Helvetica')
+      .text(tallies + (round.exhausted > 0 ? `, Exhausted ${round.exhausted}` : ''), 70, doc.y, { width: doc.page.width - 120 })
+      .text(outcome + (transfers ? `. Transfers: ${transfers}` : ''), 70, doc.y, { width: doc.page.width - 120 });
+    doc.moveDown(0.5);
+  });
+
+  doc.moveDown(1);
+}
+
+/**
+ * Draw a referendum question with its answer counts and outcome
+ * @param {PDFDocument} doc - The PDF being generated (drawing starts at doc.y)
+ * @param {Object} referendum - `referendum` entry of a position result
+ */
+function drawReferendumResult(doc, referendum) {
+  const thresholdLabel = referendum.passThreshold === 'TWO_THIRDS' ? 'Two-thirds majority' : 'Simple majority';
+  const counted = (referendum.answers.YES || 0) + (referendum.answers.NO || 0);
+
+  doc.fillColor('#000000')
+    .fontSize(11)
+    .font('Helvetica-Oblique')
+    .text(referendum.question, 50, doc.y, { width: doc.page.width - 100 });
+  doc.moveDown(1);
+
+  Object.entries(referendum.answers).forEach(([answer, count]) => {
+    // YES/NO percentages are of the counted (YES + NO) answers; ABSTAIN is shown as a count only
+    const share = answer !== 'ABSTAIN' && counted > 0 ? ` (${((count / counted) * 100).toFixed(2)}%)` : '';
+    doc.fontSize(12)
+      .font('Helvetica')
+      .text(`${answer}: ${count}${share}`, 50, doc.y);
+    doc.moveDown(0.3);
+  });
+
+  doc.moveDown(0.5);
+  doc.fontSize(10)
+    .font('Helvetica')
+    .text(`Pass threshold: ${thresholdLabel} of YES and NO answers`, 50, doc.y);
+  doc.fontSize(12)
+    .font('Helvetica-Bold')
+    .text(referendum.passed ? 'PASSED' : 'REJECTED', 50, doc.y + 5);
+  doc.moveDown(1);
+}
+
+/**
+ * Draw how a position's reserved and open seats were filled, one line per seat
+ * @param {PDFDocument} doc - The PDF being generated (drawing starts at doc.y)
+ * @param {Object} seatAllocation - `seatAllocation` entry of a position result
+ * @param {Array} candidates - The position's candidate results (for names)
+ */
+function drawSeatAllocation(doc, seatAllocation, candidates) {
+  const name = (id) => candidates.find((c) => c.candidateId === id)?.name || id;
+  const quotas = seatAllocation.quotas.map((q) => `${q.seats} for ${q.attribute} = ${q.value}`).join(', ');
+
+  doc.fillColor('#000000')
+    .fontSize(12)
+    .font('Helvetica-Bold')
+    .text('Seat Allocation', 50, doc.y);
+
+  doc.fontSize(10)
+    .font('Helvetica')
+    .text(`Reserved seats: ${quotas}`, 50, doc.y + 5, { width: doc.page.width - 100 });
+  doc.moveDown(0.5);
+
+  seatAllocation.steps.forEach((step) => {
+    if (doc.y > doc.page.height - 100) {
+      doc.addPage();
+      doc.y = 50;
+    }
+    doc.fontSize(10)
+      .font('Helvetica')
+      .text(`Seat ${step.seat}: ${name(step.candidateId)} (${step.votes}) - ${step.reason}`, 70, doc.y, { width: doc.page.width - 120 });
+  });
+
+  seatAllocation.unfilledQuotas.forEach((quota) => {
+    doc.fontSize(10)
+      .font('Helvetica-Oblique')
+      .text(`${quota.attribute} = ${quota.value}: ${quota.reason}`, 70, doc.y, { width: doc.page.width - 120 });
+  });
+
+  if (seatAllocation.provisional) {
+    doc.fontSize(10)
+      .font('Helvetica-Oblique')
+      .text('Provisional until the tie is settled', 70, doc.y);
+  }
+
+  doc.moveDown(1);
+}
+
 module.exports = {
   generatePieChart,
   loadCandidatePhoto,
+  drawRankedCountTable,
+  drawReferendumResult,
+  drawSeatAllocation,
 };
 
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { canonicalStringify, sha256 } = require('./hashing');
+
+/**
+ * Ballot Receipts
+ *
+ * Casting a ballot returns a receipt code the voter can keep. The code is the start of
+ * SHA-256(salt:castRecord), where the cast record is the anonymous ballot ID and its vote
+ * rows. The random salt (kept on the ballot) stops anyone from guessing choices by hashing
+ * every possible ballot, so the code reveals nothing about how the voter voted, while an
+ * auditor holding the cast records can recompute every code.
+ *
+ * After voting closes every code is published on the bulletin board (GET /api/bulletin/:electionId),
+ * and a voter can look theirs up to confirm their ballot is in the count.
+ */
+
+// Hex characters of the digest shown to voters (96 bits), in groups of four
+const RECEIPT_LENGTH = 24;
+
+/**
+ * The cast record a receipt commits to
+ * @param {Object} ballot - { id, electionId }
+ * @param {Array} votes - Vote rows: { positionId, choice, candidateId, answer, rank }
+ * @returns {Object}
+ */
+const castRecord = (ballot, votes) => ({
+  ballotId: ballot.id,
+  electionId: ballot.electionId,
+  votes: votes
+    .map((v) => ({
+      positionId: v.positionId,
+      choice: v.choice || 'CANDIDATE',
+      candidateId: v.candidateId ?? null,
+      answer: v.answer ?? null,
+      rank: v.rank ?? null,
+    }))
+    .sort((a, b) => canonicalStringify(a).localeCompare(canonicalStringify(b))),
+});
+
+/**
+ * Receipt code of a cast record with a given salt
+ * @param {Object} ballot - { id, electionId }
+ * @param {Array} votes - Vote rows
+ * @param {String} salt
+ * @returns {String} e.g. "3F9A-0C1D-77E2-B845-19AC-5D03"
+ */
+const computeReceiptCode = (ballot, votes, salt) =>
+  sha256(`${salt}:${canonicalStringify(castRecord(ballot, votes))}`)
+    .slice(0, RECEIPT_LENGTH)
+    .toUpperCase()
+    .match(/.{4}/g)
+    .join('-');
+
+/**
+ * A new receipt for a ballot being cast
+ * @returns {{ receiptCode: String, receiptSalt: String }}
+ */
+const generateReceipt = (ballot, votes) => {
+  const receiptSalt = crypto.randomBytes(16).toString('hex');
+  return { receiptCode: computeReceiptCode(ballot, votes, receiptSalt), receiptSalt };
+};
+
+/**
+ * Tidy a receipt code typed by a voter (case, spaces and dashes do not matter)
+ * @param {String} code
+ * @returns {String|null} Code in canonical form, or null if it cannot be a receipt code
+ */
+const normalizeReceiptCode = (code) => {
+  const hex = String(code || '').replace(/[\s-]/g, '').toUpperCase();
+  if (!new RegExp(`^[0-9A-F]{${RECEIPT_LENGTH}}$`).test(hex)) return null;
+  return hex.match(/.{4}/g).join('-');
+};
+
+module.exports = {
+  castRecord,
+  computeReceiptCode,
+  generateReceipt,
+  normalizeReceiptCode,
+};
@@ -0,0 +1,644 @@
+const { prisma } = require('../config/prisma');
+const { runRankedCount } = require('./tallyEngine');
+const { findTieBreak } = require('./tieBreak');
+const { allocateSeats } = require('./seatAllocation');
+const { electorateWhere } = require('./eligibility');
+const { MAIN_ROUND } = require('./ballotRounds');
+
+/**
+ * Count the ballots that voted in each position (a multi-seat ballot has several vote rows)
+ * Ballots whose votes are still encrypted count too: there is one encrypted row per ballot and position.
+ * @param {String[]} positionIds
+ * @returns {Promise<Object<String, Number>>} positionId -> ballots
+ */
+const countBallotsByPosition = async (positionIds) => {
+  const [ballotsPerPosition, encryptedPerPosition] = await Promise.all([
+    prisma.vote.groupBy({
+      by: ['positionId', 'ballotId'],
+      where: { positionId: { in: positionIds } },
+    }),
+    prisma.encryptedVote.groupBy({
+      by: ['positionId'],
+      where: { positionId: { in: positionIds } },
+      _count: { _all: true },
+    }),
+  ]);
+  const counts = ballotsPerPosition.reduce((acc, row) => {
+    acc[row.positionId] = (acc[row.positionId] || 0) + 1;
+    return acc;
+  }, {});
+  encryptedPerPosition.forEach((row) => {
+    counts[row.positionId] = (counts[row.positionId] || 0) + row._count._all;
+  });
+  return counts;
+};
+
+/**
+ * Compute turnout figures for an election
+ * Besides the election-wide figures, each position reports turnout against its own
+ * electorate (see utils/eligibility), since restricted positions have fewer eligible voters.
+ * @param {String} electionId - Election to report on (all elections when omitted)
+ * @returns {Promise<Object>} Turnout counts, rates, breakdown and per-position turnout
+ */
+const computeTurnout = async (electionId) => {
+  const byElection = electionId ? { electionId } : {};
+
+  const totalVoters = await prisma.eligibleVoter.count({
+    where: { ...byElection, status: 'ELIGIBLE' },
+  });
+
+  const verifiedVoters = await prisma.verification.count({
+    where: {
+      verifiedAt: { not: null },
+      ...(electionId && { voter: { electionId } }),
+    },
+  });
+
+  // Election-wide turnout is that of the main ballot; runoffs and re-runs have ballots of their
+  // own (see utils/ballotRounds), counted in their positions' turnout
+  const votesCast = await prisma.ballot.count({
+    where: { ...byElection, round: MAIN_ROUND, status: 'CONSUMED' },
+  });
+
+  const ballotsIssued = await prisma.ballot.count({
+    where: { ...byElection, round: MAIN_ROUND },
+  });
+
+  // Every ballot must match exactly one issuance to a voter on the roll (one per voter and round).
+  // More ballots than issuances means ballots were created outside verification.
+  const allBallots = await prisma.ballot.count({
+    where: byElection,
+  });
+  const issuances = await prisma.ballotIssuance.count({
+    where: byElection,
+  });
+
+  const turnout = totalVoters > 0 ? (votesCast / totalVoters) * 100 : 0;
+  const verificationRate =
+    totalVoters > 0 ? (verifiedVoters / totalVoters) * 100 : 0;
+  const ballotUsageRate =
+    ballotsIssued > 0 ? (votesCast / ballotsIssued) * 100 : 0;
+  const nonVoters = totalVoters - votesCast;
+  const nonVoterPercentage =
+    totalVoters > 0 ? (nonVoters / totalVoters) * 100 : 0;
+
+  // Turnout per position, against the position's own electorate
+  const positions = await prisma.position.findMany({
+    where: byElection,
+    select: { id: true, electionId: true, name: true, electorate: true },
+    orderBy: { name: 'asc' },
+  });
+  const ballotsCastByPosition = await countBallotsByPosition(positions.map((p) => p.id));
+
+  const positionTurnout = await Promise.all(
+    positions.map(async (position) => {
+      const eligibleVoters = await prisma.eligibleVoter.count({
+        where: {
+          electionId: position.electionId,
+          status: 'ELIGIBLE',
+          ...electorateWhere(position.electorate),
+        },
+      });
+      const ballotsCast = ballotsCastByPosition[position.id] || 0;
+      const positionRate = eligibleVoters > 0 ? (ballotsCast / eligibleVoters) * 100 : 0;
+
+      return {
+        positionId: position.id,
+        positionName: position.name,
+        electorate: position.electorate,
+        eligibleVoters,
+        ballotsCast,
+        turnout: parseFloat(positionRate.toFixed(2)),
+      };
+    })
+  );
+
+  return {
+    electionId: electionId || null,
+    totalVoters,
+    verifiedVoters,
+    votesCast,
+    ballotsIssued,
+    nonVoters,
+    turnout: parseFloat(turnout.toFixed(2)),
+    verificationRate: parseFloat(verificationRate.toFixed(2)),
+    ballotUsageRate: parseFloat(ballotUsageRate.toFixed(2)),
+    nonVoterPercentage: parseFloat(nonVoterPercentage.toFixed(2)),
+    integrity: {
+      ballotIssuances: issuances,
+      ballots: allBallots,
+      unmatchedBallots: Math.max(allBallots - issuances, 0),
+      consistent: allBallots === issuances && votesCast <= issuances,
+    },
+    breakdown: {
+      voted: votesCast,
+      notVoted: nonVoters,
+      verified: verifiedVoters,
+      notVerified: totalVoters - verifiedVoters,
+    },
+    positions: positionTurnout,
+  };
+};
+
+// Voting methods counted by the preferential tally engine
+const RANKED_METHODS = ['IRV', 'STV'];
+
+/**
+ * Group ranked vote rows into ordered preference lists, per position
+ * @returns {Object<String, String[][]>} positionId -> ballots (candidate ids, first preference first)
+ */
+const loadRankedBallots = async (positionIds) => {
+  if (positionIds.length === 0) return {};
+
+  const votes = await prisma.vote.findMany({
+    where: { positionId: { in: positionIds }, choice: 'CANDIDATE' },
+    select: { positionId: true, ballotId: true, candidateId: true, rank: true },
+    orderBy: { rank: 'asc' },
+  });
+
+  const grouped = {};
+  votes.forEach((vote) => {
+    grouped[vote.positionId] = grouped[vote.positionId] || {};
+    grouped[vote.positionId][vote.ballotId] = grouped[vote.positionId][vote.ballotId] || [];
+    grouped[vote.positionId][vote.ballotId].push(vote.candidateId);
+  });
+
+  return Object.fromEntries(
+    Object.entries(grouped).map(([positionId, ballots]) => [positionId, Object.values(ballots)])
+  );
+};
+
+/**
+ * Order candidates for a ranked count: elected (in order of election), then
+ * candidates still continuing, then eliminated candidates (last eliminated first)
+ */
+const orderByRankedCount = (candidates, count) => {
+  const lastTallies = count.rounds.length > 0 ? count.rounds[count.rounds.length - 1].tallies : {};
+  const continuing = candidates
+    .map((c) => c.id)
+    .filter((id) => !count.elected.includes(id) && !count.eliminated.includes(id))
+    .sort((a, b) => (lastTallies[b] || 0) - (lastTallies[a] || 0));
+  const order = [...count.elected, ...continuing, ...[...count.eliminated].reverse()];
+
+  return [...candidates].sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+};
+
+/**
+ * Whether a candidate race is uncontested and voted on as a YES/NO confirmation
+ * of each candidate: it has approved candidates, but no more than there are seats.
+ * Once voting opens the answer is fixed (Position.confirmationVote, see fixConfirmationVotes),
+ * so approving or withdrawing a candidate mid-vote cannot change how ballots are read.
+ * @param {Object} position - Position record
+ * @param {Number} approvedCount - Number of APPROVED candidates for the position
+ * @returns {Boolean}
+ */
+const isConfirmationVote = (position, approvedCount) =>
+  position.confirmationVote ??
+  (position.type !== 'REFERENDUM' && approvedCount > 0 && approvedCount <= position.seats);
+
+/**
+ * Fix whether positions whose voting has opened are confirmation votes, from the candidates
+ * approved at that point. Positions already fixed keep their mode.
+ * @param {Object} where - Which positions (e.g. { electionId } or { id: { in: positionIds } })
+ */
+const fixConfirmationVotes = async (where) => {
+  const positions = await prisma.position.findMany({
+    where: { ...where, confirmationVote: null, votingOpens: { lte: new Date() } },
+    select: {
+      id: true,
+      type: true,
+      seats: true,
+      confirmationVote: true,
+      _count: { select: { candidates: { where: { status: 'APPROVED' } } } },
+    },
+  });
+
+  for (const position of positions) {
+    // Only the first request to get here fixes the mode
+    await prisma.position.updateMany({
+      where: { id: position.id, confirmationVote: null },
+      data: { confirmationVote: isConfirmationVote(position, position._count.candidates) },
+    });
+  }
+};
+
+// Share of YES among YES + NO answers a referendum needs to pass
+const PASS_RULES = {
+  SIMPLE: (yes, no) => yes > no,
+  TWO_THIRDS: (yes, no) => yes > 0 && yes * 3 >= (yes + no) * 2,
+};
+
+/**
+ * Result of a referendum question: answer counts and whether it passed.
+ * ABSTAIN answers are reported but do not count towards the pass threshold.
+ */
+const referendumResult = (position, ballotsCast, answerCounts) => {
+  const answers = Object.fromEntries(
+    position.answerOptions.map((option) => [
+      option,
+      answerCounts.find((row) => row.positionId === position.id && row.answer === option)?._count._all || 0,
+    ])
+  );
+  const yes = answers.YES || 0;
+  const no = answers.NO || 0;
+  const yesPercentage = yes + no > 0 ? ((yes / (yes + no)) * 100).toFixed(2) : '0.00';
+
+  return {
+    positionId: position.id,
+    electionId: position.electionId,
+    positionName: position.name,
+    type: position.type,
+    votingMethod: position.votingMethod,
+    seats: position.seats,
+    minSelections: position.minSelections,
+    // Voting window, shown in the election's timezone by exports
+    votingOpens: position.votingOpens,
+    votingCloses: position.votingCloses,
+    timezone: position.election.timezone,
+    confirmationVote: false,
+    totalVotes: Object.values(answers).reduce((sum, count) => sum + count, 0),
+    ballotsCast,
+    validVotes: yes + no,
+    blankVotes: answers.ABSTAIN || 0,
+    notaVotes: 0,
+    notaWins: false,
+    rerunRequired: false,
+    majority: null,
+    runoffRequired: false,
+    candidates: [],
+    winner: null,
+    winners: [],
+    ties: [],
+    tie: null,
+    seatAllocation: null,
+    tally: null,
+    referendum: {
+      question: position.question,
+      answerOptions: position.answerOptions,
+      answers,
+      passThreshold: position.passThreshold,
+      yesPercentage: parseFloat(yesPercentage),
+      passed: PASS_RULES[position.passThreshold](yes, no),
+    },
+  };
+};
+
+/**
+ * Compute per-position results for an election
+ * Plurality and approval positions rank candidates by votes (approvals) and the top
+ * `seats` are marked as winners (a multi-seat position elects several candidates
+ * from the same ballots). Positions with quotas fill their reserved seats first and
+ * then the open seats (see utils/seatAllocation); `seatAllocation` explains each seat.
+ * IRV/STV positions are counted round by round by the preferential tally engine.
+ * ABSTAIN and NONE_OF_THE_ABOVE votes are reported separately from candidate votes;
+ * when NONE_OF_THE_ABOVE beats every candidate on a position with `rerunOnNota`,
+ * nobody is elected and the position is flagged for a re-run.
+ * Referendum questions report answer counts and whether they passed instead of candidates.
+ * Uncontested positions (see isConfirmationVote) elect each candidate only if YES beats NO.
+ * Positions requiring an ABSOLUTE majority elect nobody unless the leader has more than
+ * half of the valid (candidate) votes; `majority` then lists the candidates for a runoff.
+ * Every tie that decides a seat is reported in `ties`, one per quota pool, open seats or
+ * elimination round, each settled by its own tie-break; until then the tied candidates
+ * (or, for an IRV/STV elimination tie, every candidate) are not declared winners.
+ * @param {String} electionId - Election to report on (all elections when omitted)
+ * @param {Object} [options]
+ * @param {String[]} [options.positionIds] - Only report on these positions
+ * @returns {Promise<{electionId: String|null, positions: Array, summary: Object}>}
+ */
+const computeResults = async (electionId, { positionIds } = {}) => {
+  const byElection = electionId ? { electionId } : {};
+  await fixConfirmationVotes({ ...byElection, ...(positionIds && { id: { in: positionIds } }) });
+
+  const positions = await prisma.position.findMany({
+    where: { ...byElection, ...(positionIds && { id: { in: positionIds } }) },
+    include: {
+      candidates: {
+        include: {
+          _count: {
+            select: {
+              votes: true,
+            },
+          },
+          runningMate: {
+            select: {
+              name: true,
+              program: true,
+            },
+          },
+        },
+        where: {
+          status: 'APPROVED',
+        },
+      },
+      election: {
+        select: { timezone: true },
+      },
+      tieBreaks: {
+        orderBy: { createdAt: 'asc' },
+      },
+      // Runoffs held because no candidate reached the majority (tie runoffs belong to a tie-break)
+      runoffs: {
+        where: { runoffFor: { is: null } },
+        select: { id: true },
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  // Get total votes cast for all positions
+  const totalVotesCast = await prisma.ballot.count({
+    where: { ...byElection, round: MAIN_ROUND, status: 'CONSUMED' },
+  });
+
+  const ballotsCastByPosition = await countBallotsByPosition(positions.map((p) => p.id));
+
+  // Ballots that abstained or rejected every candidate, per position
+  const choiceCounts = await prisma.vote.groupBy({
+    by: ['positionId', 'choice'],
+    where: {
+      positionId: { in: positions.map((p) => p.id) },
+      choice: { in: ['ABSTAIN', 'NONE_OF_THE_ABOVE'] },
+    },
+    _count: { _all: true },
+  });
+  const countChoice = (positionId, choice) =>
+    choiceCounts.find((row) => row.positionId === positionId && row.choice === choice)?._count._all || 0;
+
+  // Referendum answers and confirmation YES/NO votes, per position (and candidate)
+  const answerCounts = await prisma.vote.groupBy({
+    by: ['positionId', 'candidateId', 'answer'],
+    where: {
+      positionId: { in: positions.map((p) => p.id) },
+      choice: 'ANSWER',
+    },
+    _count: { _all: true },
+  });
+  const countAnswer = (candidateId, answer) =>
+    answerCounts.find((row) => row.candidateId === candidateId && row.answer === answer)?._count._all || 0;
+
+  const rankedBallots = await loadRankedBallots(
+    positions.filter((p) => RANKED_METHODS.includes(p.votingMethod)).map((p) => p.id)
+  );
+
+  const results = positions.map((position) => {
+    const ballotsCast = ballotsCastByPosition[position.id] || 0;
+
+    if (position.type === 'REFERENDUM') {
+      return referendumResult(position, ballotsCast, answerCounts);
+    }
+
+    const confirmation = isConfirmationVote(position, position.candidates.length);
+    const ranked = !confirmation && RANKED_METHODS.includes(position.votingMethod);
+    const blankVotes = countChoice(position.id, 'ABSTAIN');
+    const notaVotes = countChoice(position.id, 'NONE_OF_THE_ABOVE');
+
+    // Ranked positions: votes are first preferences and winners come from the count
+    let count = null;
+    let votesFor = (candidate) => candidate._count.votes;
+    let sortedCandidates;
+
+    if (ranked) {
+      count = runRankedCount({
+        candidateIds: position.candidates.map((c) => c.id),
+        ballots: rankedBallots[position.id] || [],
+        seats: position.seats,
+        method: position.votingMethod,
+        drawOrders: position.tieBreaks.filter((t) => t.drawOrder).map((t) => t.drawOrder),
+      });
+      const firstPreferences = count.rounds.length > 0 ? count.rounds[0].tallies : {};
+      votesFor = (candidate) => firstPreferences[candidate.id] || 0;
+      sortedCandidates = orderByRankedCount(position.candidates, count);
+    } else if (confirmation) {
+      // Confirmation ballots: a candidate's votes are the YES answers they received
+      votesFor = (candidate) => countAnswer(candidate.id, 'YES');
+      sortedCandidates = [...position.candidates].sort(
+        (a, b) => votesFor(b) - votesFor(a)
+      );
+    } else {
+      // Sort candidates by votes (descending)
+      sortedCandidates = [...position.candidates].sort(
+        (a, b) => votesFor(b) - votesFor(a)
+      );
+    }
+
+    // Plurality/approval seats: reserved seats first, then open seats
+    const allocate = () =>
+      allocateSeats(
+        sortedCandidates.map((c) => ({ id: c.id, votes: votesFor(c), attributes: c.attributes })),
+        position.seats,
+        position.quotas
+      );
+    let allocation = !ranked && !confirmation ? allocate() : null;
+
+    // Absolute majority: the leader needs more than half of the valid votes,
+    // otherwise the top two (and anyone level with second place) go to a runoff
+    let majority = null;
+    if (position.majorityRule === 'ABSOLUTE' && !confirmation) {
+      const validCandidateVotes = sortedCandidates.reduce((sum, candidate) => sum + votesFor(candidate), 0);
+      const reached = sortedCandidates.length > 0 && votesFor(sortedCandidates[0]) * 2 > validCandidateVotes;
+      const secondVotes = sortedCandidates.length > 1 ? votesFor(sortedCandidates[1]) : 0;
+
+      majority = {
+        rule: 'ABSOLUTE',
+        threshold: Math.floor(validCandidateVotes / 2) + 1,
+        reached,
+        runoffCandidateIds: reached
+          ? []
+          : sortedCandidates.filter((c, i) => i === 0 || votesFor(c) >= secondVotes).map((c) => c.id),
+        runoffPositionId: position.runoffs[0]?.id || null,
+      };
+    }
+    const runoffRequired = Boolean(majority && !majority.reached);
+
+    // Detect every tie that decides a seat (no seat is decided when a majority runoff is needed)
+    let ties = [];
+    if (ranked) {
+      // Eliminations the earlier rounds could not separate (settled by draw, or still open)
+      ties = count.rounds
+        .filter((r) => r.tiedCandidates.length > 0)
+        .map((r) => ({ stage: 'ELIMINATION', round: r.round, candidateIds: r.tiedCandidates, seatsAtStake: null }));
+    } else if (!confirmation && !runoffRequired) {
+      // A drawn tie ranks its candidates in the order they were drawn. Settling a tie in one pool
+      // can change who is left for the next, so seats are allocated again after each draw
+      const drawOrders = [];
+      for (;;) {
+        const drawn = allocation.ties
+          .map((t) => findTieBreak(position.tieBreaks, t.candidateIds)?.drawOrder)
+          .find((order) => order && !drawOrders.includes(order));
+        if (!drawn) break;
+
+        drawOrders.push(drawn);
+        sortedCandidates = [...sortedCandidates].sort((a, b) => {
+          const order = [...drawOrders].reverse().find((o) => o.includes(a.id) && o.includes(b.id));
+          return votesFor(b) - votesFor(a) || (order ? order.indexOf(a.id) - order.indexOf(b.id) : 0);
+        });
+        allocation = allocate();
+      }
+
+      ties = allocation.ties.map((t) => ({ stage: 'LAST_SEAT', round: null, ...t }));
+    }
+
+    // Each tie is settled on its own: by a draw covering it (IRV/STV) or its own tie-break record
+    const drawCovers = (candidateIds) =>
+      position.tieBreaks.some((t) => t.drawOrder && candidateIds.every((id) => t.drawOrder.includes(id)));
+    ties = ties.map((t) => {
+      const tieBreak = findTieBreak(position.tieBreaks, t.candidateIds);
+      return {
+        ...t,
+        policy: position.tieBreakPolicy,
+        resolved: ranked ? drawCovers(t.candidateIds) : Boolean(tieBreak?.drawOrder),
+        tieBreakId: tieBreak?.id || null,
+        runoffPositionId: tieBreak?.runoffPositionId || null,
+      };
+    });
+    const unresolvedTies = ties.filter((t) => !t.resolved);
+
+    // Calculate total votes for this position
+    const positionTotalVotes = sortedCandidates.reduce(
+      (sum, candidate) => sum + votesFor(candidate),
+      0
+    );
+
+    // NONE_OF_THE_ABOVE wins when more ballots chose it than any candidate received
+    const topCandidateVotes = Math.max(0, ...sortedCandidates.map(votesFor));
+    const notaWins = notaVotes > 0 && notaVotes > topCandidateVotes;
+    const rerunRequired = notaWins && position.rerunOnNota;
+
+    const confirmationCounts = (candidate) => {
+      const yes = countAnswer(candidate.id, 'YES');
+      const no = countAnswer(candidate.id, 'NO');
+      return {
+        yes,
+        no,
+        yesPercentage: yes + no > 0 ? parseFloat(((yes / (yes + no)) * 100).toFixed(2)) : 0,
+      };
+    };
+
+    const isElected = (candidate) => {
+      if (runoffRequired) {
+        return false;
+      }
+      if (unresolvedTies.some((t) => t.stage === 'ELIMINATION' || t.candidateIds.includes(candidate.id))) {
+        return false;
+      }
+      if (confirmation) {
+        const { yes, no } = confirmationCounts(candidate);
+        return yes > no;
+      }
+      return ranked ? count.elected.includes(candidate.id) : allocation.elected.includes(candidate.id);
+    };
+
+    // Calculate percentages and rankings
+    const candidatesWithStats = sortedCandidates.map((candidate, index) => {
+      const votes = votesFor(candidate);
+      const votePercentage =
+        positionTotalVotes > 0
+          ? ((votes / positionTotalVotes) * 100).toFixed(2)
+          : '0.00';
+      const overallPercentage =
+        totalVotesCast > 0
+          ? ((votes / totalVotesCast) * 100).toFixed(2)
+          : '0.00';
+      // Share of this position's voters who selected the candidate (differs from votePercentage when seats > 1)
+      const ballotPercentage =
+        ballotsCast > 0
+          ? ((votes / ballotsCast) * 100).toFixed(2)
+          : '0.00';
+
+      return {
+        candidateId: candidate.id,
+        name: candidate.name,
+        program: candidate.program,
+        photoUrl: candidate.photoUrl,
+        // Ticket positions: the running mate elected alongside the candidate
+        runningMate: candidate.runningMate && {
+          title: position.runningMateTitle,
+          name: candidate.runningMate.name,
+          program: candidate.runningMate.program,
+          photoUrl: candidate.runningMatePhotoUrl,
+        },
+        votes,
+        rank: index + 1,
+        votePercentage: parseFloat(votePercentage),
+        overallPercentage: parseFloat(overallPercentage),
+        ballotPercentage: parseFloat(ballotPercentage),
+        // Approval voting: share of the position's voters who approved the candidate
+        ...(position.votingMethod === 'APPROVAL' && !confirmation && { approvalPercentage: parseFloat(ballotPercentage) }),
+        ...(confirmation && { confirmation: confirmationCounts(candidate) }),
+        attributes: candidate.attributes,
+        // Reserved or open seat the candidate takes (positions with quotas)
+        ...(position.quotas && allocation && { seat: allocation.seatTypes[candidate.id] || null }),
+        tied: ties.some((t) => t.candidateIds.includes(candidate.id)),
+        isWinner: !rerunRequired && isElected(candidate),
+      };
+    });
+
+    return {
+      positionId: position.id,
+      electionId: position.electionId,
+      positionName: position.name,
+      type: position.type,
+      votingMethod: position.votingMethod,
+      seats: position.seats,
+      minSelections: position.minSelections,
+      votingOpens: position.votingOpens,
+      votingCloses: position.votingCloses,
+      timezone: position.election.timezone,
+      confirmationVote: confirmation,
+      totalVotes: positionTotalVotes,
+      ballotsCast,
+      // Ballots that chose candidates, abstained, or rejected every candidate
+      validVotes: ballotsCast - blankVotes - notaVotes,
+      blankVotes,
+      notaVotes,
+      notaWins,
+      rerunRequired,
+      majority,
+      runoffRequired,
+      candidates: candidatesWithStats,
+      winner: candidatesWithStats.find((c) => c.isWinner) || null,
+      winners: candidatesWithStats.filter((c) => c.isWinner),
+      ties,
+      // The tie to settle next (the first one still unresolved), or the last one settled
+      tie: unresolvedTies[0] || ties[ties.length - 1] || null,
+      // How reserved and open seats were filled (positions with quotas; provisional while a tie is open)
+      seatAllocation: position.quotas && allocation && !rerunRequired
+        ? {
+            quotas: position.quotas,
+            steps: allocation.steps,
+            unfilledQuotas: allocation.unfilledQuotas,
+            provisional: unresolvedTies.length > 0,
+          }
+        : null,
+      // Round-by-round elimination/transfer table for IRV/STV positions
+      tally: count && {
+        ...count,
+        candidateNames: Object.fromEntries(position.candidates.map((c) => [c.id, c.name])),
+      },
+      referendum: null,
+    };
+  });
+
+  return {
+    electionId: electionId || null,
+    positions: results,
+    summary: {
+      totalPositions: positions.length,
+      totalCandidates: positions.reduce(
+        (sum, p) => sum + p.candidates.length,
+        0
+      ),
+      totalVotesCast,
+      unresolvedTies: results.filter((p) => p.ties?.some((t) => !t.resolved)).length,
+      runoffsRequired: results.filter((p) => p.runoffRequired).length,
+    },
+  };
+};
+
+module.exports = {
+  countBallotsByPosition,
+  computeTurnout,
+  computeResults,
+  isConfirmationVote,
+  fixConfirmationVotes,
+};
@@ -0,0 +1,98 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('./auditLogger');
+
+/**
+ * Results Embargo
+ *
+ * Results reports (GET /api/reports/results and the results-* exports) stay locked until:
+ * - every position's voting window has closed, and
+ * - an admin has released the election's results (POST /api/elections/:id/results/release),
+ *   confirmed by a second admin when RESULTS_RELEASE_TWO_ADMINS is "true".
+ * A window opened after the release (a runoff or re-run) locks results again until it closes.
+ *
+ * Every request for results is audit-logged as ACCESS_RESULTS, whether it was granted or not.
+ * That includes reads of archives, which are only made of released results.
+ *
+ * Configuration from .env:
+ * - RESULTS_RELEASE_TWO_ADMINS: set to "true" to require a second admin to confirm a release (default off)
+ */
+
+const requiresSecondAdmin = () => process.env.RESULTS_RELEASE_TWO_ADMINS === 'true';
+
+// Elections that can have votes; without an electionId, earlier ones have no results to lock
+const VOTED_STATES = ['VOTING', 'CLOSED', 'CERTIFIED'];
+
+/**
+ * Whether results are locked for an election (or, without an electionId, for all elections that have reached voting)
+ * @param {String} electionId - optional
+ * @returns {Promise<{ locked: Boolean, openPositions: Array, unreleased: Array }>}
+ */
+const getResultsEmbargo = async (electionId) => {
+  const elections = await prisma.election.findMany({
+    where: {
+      ...(electionId ? { id: electionId } : { state: { in: VOTED_STATES } }),
+      positions: { some: {} },
+    },
+    select: {
+      id: true,
+      name: true,
+      resultsReleasedAt: true,
+      resultsReleaseRequestedAt: true,
+      positions: {
+        where: { votingCloses: { gt: new Date() } },
+        select: { id: true, name: true, votingCloses: true },
+      },
+    },
+  });
+
+  const openPositions = elections.flatMap((e) => e.positions.map((p) => ({ ...p, electionId: e.id })));
+  const unreleased = elections
+    .filter((e) => !e.resultsReleasedAt)
+    .map((e) => ({ id: e.id, name: e.name, releaseRequestedAt: e.resultsReleaseRequestedAt }));
+
+  return {
+    locked: openPositions.length > 0 || unreleased.length > 0,
+    openPositions,
+    unreleased,
+  };
+};
+
+/**
+ * 403 body for results requested while they are embargoed
+ * @param {Object} embargo - From getResultsEmbargo
+ */
+const embargoedResponse = (embargo) => ({
+  error: 'Results are embargoed',
+  reason: embargo.openPositions.length > 0 ? 'Voting is still open for some positions' : 'Results have not been released',
+  openPositions: embargo.openPositions,
+  elections: embargo.unreleased,
+  hint: 'Once every position\'s voting has closed, an admin releases results with POST /api/elections/:id/results/release',
+});
+
+/**
+ * Record a request for results
+ * @param {Object} user - req.user
+ * @param {String} electionId - optional
+ * @param {String} report - Which report was requested (e.g. "results", "results-pdf")
+ * @param {Boolean} granted - Whether the results were returned
+ */
+const logResultsAccess = (user, electionId, report, granted) =>
+  logAudit({
+    actorType: user.role.toLowerCase(),
+    actorId: user.id,
+    action: 'ACCESS_RESULTS',
+    entity: 'election',
+    entityId: electionId || null,
+    payload: {
+      report,
+      scope: electionId ? 'election' : 'all elections',
+      granted,
+    },
+  });
+
+module.exports = {
+  requiresSecondAdmin,
+  getResultsEmbargo,
+  embargoedResponse,
+  logResultsAccess,
+};
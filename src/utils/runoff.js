@@ -0,0 +1,78 @@
+const { prisma } = require('../config/prisma');
+const { newBallotRound } = require('./ballotRounds');
+
+/**
+ * Create a runoff position between some of a position's candidates.
+ *
+ * The runoff is a plurality race in the same election and electorate with no nomination window:
+ * the chosen candidates are copied across as APPROVED and voters choose between
+ * them in the runoff's voting window. A tie in the runoff itself is settled by lot.
+ * It is a ballot round of its own, so voters who cast the main ballot are issued another for it.
+ * @param {Object} params
+ * @param {Object} params.position - The position being decided
+ * @param {String[]} params.candidateIds - Candidates that go through to the runoff
+ * @param {Number} params.seats - Seats the runoff fills
+ * @param {Date} params.votingOpens
+ * @param {Date} params.votingCloses
+ * @param {Object} [tx] - Prisma transaction client (defaults to the shared client)
+ * @returns {Promise<Object>} The runoff position with its candidates
+ */
+const createRunoffPosition = async ({ position, candidateIds, seats, votingOpens, votingCloses }, tx = prisma) => {
+  const candidates = await tx.candidate.findMany({
+    where: {
+      id: { in: candidateIds },
+      positionId: position.id,
+      status: 'APPROVED',
+    },
+  });
+
+  if (candidates.length !== candidateIds.length) {
+    throw new Error('Runoff candidates must be approved candidates of the position');
+  }
+
+  return tx.position.create({
+    data: {
+      electionId: position.electionId,
+      name: `${position.name} (Runoff)`,
+      seats,
+      minSelections: 1,
+      votingMethod: 'PLURALITY',
+      allowAbstain: position.allowAbstain,
+      ...(position.electorate && { electorate: position.electorate }),
+      ticket: position.ticket,
+      runningMateTitle: position.runningMateTitle,
+      ballotOrder: position.ballotOrder,
+      tieBreakPolicy: 'LOT_DRAW',
+      runoffOfId: position.id,
+      ballotRound: await newBallotRound(position.electionId, tx),
+      // No nominations: the (empty) nomination window closes as voting opens
+      nominationOpens: votingOpens,
+      nominationCloses: votingOpens,
+      votingOpens,
+      votingCloses,
+      candidates: {
+        create: candidates.map((candidate) => ({
+          userId: candidate.userId,
+          name: candidate.name,
+          program: candidate.program,
+          manifestoUrl: candidate.manifestoUrl,
+          photoUrl: candidate.photoUrl,
+          ...(candidate.attributes && { attributes: candidate.attributes }),
+          // Tickets go to the runoff as they stood
+          runningMateId: candidate.runningMateId,
+          runningMateStatus: candidate.runningMateStatus,
+          runningMatePhotoUrl: candidate.runningMatePhotoUrl,
+          runningMateRespondedAt: candidate.runningMateRespondedAt,
+          status: 'APPROVED',
+        })),
+      },
+    },
+    include: {
+      candidates: true,
+    },
+  });
+};
+
+module.exports = {
+  createRunoffPosition,
+};
@@ -0,0 +1,373 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('./auditLogger');
+const { sendNotificationEmail } = require('./emailService');
+const { computeResults, countBallotsByPosition, fixConfirmationVotes } = require('./results');
+const { findSealedPositions } = require('./trustees');
+const { getResultsEmbargo } = require('./resultsEmbargo');
+const { formatInTimezone } = require('./timezone');
+
+/**
+ * Phase Scheduler
+ *
+ * Acts on each position's window boundaries (nominationOpens, nominationCloses,
+ * votingOpens, votingCloses) as they pass, instead of only when a request comes in:
+ * - audit-logs NOMINATIONS_OPENED / NOMINATIONS_CLOSED / VOTING_OPENED / VOTING_CLOSED
+ * - emails officers and the position's candidates (utils/emailService.sendNotificationEmail)
+ * - after nominations close, freezes the nomination list (Position.nominationsFrozenAt)
+ * - when voting opens, fixes whether the position is a confirmation vote (Position.confirmationVote)
+ * - after voting closes, computes provisional results for officers, unless the election's
+ *   results are still embargoed (see utils/resultsEmbargo): then only the ballot count is shared
+ *
+ * Every boundary acted on is recorded as a PhaseTransition keyed by (position, event, time),
+ * and the row is claimed before any work is done, so a boundary fires once even with several
+ * server instances. The row only counts as done once its handler has finished (completedAt):
+ * a handler that throws gives up its claim so the next check tries again, and a claim left
+ * behind by an instance that died mid-handler is taken over once it is CLAIM_TIMEOUT_MS old.
+ * On boot every boundary already passed without a completed row is caught up; moving a
+ * boundary (e.g. extending voting) makes the new time fire again.
+ * Boundaries only fire once the election has reached the matching phase: nomination events from
+ * NOMINATIONS, voting events from VOTING. Certified and archived elections are ignored.
+ *
+ * Configuration from .env:
+ * - PHASE_SCHEDULER_ENABLED: set to "false" to turn the scheduler off (default on)
+ * - PHASE_SCHEDULER_INTERVAL_MS: how often boundaries are checked (default 60000)
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// How long an unfinished claim is left to its instance before another one takes it over
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+const EVENTS = [
+  { event: 'NOMINATIONS_OPENED', field: 'nominationOpens', phases: ['NOMINATIONS', 'VOTING', 'CLOSED'] },
+  { event: 'NOMINATIONS_CLOSED', field: 'nominationCloses', phases: ['NOMINATIONS', 'VOTING', 'CLOSED'] },
+  { event: 'VOTING_OPENED', field: 'votingOpens', phases: ['VOTING', 'CLOSED'] },
+  { event: 'VOTING_CLOSED', field: 'votingCloses', phases: ['VOTING', 'CLOSED'] },
+];
+
+// Referendums and runoffs have an empty nomination window
+const takesNominations = (position) => position.type !== 'REFERENDUM' && !position.runoffOfId;
+
+// Active officers, who are told about every transition
+const officerEmails = async () => {
+  const officers = await prisma.user.findMany({
+    where: { role: 'OFFICER', status: 'ACTIVE' },
+    select: { email: true },
+  });
+  return officers.map((officer) => officer.email);
+};
+
+// Emails of the position's candidates (and running mates) with one of the given statuses
+const candidateEmails = async (positionId, statuses) => {
+  const candidates = await prisma.candidate.findMany({
+    where: { positionId, status: { in: statuses } },
+    select: {
+      user: { select: { email: true } },
+      runningMate: { select: { email: true } },
+    },
+  });
+  return candidates.flatMap((c) => [c.user.email, c.runningMate?.email]).filter(Boolean);
+};
+
+// Send one message to each address; returns how many were sent
+const notify = async (emails, subject, message) => {
+  let sent = 0;
+  for (const email of [...new Set(emails)]) {
+    const result = await sendNotificationEmail(email, subject, message);
+    if (result.success) sent++;
+  }
+  return sent;
+};
+
+/**
+ * Freeze the nomination list once nominations close
+ * @returns {Promise<Object>} Nomination counts by status, and tickets still waiting on a running mate
+ */
+const freezeNominations = async (position) => {
+  await prisma.position.update({
+    where: { id: position.id },
+    data: { nominationsFrozenAt: new Date() },
+  });
+
+  const byStatus = await prisma.candidate.groupBy({
+    by: ['status'],
+    where: { positionId: position.id },
+    _count: { _all: true },
+  });
+  const pendingRunningMates = await prisma.candidate.count({
+    where: { positionId: position.id, status: 'SUBMITTED', runningMateStatus: 'PENDING' },
+  });
+
+  return {
+    nominations: Object.fromEntries(byStatus.map((row) => [row.status, row._count._all])),
+    pendingRunningMates,
+  };
+};
+
+/**
+ * Provisional (uncertified) result of a position once voting closes
+ * @returns {Promise<Object>}
+ */
+const provisionalResults = async (position) => {
+  const { positions } = await computeResults(position.electionId, { positionIds: [position.id] });
+  const result = positions[0];
+
+  return {
+    ballotsCast: result.ballotsCast,
+    winners: result.winners.map((w) => ({ candidateId: w.candidateId, name: w.name, votes: w.votes })),
+    unresolvedTie: result.ties.some((t) => !t.resolved),
+    runoffRequired: result.runoffRequired,
+    rerunRequired: result.rerunRequired,
+    ...(result.referendum && { referendumPassed: result.referendum.passed }),
+  };
+};
+
+/**
+ * Work done at each boundary: post-close tasks, then notifications
+ * @param {Object} position - Position (with election)
+ * @param {Boolean} stale - An opening caught up after its window had already closed (no notifications)
+ * @returns {Promise<{ summary: Object|null, notified: Number }>}
+ */
+const HANDLERS = {
+  NOMINATIONS_OPENED: async (position, stale) => {
+    if (stale) return { summary: null, notified: 0 };
+    const notified = await notify(
+      await officerEmails(),
+      `Nominations open: ${position.name}`,
+      `Nominations for ${position.name} (${position.election.name}) are now open until ${formatInTimezone(position.nominationCloses, position.election.timezone)}.`
+    );
+    return { summary: null, notified };
+  },
+
+  NOMINATIONS_CLOSED: async (position) => {
+    const summary = await freezeNominations(position);
+    const awaiting = summary.nominations.SUBMITTED || 0;
+
+    let notified = await notify(
+      await officerEmails(),
+      `Nominations closed: ${position.name}`,
+      `Nominations for ${position.name} (${position.election.name}) have closed. ${awaiting} nomination(s) are awaiting review.`
+    );
+    notified += await notify(
+      await candidateEmails(position.id, ['SUBMITTED', 'APPROVED']),
+      `Nominations closed: ${position.name}`,
+      `Nominations for ${position.name} (${position.election.name}) have closed. You can check the status of your nomination in the portal.`
+    );
+    return { summary, notified };
+  },
+
+  VOTING_OPENED: async (position, stale) => {
+    await fixConfirmationVotes({ id: position.id });
+    if (stale) return { summary: null, notified: 0 };
+    const message = `Voting for ${position.name} (${position.election.name}) is now open until ${formatInTimezone(position.votingCloses, position.election.timezone)}.`;
+    let notified = await notify(await officerEmails(), `Voting open: ${position.name}`, message);
+    notified += await notify(await candidateEmails(position.id, ['APPROVED']), `Voting open: ${position.name}`, message);
+    return { summary: null, notified };
+  },
+
+  VOTING_CLOSED: async (position) => {
+    // Encrypted votes cannot be counted until the trustees decrypt them
+    const sealed = await findSealedPositions(position.electionId, [position.id]);
+    if (sealed.length > 0) {
+      const notified = await notify(
+        await officerEmails(),
+        `Voting closed: ${position.name}`,
+        `Voting for ${position.name} (${position.election.name}) has closed with ${sealed[0].ballots} ballot(s). ` +
+          'The votes are encrypted: results can be computed once enough trustees submit their key shares.'
+      );
+      return { summary: { ballotsCast: sealed[0].ballots, encrypted: true }, notified };
+    }
+
+    // No vote figures leave the system while other positions are still open or results are unreleased
+    const embargo = await getResultsEmbargo(position.electionId);
+    if (embargo.locked) {
+      const ballotsCast = (await countBallotsByPosition([position.id]))[position.id] || 0;
+      const notified = await notify(
+        await officerEmails(),
+        `Voting closed: ${position.name}`,
+        `Voting for ${position.name} (${position.election.name}) has closed with ${ballotsCast} ballot(s). ` +
+          'Results are embargoed until voting has closed for every position and an admin releases them.'
+      );
+      return { summary: { ballotsCast, embargoed: true }, notified };
+    }
+
+    const summary = await provisionalResults(position);
+    const winners = summary.winners.map((w) => `${w.name} (${w.votes})`).join(', ') || 'none declared';
+
+    let notified = await notify(
+      await officerEmails(),
+      `Voting closed: ${position.name}`,
+      `Voting for ${position.name} (${position.election.name}) has closed with ${summary.ballotsCast} ballot(s). ` +
+        `Provisional winners: ${winners}.` +
+        (summary.unresolvedTie ? ' A tie must be settled before certification.' : '') +
+        (summary.runoffRequired ? ' A runoff is required.' : '')
+    );
+    notified += await notify(
+      await candidateEmails(position.id, ['APPROVED']),
+      `Voting closed: ${position.name}`,
+      `Voting for ${position.name} (${position.election.name}) has closed. Results will be published once they are certified.`
+    );
+    return { summary, notified };
+  },
+};
+
+/**
+ * Claim a boundary: create its row, or take over an unfinished one whose claim has timed out
+ * @param {Object|undefined} unfinished - The boundary's existing row without completedAt
+ * @returns {Promise<Object|null>} The claimed row, or null when another instance holds it
+ */
+const claimTransition = async (position, event, scheduledFor, caughtUp, unfinished, now) => {
+  if (unfinished) {
+    const taken = await prisma.phaseTransition.updateMany({
+      where: {
+        id: unfinished.id,
+        completedAt: null,
+        firedAt: { lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) },
+      },
+      data: { firedAt: now, caughtUp: true },
+    });
+    return taken.count === 1 ? { id: unfinished.id, caughtUp: true } : null;
+  }
+
+  try {
+    return await prisma.phaseTransition.create({
+      data: { positionId: position.id, event, scheduledFor, caughtUp },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+};
+
+/**
+ * Fire one boundary: claim it, run its handler, audit-log it, then mark it completed.
+ * If the handler throws, the claim is released so the next check fires it again.
+ * @returns {Promise<Boolean>} false when another instance already fired it
+ */
+const fireTransition = async (position, { event, field }, now, intervalMs, unfinished) => {
+  const scheduledFor = position[field];
+
+  const transition = await claimTransition(
+    position, event, scheduledFor, now - scheduledFor > 2 * intervalMs, unfinished, now
+  );
+  if (!transition) return false;
+  const { caughtUp } = transition;
+
+  // An opening caught up after its window closed is recorded but not announced
+  const closesAt = event === 'NOMINATIONS_OPENED' ? position.nominationCloses : position.votingCloses;
+  const stale = event.endsWith('_OPENED') && closesAt <= now;
+
+  let outcome;
+  try {
+    outcome = await HANDLERS[event](position, stale);
+  } catch (error) {
+    await prisma.phaseTransition.deleteMany({ where: { id: transition.id, completedAt: null } });
+    throw error;
+  }
+  const { summary, notified } = outcome;
+
+  await logAudit({
+    actorType: 'system',
+    action: event,
+    entity: 'position',
+    entityId: position.id,
+    payload: {
+      electionId: position.electionId,
+      positionName: position.name,
+      scheduledFor,
+      caughtUp,
+      // The candidate order voters are shown is part of the record of voting opening
+      ...(event === 'VOTING_OPENED' && { ballotOrder: position.ballotOrder }),
+    },
+  });
+
+  await prisma.phaseTransition.update({
+    where: { id: transition.id },
+    data: { notified, completedAt: new Date(), ...(summary && { summary }) },
+  });
+
+  return true;
+};
+
+/**
+ * Fire every boundary that has passed and not been acted on yet
+ * @param {Number} [intervalMs] - Check interval; boundaries more than two intervals old count as caught up
+ * @returns {Promise<Number>} Transitions fired
+ */
+const runDueTransitions = async (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const now = new Date();
+
+  const positions = await prisma.position.findMany({
+    where: {
+      election: { state: { in: ['NOMINATIONS', 'VOTING', 'CLOSED'] } },
+      OR: EVENTS.map(({ field }) => ({ [field]: { lte: now } })),
+    },
+    include: {
+      election: { select: { name: true, state: true, timezone: true } },
+      phaseTransitions: { select: { id: true, event: true, scheduledFor: true, completedAt: true } },
+    },
+  });
+
+  let fired = 0;
+  for (const position of positions) {
+    for (const boundary of EVENTS) {
+      const scheduledFor = position[boundary.field];
+      if (scheduledFor > now || !boundary.phases.includes(position.election.state)) continue;
+      if (boundary.event.startsWith('NOMINATIONS') && !takesNominations(position)) continue;
+
+      const row = position.phaseTransitions.find(
+        (t) => t.event === boundary.event && t.scheduledFor.getTime() === scheduledFor.getTime()
+      );
+      if (row?.completedAt) continue;
+
+      try {
+        if (await fireTransition(position, boundary, now, intervalMs, row)) fired++;
+      } catch (error) {
+        console.error(`Phase scheduler: ${boundary.event} failed for position ${position.id}:`, error);
+      }
+    }
+  }
+
+  return fired;
+};
+
+/**
+ * Start the in-process scheduler: catch up immediately, then check on an interval
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when disabled
+ */
+const startScheduler = () => {
+  if (process.env.PHASE_SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Phase scheduler disabled');
+    return null;
+  }
+
+  const intervalMs = parseInt(process.env.PHASE_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick while the previous one is still sending notifications
+    if (running) return;
+    running = true;
+    try {
+      const fired = await runDueTransitions(intervalMs);
+      if (fired > 0) {
+        console.log(`⏰ Phase scheduler fired ${fired} transition(s)`);
+      }
+    } catch (error) {
+      console.error('Phase scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  console.log(`⏰ Phase scheduler checking every ${intervalMs / 1000}s`);
+  return timer;
+};
+
+module.exports = {
+  runDueTransitions,
+  startScheduler,
+};
@@ -0,0 +1,175 @@
+const { findSeatTie } = require('./tieBreak');
+const { sameText } = require('./eligibility');
+
+/**
+ * Reserved Seats (Quotas)
+ *
+ * A multi-seat plurality or approval position may reserve seats with `quotas`:
+ *   [{ attribute: 'gender', value: 'FEMALE', seats: 1 }, { attribute: 'faculty', value: 'Law', seats: 1 }]
+ * meaning at least `seats` winners must have that attribute value on Candidate.attributes.
+ * Reserved seats are filled first, quota by quota in the configured order, by the
+ * highest-polling candidates who qualify; the remaining (open) seats then go to the
+ * highest-polling candidates left. A quota nobody qualifies for is reported as unfilled
+ * and its seats become open seats. Attribute values match case-insensitively.
+ */
+
+/**
+ * Validate and tidy quotas from a request body
+ * @param {Array|null|undefined} quotas
+ * @param {Number} seats - Seats on the position; reserved seats cannot exceed them
+ * @returns {{ value: Array|null, error: String|null }}
+ */
+const normalizeQuotas = (quotas, seats) => {
+  if (quotas === null || quotas === undefined) {
+    return { value: null, error: null };
+  }
+
+  if (!Array.isArray(quotas)) {
+    return { value: null, error: 'Quotas must be a list of { attribute, value, seats }' };
+  }
+
+  const value = [];
+  for (const quota of quotas) {
+    const attribute = String(quota?.attribute || '').trim();
+    const attributeValue = String(quota?.value || '').trim();
+    const reserved = parseInt(quota?.seats);
+
+    if (!attribute || !attributeValue) {
+      return { value: null, error: 'Each quota needs an attribute and a value' };
+    }
+    if (isNaN(reserved) || reserved < 1) {
+      return { value: null, error: 'Each quota must reserve at least 1 seat' };
+    }
+    if (value.some((q) => q.attribute === attribute && sameText(q.value, attributeValue))) {
+      return { value: null, error: `Duplicate quota for ${attribute} = ${attributeValue}` };
+    }
+
+    value.push({ attribute, value: attributeValue, seats: reserved });
+  }
+
+  const reservedSeats = value.reduce((sum, q) => sum + q.seats, 0);
+  if (reservedSeats > seats) {
+    return { value: null, error: `Quotas reserve ${reservedSeats} seats but the position only has ${seats}` };
+  }
+
+  // An empty list reserves nothing
+  return { value: value.length > 0 ? value : null, error: null };
+};
+
+/**
+ * Validate and tidy candidate attributes (a flat map of names to text values)
+ * @param {Object|String|null|undefined} attributes - Object, or a JSON string from a multipart form
+ * @returns {{ value: Object|null, error: String|null }}
+ */
+const normalizeAttributes = (attributes) => {
+  if (attributes === null || attributes === undefined || attributes === '') {
+    return { value: null, error: null };
+  }
+
+  let parsed = attributes;
+  if (typeof attributes === 'string') {
+    try {
+      parsed = JSON.parse(attributes);
+    } catch (error) {
+      return { value: null, error: 'Candidate attributes must be valid JSON' };
+    }
+  }
+
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    return { value: null, error: 'Candidate attributes must be an object, e.g. { "gender": "FEMALE" }' };
+  }
+
+  const value = {};
+  for (const [key, item] of Object.entries(parsed)) {
+    if (item === null || item === undefined || typeof item === 'object') {
+      return { value: null, error: `Candidate attribute ${key} must be a single value` };
+    }
+    const text = String(item).trim();
+    if (key.trim() && text) {
+      value[key.trim()] = text;
+    }
+  }
+
+  return { value: Object.keys(value).length > 0 ? value : null, error: null };
+};
+
+// Whether a candidate's attributes satisfy a quota
+const qualifies = (candidate, quota) => {
+  const actual = candidate.attributes?.[quota.attribute];
+  return actual !== undefined && actual !== null && sameText(actual, quota.value);
+};
+
+const quotaLabel = (quota) => `${quota.attribute} = ${quota.value}`;
+
+/**
+ * Allocate seats: reserved seats first, then open seats
+ * @param {Array<{id: String, votes: Number, attributes: Object|null}>} ranked - Candidates sorted by votes, highest first
+ *   (candidates level on votes are taken in the order given, e.g. after a tie-break draw)
+ * @param {Number} seats - Seats to fill
+ * @param {Array|null} quotas - Position.quotas
+ * @returns {{ elected: String[], seatTypes: Object<String, Object>, steps: Array, unfilledQuotas: Array, ties: Array }}
+ *   `ties` lists every tie that decides who takes a reserved or open seat (see findSeatTie), in the order
+ *   the pools are filled, each with the pool it occurred in
+ */
+const allocateSeats = (ranked, seats, quotas) => {
+  const elected = [];
+  const seatTypes = {};
+  const steps = [];
+  const unfilledQuotas = [];
+  const ties = [];
+
+  const take = (candidate, seatType, quota, reason) => {
+    elected.push(candidate.id);
+    seatTypes[candidate.id] = { seatType, quota: quota ? quotaLabel(quota) : null };
+    steps.push({
+      seat: elected.length,
+      candidateId: candidate.id,
+      seatType,
+      quota: quota ? quotaLabel(quota) : null,
+      votes: candidate.votes,
+      reason,
+    });
+  };
+
+  // Reserved seats, quota by quota
+  (quotas || []).forEach((quota) => {
+    const pool = ranked.filter((c) => !elected.includes(c.id) && qualifies(c, quota));
+    const toFill = Math.min(quota.seats, pool.length);
+
+    const seatTie = findSeatTie(pool, quota.seats);
+    if (seatTie) ties.push({ ...seatTie, pool: quotaLabel(quota) });
+
+    pool.slice(0, toFill).forEach((candidate, i) =>
+      take(candidate, 'RESERVED', quota, `Reserved seat ${i + 1} of ${quota.seats} for ${quotaLabel(quota)}: highest-polling qualifying candidate`)
+    );
+
+    if (toFill < quota.seats) {
+      unfilledQuotas.push({
+        ...quota,
+        filled: toFill,
+        reason: `Only ${pool.length} qualifying candidate(s) stood; ${quota.seats - toFill} reserved seat(s) became open seats`,
+      });
+    }
+  });
+
+  // Open seats
+  const openSeats = seats - elected.length;
+  const pool = ranked.filter((c) => !elected.includes(c.id));
+
+  if (openSeats > 0) {
+    const seatTie = findSeatTie(pool, openSeats);
+    if (seatTie) ties.push({ ...seatTie, pool: 'OPEN' });
+  }
+
+  pool.slice(0, Math.max(openSeats, 0)).forEach((candidate) =>
+    take(candidate, 'OPEN', null, 'Open seat: highest-polling remaining candidate')
+  );
+
+  return { elected, seatTypes, steps, unfilledQuotas, ties };
+};
+
+module.exports = {
+  normalizeQuotas,
+  normalizeAttributes,
+  allocateSeats,
+};
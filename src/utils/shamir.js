@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+/**
+ * Shamir Secret Sharing
+ *
+ * Splits a secret into N shares so that any k of them rebuild it and fewer than k reveal
+ * nothing about it. Each byte of the secret is the constant term of its own random polynomial
+ * of degree k - 1 over GF(256); a share is the value of every polynomial at the share's x (1..N).
+ * Combining evaluates the Lagrange interpolation of the shares at x = 0.
+ *
+ * Pure functions only, so the same code can split a key and rebuild it anywhere.
+ */
+
+// GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1: log/exp tables over generator 3
+const EXP = new Array(510);
+const LOG = new Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+  }
+  for (let i = 255; i < 510; i++) EXP[i] = EXP[i - 255];
+})();
+
+const mul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+const div = (a, b) => (a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]]);
+
+/**
+ * Split a secret into shares
+ * @param {Buffer} secret
+ * @param {Number} shares - N, at most 255
+ * @param {Number} threshold - k, the shares needed to rebuild the secret (1..N)
+ * @returns {Array<{ x: Number, y: Buffer }>}
+ */
+const splitSecret = (secret, shares, threshold) => {
+  if (!Number.isInteger(shares) || shares < 1 || shares > 255) {
+    throw new Error('Shares must be between 1 and 255');
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > shares) {
+    throw new Error('Threshold must be between 1 and the number of shares');
+  }
+
+  const result = Array.from({ length: shares }, (_, i) => ({ x: i + 1, y: Buffer.alloc(secret.length) }));
+
+  for (let byte = 0; byte < secret.length; byte++) {
+    // Coefficients: the secret byte, then k - 1 random ones
+    const coefficients = [secret[byte], ...crypto.randomBytes(threshold - 1)];
+    result.forEach((share) => {
+      // Horner's rule, highest coefficient first
+      share.y[byte] = coefficients.reduceRight((acc, coefficient) => mul(acc, share.x) ^ coefficient, 0);
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Rebuild a secret from k (or more) shares
+ * Too few or wrong shares give a wrong secret rather than an error, so callers check the result.
+ * @param {Array<{ x: Number, y: Buffer }>} shares
+ * @returns {Buffer}
+ */
+const combineShares = (shares) => {
+  const xs = shares.map((s) => s.x);
+  if (new Set(xs).size !== xs.length) {
+    throw new Error('Each share may only be used once');
+  }
+
+  const secret = Buffer.alloc(shares[0].y.length);
+  for (let byte = 0; byte < secret.length; byte++) {
+    let value = 0;
+    shares.forEach((share, i) => {
+      // Lagrange basis polynomial of share i at x = 0 (subtraction is XOR in GF(256))
+      let basis = 1;
+      shares.forEach((other, j) => {
+        if (i !== j) basis = mul(basis, div(other.x, other.x ^ share.x));
+      });
+      value ^= mul(share.y[byte], basis);
+    });
+    secret[byte] = value;
+  }
+
+  return secret;
+};
+
+module.exports = {
+  splitSecret,
+  combineShares,
+};
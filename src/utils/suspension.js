@@ -0,0 +1,66 @@
+const { prisma } = require('../config/prisma');
+
+/**
+ * Voting Suspensions
+ *
+ * An admin can halt voting while an incident is investigated, without touching
+ * the schedule. A suspension covers one position (positionId, with its electionId),
+ * a whole election (electionId only) or every election (neither). While it is active
+ * (resumedAt is null) voters get a 503 "suspended" response instead of OTPs, ballots
+ * or accepted votes for what it covers.
+ */
+
+// What a suspension covers
+const suspensionScope = (suspension) => {
+  if (suspension.positionId) return 'POSITION';
+  return suspension.electionId ? 'ELECTION' : 'GLOBAL';
+};
+
+/**
+ * Active suspension halting all voting in an election (global or election-wide)
+ * @param {String} electionId
+ * @returns {Promise<Object|null>}
+ */
+const findElectionSuspension = (electionId) =>
+  prisma.suspension.findFirst({
+    where: {
+      resumedAt: null,
+      positionId: null,
+      OR: [{ electionId: null }, { electionId }],
+    },
+    orderBy: { suspendedAt: 'asc' },
+  });
+
+/**
+ * Active position-level suspensions among the given positions
+ * @param {String[]} positionIds
+ * @returns {Promise<Array>}
+ */
+const findPositionSuspensions = (positionIds) =>
+  prisma.suspension.findMany({
+    where: {
+      resumedAt: null,
+      positionId: { in: positionIds },
+    },
+  });
+
+/**
+ * Body of the 503 response sent while voting is suspended
+ * @param {Object} suspension
+ * @returns {Object}
+ */
+const suspendedResponse = (suspension) => ({
+  error: 'Voting is temporarily suspended',
+  suspended: true,
+  scope: suspensionScope(suspension),
+  reason: suspension.reason,
+  suspendedAt: suspension.suspendedAt,
+  hint: 'Voting will resume once election officials have dealt with the incident. Your ballot remains valid.',
+});
+
+module.exports = {
+  suspensionScope,
+  findElectionSuspension,
+  findPositionSuspensions,
+  suspendedResponse,
+};
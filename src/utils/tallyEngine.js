@@ -0,0 +1,202 @@
+/**
+ * Preferential Tally Engine
+ *
+ * Counts ranked ballots for positions using:
+ * - IRV (Instant Runoff): single seat; a candidate wins with a majority of the
+ *   continuing (non-exhausted) votes, otherwise the lowest candidate is eliminated.
+ * - STV (Single Transferable Vote): multi-seat; candidates reaching the Droop quota
+ *   floor(valid / (seats + 1)) + 1 are elected and their surplus is transferred at a
+ *   fractional value (Gregory method); otherwise the lowest candidate is eliminated.
+ *
+ * Every round is recorded so results can be published as an elimination/transfer table.
+ * This module has no database access so it can also be used by offline verification tools.
+ *
+ * Votes are counted in whole units of a millionth of a vote, so fractional transfers add up
+ * exactly; a transferred ballot's value is rounded down to a unit once, when it is transferred.
+ */
+
+// Units per vote
+const SCALE = 1000000;
+
+// Units as votes, for the published table
+const toVotes = (units) => units / SCALE;
+
+/**
+ * Pick the candidate to eliminate among those with the lowest tally.
+ * Ties are broken by looking back through earlier rounds for the candidate
+ * who was behind most recently, then by a recorded tie-break draw covering the
+ * tied candidates (last drawn goes first). Without a draw the supplied order is
+ * used provisionally and the tie is reported as unresolved.
+ * @returns {{ candidateId: String, tied: String[], resolved: Boolean }}
+ */
+const pickLowest = (continuing, tallies, previousRounds, candidateIds, drawOrders) => {
+  const lowestTally = Math.min(...continuing.map((id) => tallies[id]));
+  let tied = continuing.filter((id) => tallies[id] === lowestTally);
+
+  if (tied.length === 1) {
+    return { candidateId: tied[0], tied: [], resolved: true };
+  }
+
+  for (let i = previousRounds.length - 1; i >= 0 && tied.length > 1; i--) {
+    const earlier = previousRounds[i].tallies;
+    const earlierLowest = Math.min(...tied.map((id) => earlier[id] ?? 0));
+    tied = tied.filter((id) => (earlier[id] ?? 0) === earlierLowest);
+  }
+
+  if (tied.length === 1) {
+    return { candidateId: tied[0], tied: [], resolved: true };
+  }
+
+  // Still level after every round: use the latest draw that covers every tied candidate
+  const draw = [...drawOrders].reverse().find((order) => tied.every((id) => order.includes(id)));
+  const order = draw || candidateIds;
+  const candidateId = [...tied].sort((a, b) => order.indexOf(b) - order.indexOf(a))[0];
+  return { candidateId, tied, resolved: Boolean(draw) };
+};
+
+/**
+ * Run an IRV or STV count
+ * @param {Object} params
+ * @param {String[]} params.candidateIds - Candidates standing for the position
+ * @param {String[][]} params.ballots - Each ballot's candidate ids, first preference first
+ * @param {Number} params.seats - Seats to fill (IRV always fills one)
+ * @param {String} params.method - 'IRV' or 'STV'
+ * @param {String[][]} [params.drawOrders] - Recorded tie-break draws (candidate ids, first drawn preferred)
+ * @returns {{ method: String, seats: Number, validBallots: Number, quota: Number|null, elected: String[], eliminated: String[], rounds: Array, unresolvedTie: Object|null }}
+ */
+const runRankedCount = ({ candidateIds, ballots, seats, method, drawOrders = [] }) => {
+  const seatsToFill = method === 'IRV' ? 1 : Math.min(seats, candidateIds.length);
+
+  // Only keep preferences for standing candidates, without repeats
+  const papers = ballots
+    .map((prefs) => prefs.filter((id, i) => candidateIds.includes(id) && prefs.indexOf(id) === i))
+    .filter((prefs) => prefs.length > 0)
+    .map((prefs) => ({ prefs, weight: SCALE, index: 0 }));
+
+  const validBallots = papers.length;
+  const quota = method === 'STV' ? Math.floor(validBallots / (seatsToFill + 1)) + 1 : null;
+  const quotaUnits = quota * SCALE;
+
+  const continuing = new Set(candidateIds);
+  const elected = [];
+  const eliminated = [];
+  const rounds = [];
+  let unresolvedTie = null;
+
+  // Move a ballot to its highest preference that is still continuing (null when exhausted)
+  const currentChoice = (paper) => {
+    while (paper.index < paper.prefs.length && !continuing.has(paper.prefs[paper.index])) {
+      paper.index++;
+    }
+    return paper.index < paper.prefs.length ? paper.prefs[paper.index] : null;
+  };
+
+  const countTallies = () => {
+    const tallies = Object.fromEntries([...continuing].map((id) => [id, 0]));
+    let exhausted = 0;
+    papers.forEach((paper) => {
+      const choice = currentChoice(paper);
+      if (choice) {
+        tallies[choice] += paper.weight;
+      } else {
+        exhausted += paper.weight;
+      }
+    });
+    return { tallies, exhausted };
+  };
+
+  // Redistribute ballots sitting with `fromIds`, scaling each pile by its transfer value
+  // (surplus / tally, in units; BigInt because weight * surplus can pass 2^53)
+  const transfer = (fromIds, transferValues) => {
+    const moved = {};
+    papers.forEach((paper) => {
+      const from = paper.prefs[paper.index];
+      if (!fromIds.includes(from)) return;
+      const { surplus, tally } = transferValues[from];
+      paper.weight = Number((BigInt(paper.weight) * BigInt(surplus)) / BigInt(tally));
+      if (paper.weight === 0) return;
+      const to = currentChoice(paper) || 'exhausted';
+      moved[to] = (moved[to] || 0) + paper.weight;
+    });
+    return Object.fromEntries(Object.entries(moved).map(([to, units]) => [to, toVotes(units)]));
+  };
+
+  while (elected.length < seatsToFill && continuing.size > 0) {
+    const { tallies, exhausted } = countTallies();
+    const entry = {
+      round: rounds.length + 1,
+      tallies: Object.fromEntries(Object.entries(tallies).map(([id, units]) => [id, toVotes(units)])),
+      exhausted: toVotes(exhausted),
+      threshold: null,
+      elected: [],
+      eliminated: null,
+      transfers: {},
+      tieBroken: false,
+      tiedCandidates: [],
+    };
+
+    const remainingSeats = seatsToFill - elected.length;
+    const continuingIds = [...continuing];
+
+    // IRV: majority of continuing votes; STV: fixed Droop quota
+    const continuingTotal = continuingIds.reduce((sum, id) => sum + tallies[id], 0);
+    const threshold = method === 'IRV' ? (Math.floor(continuingTotal / SCALE / 2) + 1) * SCALE : quotaUnits;
+    entry.threshold = toVotes(threshold);
+
+    const reached = continuingIds
+      .filter((id) => tallies[id] > 0 && tallies[id] >= threshold)
+      .sort((a, b) => tallies[b] - tallies[a])
+      .slice(0, remainingSeats);
+
+    if (reached.length > 0) {
+      reached.forEach((id) => {
+        elected.push(id);
+        continuing.delete(id);
+      });
+      entry.elected = reached;
+
+      if (method === 'STV' && elected.length < seatsToFill) {
+        const transferValues = Object.fromEntries(
+          reached.map((id) => [id, { surplus: tallies[id] - quotaUnits, tally: tallies[id] }])
+        );
+        entry.transfers = transfer(reached, transferValues);
+      }
+    } else if (continuingIds.length <= remainingSeats) {
+      // Everyone left fills the remaining seats
+      const byTally = continuingIds.sort((a, b) => tallies[b] - tallies[a]);
+      byTally.forEach((id) => {
+        elected.push(id);
+        continuing.delete(id);
+      });
+      entry.elected = byTally;
+    } else {
+      const { candidateId, tied, resolved } = pickLowest(continuingIds, tallies, rounds, candidateIds, drawOrders);
+      continuing.delete(candidateId);
+      eliminated.push(candidateId);
+      entry.eliminated = candidateId;
+      entry.tieBroken = tied.length > 0;
+      entry.tiedCandidates = tied;
+      if (!resolved && !unresolvedTie) {
+        unresolvedTie = { round: entry.round, candidateIds: tied };
+      }
+      entry.transfers = transfer([candidateId], { [candidateId]: { surplus: 1, tally: 1 } });
+    }
+
+    rounds.push(entry);
+  }
+
+  return {
+    method,
+    seats: seatsToFill,
+    validBallots,
+    quota,
+    elected,
+    eliminated,
+    rounds,
+    unresolvedTie,
+  };
+};
+
+module.exports = {
+  runRankedCount,
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { sha256 } = require('./hashing');
+
+/**
+ * Tie Detection and Tie-Break Helpers
+ *
+ * A tie matters when candidates level on votes straddle the last seat (plurality,
+ * approval) or when an IRV/STV elimination cannot be separated by earlier rounds.
+ * Ties are settled by the position's policy through an admin endpoint:
+ * - RUNOFF: a new vote between the tied candidates only
+ * - LOT_DRAW: the returning officer records the order lots were drawn in
+ * - SEEDED_DRAW: tied candidates ordered by SHA-256(seed:candidateId), reproducible from the seed
+ */
+const TIE_BREAK_POLICIES = ['RUNOFF', 'LOT_DRAW', 'SEEDED_DRAW'];
+
+/**
+ * Find candidates tied for the last seat(s)
+ * @param {Array<{id: String, votes: Number}>} ranked - Candidates sorted by votes, highest first
+ * @param {Number} seats - Seats to fill
+ * @returns {{ candidateIds: String[], seatsAtStake: Number }|null} The tie, or null when the seats are decided
+ */
+const findSeatTie = (ranked, seats) => {
+  if (ranked.length <= seats) return null;
+
+  const boundary = ranked[seats - 1].votes;
+  if (ranked[seats].votes !== boundary) return null;
+
+  const secured = ranked.filter((c) => c.votes > boundary).length;
+  return {
+    candidateIds: ranked.filter((c) => c.votes === boundary).map((c) => c.id),
+    seatsAtStake: seats - secured,
+  };
+};
+
+// Whether two lists hold the same candidate ids, in any order
+const sameCandidates = (a, b) => a.length === b.length && a.every((id) => b.includes(id));
+
+/**
+ * Latest recorded tie-break for exactly these tied candidates
+ * @param {Array} tieBreaks - TieBreak records for the position, oldest first
+ * @param {String[]} candidateIds - The tied candidates
+ * @returns {Object|undefined}
+ */
+const findTieBreak = (tieBreaks, candidateIds) =>
+  [...tieBreaks].reverse().find((tieBreak) => sameCandidates(tieBreak.candidateIds, candidateIds));
+
+/**
+ * Reproducible draw: order candidates by SHA-256 of `${seed}:${candidateId}`
+ * @param {String} seed - Published seed
+ * @param {String[]} candidateIds - The tied candidates
+ * @returns {String[]} Candidate ids, first drawn first
+ */
+const seededDrawOrder = (seed, candidateIds) =>
+  [...candidateIds].sort((a, b) => sha256(`${seed}:${a}`).localeCompare(sha256(`${seed}:${b}`)));
+
+// Seed for a SEEDED_DRAW when the admin does not supply one
+const generateSeed = () => crypto.randomBytes(16).toString('hex');
+
+module.exports = {
+  TIE_BREAK_POLICIES,
+  findSeatTie,
+  sameCandidates,
+  findTieBreak,
+  seededDrawOrder,
+  generateSeed,
+};
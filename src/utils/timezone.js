@@ -0,0 +1,160 @@
+/**
+ * Election Timezones
+ *
+ * Officers enter position windows with datetime-local inputs ("YYYY-MM-DDTHH:mm"),
+ * which carry no timezone. They are interpreted in the election's configured IANA
+ * timezone (Election.timezone, e.g. 'Africa/Kampala') rather than the server's, and
+ * stored as UTC instants. Responses and exports render them back in the same timezone,
+ * so the time an officer types is the time voters see wherever the server runs.
+ *
+ * Configuration from .env:
+ * - DEFAULT_ELECTION_TIMEZONE: timezone for new elections (default Africa/Kampala)
+ */
+
+const DEFAULT_TIMEZONE = 'Africa/Kampala';
+
+const getDefaultTimezone = () => process.env.DEFAULT_ELECTION_TIMEZONE || DEFAULT_TIMEZONE;
+
+/**
+ * Whether a string is an IANA timezone the runtime knows
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a timezone
+const wallClock = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (e.g. 180 for UTC+3)
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {Number}
+ */
+const offsetMinutes = (date, timezone) => {
+  const c = wallClock(date, timezone);
+  const asUtc = Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute, c.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Parse a date input in an election's timezone
+ * Strings with an explicit offset or Z are taken as given; datetime-local strings
+ * ("YYYY-MM-DDTHH:mm[:ss]") are wall-clock times in `timezone`.
+ * @param {String} dateString
+ * @param {String} timezone - IANA timezone of the election
+ * @returns {Date} Invalid Date when the string cannot be parsed
+ */
+const parseInTimezone = (dateString, timezone) => {
+  if (!dateString) return new Date(NaN);
+  if (dateString instanceof Date) return dateString;
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(dateString)) {
+    return new Date(dateString);
+  }
+
+  const match = String(dateString).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+  if (!match) return new Date(NaN);
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const asUtc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+  // Shift by the zone's offset; re-check once in case the shift crossed a DST change
+  let instant = asUtc - offsetMinutes(new Date(asUtc), timezone) * 60000;
+  instant = asUtc - offsetMinutes(new Date(instant), timezone) * 60000;
+  return new Date(instant);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Render an instant as an ISO-8601 string with the election's offset,
+ * e.g. "2026-10-18T09:00:00+03:00"
+ * @param {Date|String} date
+ * @param {String} timezone
+ * @returns {String|null}
+ */
+const toZonedISOString = (date, timezone) => {
+  if (!date) return null;
+  const instant = new Date(date);
+  const c = wallClock(instant, timezone);
+  const offset = offsetMinutes(instant, timezone);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${c.year}-${pad(c.month)}-${pad(c.day)}T${pad(c.hour)}:${pad(c.minute)}:${pad(c.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+/**
+ * Human-readable time in the election's timezone, for PDFs and emails,
+ * e.g. "18 Oct 2026, 09:00 (Africa/Kampala)"
+ * @param {Date|String} date
+ * @param {String} timezone
+ * @returns {String}
+ */
+const formatInTimezone = (date, timezone) => {
+  if (!date) return '';
+  const text = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(new Date(date));
+  return `${text} (${timezone})`;
+};
+
+const WINDOW_FIELDS = ['nominationOpens', 'nominationCloses', 'votingOpens', 'votingCloses'];
+
+/**
+ * Add the election's timezone and the position's windows rendered in it to a position response
+ * (`localTimes` holds offset ISO strings; the UTC fields are left as they are)
+ * @param {Object} position - Position record
+ * @param {String} timezone - The election's timezone
+ * @returns {Object}
+ */
+const withLocalTimes = (position, timezone) => ({
+  ...position,
+  timezone,
+  localTimes: Object.fromEntries(
+    WINDOW_FIELDS.filter((field) => position[field]).map((field) => [field, toZonedISOString(position[field], timezone)])
+  ),
+});
+
+module.exports = {
+  getDefaultTimezone,
+  isValidTimezone,
+  parseInTimezone,
+  toZonedISOString,
+  formatInTimezone,
+  withLocalTimes,
+};
@@ -0,0 +1,158 @@
+const { prisma } = require('../config/prisma');
+const { recoverPrivateKey, openVotes } = require('./voteEncryption');
+
+/**
+ * Election Trustees and the Decryption Ceremony
+ *
+ * An admin appoints N trustees (any active users who have registered a trustee key: admins,
+ * officers, candidates' agents) and a threshold k before voting opens. Each share is stored
+ * encrypted to its trustee's key; the trustee collects it once, it is then removed from the
+ * database, and voting cannot open until every share has been collected.
+ * Trustees are optional: an election without them stores its votes unencrypted.
+ *
+ * Once the voting window of a position has closed, trustees hand their shares back. The k-th
+ * share rebuilds the election key in memory, every closed position's encrypted votes are
+ * decrypted into ordinary Vote rows, and all submitted shares are dropped again, whether the
+ * decryption worked or not. Positions that close later (runoffs, extended windows) need
+ * another round of k shares.
+ *
+ * Submitted shares are only ever held in this process's memory, never in the database: a
+ * restart before the k-th share arrives loses the ones handed back so far, and those trustees
+ * submit them again.
+ *
+ * Until a position has been decrypted its results cannot be computed (see findSealedPositions),
+ * and the election cannot be certified.
+ */
+
+// Shares handed back for the next decryption: electionId -> Map(shareIndex -> share)
+const submittedShares = new Map();
+
+/**
+ * Share indexes handed back for an election's next decryption
+ * @param {String} electionId
+ * @returns {Number[]}
+ */
+const submittedShareIndexes = (electionId) => [...(submittedShares.get(electionId)?.keys() || [])];
+
+/**
+ * Hold a trustee's share until the decryption it completes
+ * @param {String} electionId
+ * @param {Number} shareIndex
+ * @param {String} share
+ * @returns {Boolean} false if this share is already held
+ */
+const holdSubmittedShare = (electionId, shareIndex, share) => {
+  if (!submittedShares.has(electionId)) {
+    submittedShares.set(electionId, new Map());
+  }
+  const shares = submittedShares.get(electionId);
+  if (shares.has(shareIndex)) return false;
+  shares.set(shareIndex, share);
+  return true;
+};
+
+/**
+ * Positions that still have encrypted votes
+ * @param {String} electionId
+ * @param {String[]} positionIds - Only these positions (optional)
+ * @returns {Promise<Array<{ positionId: String, name: String, ballots: Number }>>}
+ */
+const findSealedPositions = async (electionId, positionIds) => {
+  const sealed = await prisma.encryptedVote.groupBy({
+    by: ['positionId'],
+    where: {
+      position: { electionId },
+      ...(positionIds && { positionId: { in: positionIds } }),
+    },
+    _count: { _all: true },
+  });
+  if (sealed.length === 0) return [];
+
+  const positions = await prisma.position.findMany({
+    where: { id: { in: sealed.map((row) => row.positionId) } },
+    select: { id: true, name: true },
+  });
+  return sealed.map((row) => ({
+    positionId: row.positionId,
+    name: positions.find((p) => p.id === row.positionId)?.name,
+    ballots: row._count._all,
+  }));
+};
+
+/**
+ * 409 body for results requested while votes are still encrypted
+ * @param {Array} sealed - From findSealedPositions
+ */
+const sealedVotesResponse = (sealed) => ({
+  error: 'Votes are still encrypted',
+  hint: 'Results are available once voting has closed and enough trustees have submitted their key shares (POST /api/trustees/elections/:electionId/shares)',
+  positions: sealed,
+});
+
+/**
+ * Decrypt every closed position's votes once enough trustees have submitted their shares
+ * @param {String} electionId
+ * @returns {Promise<Object|null>} { positionIds, ballots, votes }, or null while shares are missing
+ *   (or when a concurrent submission decrypted the same votes first)
+ * @throws {Error} if the shares do not rebuild the key or a ciphertext does not decrypt (nothing is changed)
+ */
+const decryptClosedPositions = async (electionId) => {
+  const election = await prisma.election.findUnique({
+    where: { id: electionId },
+    select: {
+      encryptionPublicKey: true,
+      trusteeThreshold: true,
+    },
+  });
+
+  const shares = [...(submittedShares.get(electionId)?.values() || [])];
+  if (!election?.encryptionPublicKey || shares.length < election.trusteeThreshold) {
+    return null;
+  }
+
+  try {
+    const privateKey = recoverPrivateKey(shares, election.encryptionPublicKey);
+
+    const sealed = await prisma.encryptedVote.findMany({
+      where: {
+        position: { electionId, votingCloses: { lte: new Date() } },
+      },
+    });
+    const voteRows = sealed.flatMap((row) => openVotes(privateKey, row));
+
+    // Claim the encrypted rows before inserting their votes: when two submissions complete the
+    // threshold at once, the second finds the rows gone and inserts nothing
+    try {
+      await prisma.$transaction(async (tx) => {
+        const deleted = await tx.encryptedVote.deleteMany({ where: { id: { in: sealed.map((row) => row.id) } } });
+        if (deleted.count !== sealed.length) {
+          const error = new Error('The votes were decrypted by another submission');
+          error.code = 'ALREADY_DECRYPTED';
+          throw error;
+        }
+
+        await tx.vote.createMany({ data: voteRows });
+      });
+    } catch (error) {
+      if (error.code === 'ALREADY_DECRYPTED') return null;
+      throw error;
+    }
+
+    return {
+      positionIds: [...new Set(sealed.map((row) => row.positionId))],
+      ballots: new Set(sealed.map((row) => row.ballotId)).size,
+      votes: voteRows.length,
+    };
+  } finally {
+    // The key can be rebuilt from these shares: drop them as soon as they have been used
+    submittedShares.delete(electionId);
+  }
+};
+
+module.exports = {
+  findSealedPositions,
+  sealedVotesResponse,
+  submittedShareIndexes,
+  holdSubmittedShare,
+  decryptClosedPositions,
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { canonicalStringify, sha256 } = require('./hashing');
+const { splitSecret, combineShares } = require('./shamir');
+
+/**
+ * Vote Encryption
+ *
+ * Each election has an X25519 key pair. Votes are encrypted at cast time under the public key
+ * (ECIES: an ephemeral X25519 key agreement, HKDF-SHA256, then AES-256-GCM), one ciphertext per
+ * ballot and position, bound to both so rows cannot be swapped between ballots or positions.
+ *
+ * The private key is never stored: when trustees are appointed it is generated, split into one
+ * Shamir share per trustee (k of N rebuild it, see utils/shamir) and discarded. Each share is
+ * encrypted the same way to the trustee's own X25519 key (User.trusteePublicKey, made with
+ * scripts/trustee-key.js) before it is stored, so the database never holds a readable share.
+ * Decrypting needs k trustees to hand their shares back (see utils/trustees), so nobody with
+ * database access can read votes, or results, while polling is open.
+ *
+ * Pure functions only; nothing here touches the database.
+ */
+
+const CIPHERTEXT_VERSION = 'v1';
+const SHARE_PREFIX = 'ELS1';
+const HKDF_INFO = 'e-londa vote encryption';
+
+// DER prefixes wrapping a raw 32-byte X25519 key as PKCS#8 (private) and SPKI (public)
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+const rawPrivateKey = (keyObject) => keyObject.export({ type: 'pkcs8', format: 'der' }).subarray(PKCS8_PREFIX.length);
+const rawPublicKey = (keyObject) => keyObject.export({ type: 'spki', format: 'der' }).subarray(SPKI_PREFIX.length);
+
+const privateKeyFromRaw = (raw) =>
+  crypto.createPrivateKey({ key: Buffer.concat([PKCS8_PREFIX, raw]), format: 'der', type: 'pkcs8' });
+const publicKeyFromBase64 = (publicKey) =>
+  crypto.createPublicKey({ key: Buffer.concat([SPKI_PREFIX, Buffer.from(publicKey, 'base64')]), format: 'der', type: 'spki' });
+
+const deriveKey = (privateKey, publicKey, ephemeralPublicKey) =>
+  Buffer.from(crypto.hkdfSync('sha256', crypto.diffieHellman({ privateKey, publicKey }), ephemeralPublicKey, HKDF_INFO, 32));
+
+/**
+ * Text form of a key share handed to a trustee, e.g. "ELS1-3-9f0c...". The x-coordinate is part of it.
+ * @returns {String}
+ */
+const encodeShare = ({ x, y }) => `${SHARE_PREFIX}-${x}-${y.toString('hex')}`;
+
+/**
+ * @param {String} share
+ * @returns {{ x: Number, y: Buffer }|null} null if the text is not a key share
+ */
+const decodeShare = (share) => {
+  const match = /^els1-(\d{1,3})-([0-9a-f]{64})$/.exec(String(share || '').trim().toLowerCase());
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 255) return null;
+  return { x: Number(match[1]), y: Buffer.from(match[2], 'hex') };
+};
+
+// Shares are stored and compared by hash of their canonical text
+const hashShare = (share) => sha256(encodeShare(decodeShare(share)));
+
+/**
+ * Generate an election key pair and split its private key among trustees
+ * @param {Number} trustees - N
+ * @param {Number} threshold - k
+ * @returns {{ publicKey: String, shares: String[] }} Base64 raw public key, and one share per trustee (x = 1..N)
+ */
+const createElectionKey = (trustees, threshold) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const shares = splitSecret(rawPrivateKey(privateKey), trustees, threshold).map(encodeShare);
+  return { publicKey: rawPublicKey(publicKey).toString('base64'), shares };
+};
+
+/**
+ * Rebuild the election private key from trustee shares
+ * @param {String[]} shares - At least k shares
+ * @param {String} publicKey - The election public key, to check the rebuilt key against
+ * @returns {crypto.KeyObject}
+ * @throws {Error} if the shares do not rebuild the key (too few, or not from this election)
+ */
+const recoverPrivateKey = (shares, publicKey) => {
+  const decoded = shares.map(decodeShare);
+  if (decoded.some((share) => !share)) {
+    throw new Error('Invalid key share');
+  }
+
+  const privateKey = privateKeyFromRaw(combineShares(decoded));
+  if (rawPublicKey(crypto.createPublicKey(privateKey)).toString('base64') !== publicKey) {
+    throw new Error('The key shares do not rebuild this election\'s key');
+  }
+  return privateKey;
+};
+
+/**
+ * Encrypt a value under the election public key
+ * @param {String} publicKey - Base64 raw X25519 public key
+ * @param {String} context - Authenticated but not encrypted (e.g. "ballotId:positionId"); decryption needs the same value
+ * @param {*} value - Any JSON value
+ * @returns {String} "v1.<ephemeral key>.<iv>.<tag>.<ciphertext>", base64 parts
+ */
+const encryptVote = (publicKey, context, value) => {
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralPublicKey = rawPublicKey(ephemeral.publicKey);
+  const key = deriveKey(ephemeral.privateKey, publicKeyFromBase64(publicKey), ephemeralPublicKey);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(canonicalStringify(value), 'utf8'), cipher.final()]);
+
+  return [CIPHERTEXT_VERSION, ephemeralPublicKey, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join('.');
+};
+
+/**
+ * Decrypt a value encrypted with encryptVote
+ * @param {crypto.KeyObject} privateKey - From recoverPrivateKey
+ * @param {String} context - The context it was encrypted with
+ * @param {String} text
+ * @returns {*}
+ * @throws {Error} if the ciphertext was altered or belongs to another context
+ */
+const decryptVote = (privateKey, context, text) => {
+  const [version, ...parts] = String(text).split('.');
+  if (version !== CIPHERTEXT_VERSION || parts.length !== 4) {
+    throw new Error('Unknown ciphertext format');
+  }
+
+  const [ephemeralPublicKey, iv, tag, ciphertext] = parts.map((part) => Buffer.from(part, 'base64'));
+  const key = deriveKey(privateKey, publicKeyFromBase64(ephemeralPublicKey.toString('base64')), ephemeralPublicKey);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+};
+
+// Ciphertexts are bound to their ballot and position
+const voteContext = (ballotId, positionId) => `${ballotId}:${positionId}`;
+
+/**
+ * Encrypt a ballot's vote rows, one ciphertext per position
+ * @param {String} publicKey - Election public key
+ * @param {String} ballotId
+ * @param {Array} voteRows - { positionId, choice, candidateId, answer, rank }
+ * @returns {Array<{ ballotId: String, positionId: String, ciphertext: String }>} EncryptedVote rows
+ */
+const sealVotes = (publicKey, ballotId, voteRows) => {
+  const positionIds = [...new Set(voteRows.map((v) => v.positionId))];
+  return positionIds.map((positionId) => ({
+    ballotId,
+    positionId,
+    ciphertext: encryptVote(
+      publicKey,
+      voteContext(ballotId, positionId),
+      voteRows
+        .filter((v) => v.positionId === positionId)
+        .map((v) => ({ choice: v.choice, candidateId: v.candidateId ?? null, answer: v.answer ?? null, rank: v.rank ?? null }))
+    ),
+  }));
+};
+
+/**
+ * Decrypt an EncryptedVote row back into the position's vote rows
+ * @param {crypto.KeyObject} privateKey
+ * @param {{ ballotId: String, positionId: String, ciphertext: String }} sealed
+ * @returns {Array} Vote rows ready to be created
+ */
+const openVotes = (privateKey, sealed) =>
+  decryptVote(privateKey, voteContext(sealed.ballotId, sealed.positionId), sealed.ciphertext).map((v) => ({
+    ballotId: sealed.ballotId,
+    positionId: sealed.positionId,
+    choice: v.choice,
+    candidateId: v.candidateId,
+    answer: v.answer,
+    rank: v.rank,
+  }));
+
+/**
+ * Whether a value is a base64 raw X25519 public key
+ * @param {String} publicKey
+ * @returns {Boolean}
+ */
+const isPublicKey = (publicKey) => {
+  if (typeof publicKey !== 'string' || Buffer.from(publicKey, 'base64').length !== 32) return false;
+  try {
+    publicKeyFromBase64(publicKey);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Generate a trustee's own key pair; the private key stays with the trustee
+ * @returns {{ publicKey: String, privateKey: String }} Base64 raw public key, PEM private key
+ */
+const createTrusteeKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  return {
+    publicKey: rawPublicKey(publicKey).toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  };
+};
+
+// Encrypted key shares are bound to their election and share index
+const shareContext = (electionId, shareIndex) => `key-share:${electionId}:${shareIndex}`;
+
+/**
+ * Encrypt a trustee's key share to the trustee's public key
+ * @returns {String} Ciphertext in the encryptVote format
+ */
+const sealShare = (trusteePublicKey, electionId, shareIndex, share) =>
+  encryptVote(trusteePublicKey, shareContext(electionId, shareIndex), share);
+
+/**
+ * Decrypt a key share sealed with sealShare
+ * @param {crypto.KeyObject|String} privateKey - The trustee's private key (KeyObject or PEM)
+ * @returns {String} The key share text
+ * @throws {Error} if it was sealed to another key, election or share index
+ */
+const openShare = (privateKey, electionId, shareIndex, encryptedShare) =>
+  decryptVote(
+    typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey,
+    shareContext(electionId, shareIndex),
+    encryptedShare
+  );
+
+// Short fingerprint of an election public key, for audit logs and trustee screens
+const keyFingerprint = (publicKey) => sha256(publicKey).slice(0, 16);
+
+module.exports = {
+  createElectionKey,
+  recoverPrivateKey,
+  encryptVote,
+  decryptVote,
+  sealVotes,
+  openVotes,
+  decodeShare,
+  hashShare,
+  isPublicKey,
+  createTrusteeKey,
+  sealShare,
+  openShare,
+  keyFingerprint,
+};
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// entryHash needs no database; keep the Prisma client from connecting when the module loads
+require.cache[require.resolve('../src/config/prisma')] = { exports: { prisma: {} } };
+const { GENESIS_HASH, entryHash } = require('../src/utils/auditChain');
+
+const entry = {
+  sequence: 1,
+  prevHash: GENESIS_HASH,
+  actorType: 'admin',
+  actorId: 'user-1',
+  action: 'CREATE_ELECTION',
+  entity: 'election',
+  entityId: 'election-1',
+  payload: { name: 'Guild Elections', seats: 3 },
+  createdAt: '2026-10-18T09:00:00.000Z',
+};
+
+test('the hash covers every recorded field', () => {
+  const hash = entryHash(entry);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+
+  ['sequence', 'prevHash', 'actorType', 'actorId', 'action', 'entity', 'entityId', 'createdAt'].forEach((field) => {
+    assert.notEqual(entryHash({ ...entry, [field]: 'changed' }), hash, field);
+  });
+  assert.notEqual(entryHash({ ...entry, payload: { ...entry.payload, seats: 4 } }), hash);
+});
+
+test('the hash does not depend on payload key order', () => {
+  assert.equal(entryHash({ ...entry, payload: { seats: 3, name: 'Guild Elections' } }), entryHash(entry));
+});
+
+test('missing optional fields hash as null', () => {
+  const { actorId, entity, entityId, payload, ...required } = entry;
+  assert.equal(entryHash(required), entryHash({ ...required, actorId: null, entity: null, entityId: null, payload: null }));
+});
+
+test('each entry links to the hash of the one before', () => {
+  const first = entryHash(entry);
+  const second = { ...entry, sequence: 2, prevHash: first, action: 'UPDATE_ELECTION' };
+  assert.notEqual(entryHash(second), entryHash({ ...second, prevHash: GENESIS_HASH }));
+});
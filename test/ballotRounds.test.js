@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// An in-memory stand-in for the few Prisma calls ballot rounds and runoffs make
+const db = { positions: [], candidates: [], issuances: [] };
+const prisma = {
+  position: {
+    findMany: async ({ where }) => {
+      const rounds = db.positions
+        .filter((p) => p.electionId === where.electionId && p.votingCloses >= where.votingCloses.gte)
+        .map((p) => p.ballotRound);
+      return [...new Set(rounds)].map((ballotRound) => ({ ballotRound }));
+    },
+    aggregate: async ({ where }) => {
+      const rounds = db.positions.filter((p) => p.electionId === where.electionId).map((p) => p.ballotRound);
+      return { _max: { ballotRound: rounds.length > 0 ? Math.max(...rounds) : null } };
+    },
+    create: async ({ data }) => {
+      const position = { id: `position-${db.positions.length + 1}`, ...data, candidates: data.candidates.create };
+      db.positions.push(position);
+      return position;
+    },
+  },
+  candidate: {
+    findMany: async ({ where }) =>
+      db.candidates.filter((c) => where.id.in.includes(c.id) && c.positionId === where.positionId && c.status === where.status),
+  },
+  ballotIssuance: {
+    findMany: async ({ where }) =>
+      db.issuances.filter((i) => i.electionId === where.electionId && i.voterId === where.voterId),
+  },
+};
+require.cache[require.resolve('../src/config/prisma')] = { exports: { prisma } };
+
+const { pendingBallotRound, findPendingBallotRound } = require('../src/utils/ballotRounds');
+const { createRunoffPosition } = require('../src/utils/runoff');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+test('a voter is issued the earliest open round they have no ballot for', () => {
+  assert.equal(pendingBallotRound([1], []), 1);
+  assert.equal(pendingBallotRound([1], [1]), null);
+  assert.equal(pendingBallotRound([1, 2, 3], [1]), 2);
+  assert.equal(pendingBallotRound([3], [1]), 3);
+  // Before positions are set up the ballot is for the main round
+  assert.equal(pendingBallotRound([], []), 1);
+});
+
+test('a voter who cast the main ballot is issued a ballot for the runoff', async () => {
+  const president = {
+    id: 'president',
+    electionId: 'election-1',
+    name: 'President',
+    ballotRound: 1,
+    votingCloses: hoursFromNow(-1),
+    allowAbstain: false,
+    ticket: false,
+    ballotOrder: 'ALPHABETICAL',
+  };
+  db.positions.push(president);
+  db.candidates.push(
+    { id: 'a', positionId: 'president', userId: 'user-a', name: 'A', status: 'APPROVED' },
+    { id: 'b', positionId: 'president', userId: 'user-b', name: 'B', status: 'APPROVED' }
+  );
+
+  // Round 1: the voter verifies and casts the main ballot
+  president.votingCloses = hoursFromNow(1);
+  assert.equal(await findPendingBallotRound('election-1', 'voter-1'), 1);
+  db.issuances.push({ electionId: 'election-1', voterId: 'voter-1', round: 1 });
+  assert.equal(await findPendingBallotRound('election-1', 'voter-1'), null);
+
+  // Voting closes in a tie and a runoff is called
+  president.votingCloses = hoursFromNow(-1);
+  const runoff = await createRunoffPosition(
+    { position: president, candidateIds: ['a', 'b'], seats: 1, votingOpens: hoursFromNow(0), votingCloses: hoursFromNow(24) },
+    prisma
+  );
+  assert.equal(runoff.ballotRound, 2);
+
+  // The same voter is issued a ballot for the runoff, once
+  assert.equal(await findPendingBallotRound('election-1', 'voter-1'), 2);
+  db.issuances.push({ electionId: 'election-1', voterId: 'voter-1', round: 2 });
+  assert.equal(await findPendingBallotRound('election-1', 'voter-1'), null);
+
+  // A second runoff is a round of its own again
+  const second = await createRunoffPosition(
+    { position: president, candidateIds: ['a', 'b'], seats: 1, votingOpens: hoursFromNow(0), votingCloses: hoursFromNow(24) },
+    prisma
+  );
+  assert.equal(second.ballotRound, 3);
+  assert.equal(await findPendingBallotRound('election-1', 'voter-1'), 3);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { receiptLeafHash, ballotLeafHash, commitBallots, receiptProof, verifyInclusion } = require('../src/utils/merkle');
+
+const receiptCodes = ['R-003', 'R-001', 'R-005', 'R-002', 'R-004'];
+const ballots = [
+  { votes: [{ positionId: 'p1', choice: 'CANDIDATE', candidateId: 'a' }] },
+  { votes: [{ positionId: 'p1', choice: 'CANDIDATE', candidateId: 'b' }, { positionId: 'p2', choice: 'ABSTAIN' }] },
+  { votes: [{ positionId: 'p2', choice: 'ANSWER', answer: 'YES' }] },
+  { votes: [{ positionId: 'p1', choice: 'CANDIDATE', candidateId: 'a' }] },
+  { votes: [{ positionId: 'p1', choice: 'CANDIDATE', candidateId: 'c', rank: 1 }] },
+];
+
+test('receipts are committed in code order and ballots in leaf hash order', () => {
+  const commitment = commitBallots(receiptCodes, ballots);
+  assert.deepEqual(commitment.receipts, ['R-001', 'R-002', 'R-003', 'R-004', 'R-005']);
+  assert.deepEqual(commitment.ballotLeaves, [...commitment.ballotLeaves].sort());
+  assert.deepEqual(commitment.ballotLeaves, commitment.ballots.map(ballotLeafHash));
+});
+
+test('the root does not depend on the order ballots are supplied in', () => {
+  const root = commitBallots(receiptCodes, ballots).root;
+  assert.equal(commitBallots([...receiptCodes].reverse(), [...ballots].reverse()).root, root);
+});
+
+test('every receipt has a proof that leads to the root', () => {
+  const commitment = commitBallots(receiptCodes, ballots);
+  commitment.receipts.forEach((code, i) => {
+    assert.ok(verifyInclusion(receiptLeafHash(code), receiptProof(commitment, i), commitment.root));
+  });
+});
+
+test('a proof does not verify another receipt or a changed ballot', () => {
+  const commitment = commitBallots(receiptCodes, ballots);
+  assert.ok(!verifyInclusion(receiptLeafHash('R-999'), receiptProof(commitment, 0), commitment.root));
+
+  const changed = ballots.map((b, i) => (i === 2 ? { votes: [{ positionId: 'p2', choice: 'ANSWER', answer: 'NO' }] } : b));
+  assert.notEqual(commitBallots(receiptCodes, changed).root, commitment.root);
+});
+
+test('a single receipt is proven by the ballots root alone', () => {
+  const commitment = commitBallots(['R-001'], [ballots[0]]);
+  assert.deepEqual(receiptProof(commitment, 0), [{ hash: commitment.ballotsRoot, side: 'right' }]);
+  assert.ok(verifyInclusion(receiptLeafHash('R-001'), receiptProof(commitment, 0), commitment.root));
+});
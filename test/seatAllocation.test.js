@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeQuotas, normalizeAttributes, allocateSeats } = require('../src/utils/seatAllocation');
+
+const candidate = (id, votes, attributes = null) => ({ id, votes, attributes });
+
+test('reserved seats go to the highest-polling qualifying candidates before open seats', () => {
+  const ranked = [
+    candidate('a', 50, { gender: 'MALE' }),
+    candidate('b', 40, { gender: 'MALE' }),
+    candidate('c', 30, { gender: 'female' }),
+    candidate('d', 20, { gender: 'FEMALE' }),
+  ];
+
+  const result = allocateSeats(ranked, 2, [{ attribute: 'gender', value: 'FEMALE', seats: 1 }]);
+
+  assert.deepEqual(result.elected, ['c', 'a']);
+  assert.deepEqual(result.seatTypes.c, { seatType: 'RESERVED', quota: 'gender = FEMALE' });
+  assert.deepEqual(result.seatTypes.a, { seatType: 'OPEN', quota: null });
+  assert.deepEqual(result.unfilledQuotas, []);
+  assert.deepEqual(result.ties, []);
+});
+
+test('a quota nobody qualifies for becomes open seats', () => {
+  const ranked = [candidate('a', 50, { faculty: 'Law' }), candidate('b', 40), candidate('c', 30)];
+
+  const result = allocateSeats(ranked, 2, [{ attribute: 'faculty', value: 'Medicine', seats: 1 }]);
+
+  assert.deepEqual(result.elected, ['a', 'b']);
+  assert.equal(result.unfilledQuotas.length, 1);
+  assert.equal(result.unfilledQuotas[0].filled, 0);
+});
+
+test('ties in the reserved and the open pools are all reported', () => {
+  const ranked = [
+    candidate('a', 50),
+    candidate('b', 30),
+    candidate('c', 30),
+    candidate('d', 20, { gender: 'FEMALE' }),
+    candidate('e', 20, { gender: 'FEMALE' }),
+  ];
+
+  const result = allocateSeats(ranked, 3, [{ attribute: 'gender', value: 'FEMALE', seats: 1 }]);
+
+  assert.deepEqual(result.ties, [
+    { candidateIds: ['d', 'e'], seatsAtStake: 1, pool: 'gender = FEMALE' },
+    { candidateIds: ['b', 'c'], seatsAtStake: 1, pool: 'OPEN' },
+  ]);
+});
+
+test('quotas are validated against the seats on the position', () => {
+  assert.deepEqual(normalizeQuotas(undefined, 3), { value: null, error: null });
+  assert.deepEqual(normalizeQuotas([], 3), { value: null, error: null });
+  assert.deepEqual(normalizeQuotas([{ attribute: ' gender ', value: 'FEMALE ', seats: '1' }], 3), {
+    value: [{ attribute: 'gender', value: 'FEMALE', seats: 1 }],
+    error: null,
+  });
+
+  assert.match(normalizeQuotas([{ attribute: 'gender', value: 'FEMALE', seats: 4 }], 3).error, /only has 3/);
+  assert.match(normalizeQuotas([{ attribute: 'gender', value: 'FEMALE', seats: 0 }], 3).error, /at least 1 seat/);
+  assert.match(
+    normalizeQuotas([{ attribute: 'gender', value: 'FEMALE', seats: 1 }, { attribute: 'gender', value: 'female', seats: 1 }], 3).error,
+    /Duplicate quota/
+  );
+});
+
+test('candidate attributes are a flat map of text values', () => {
+  assert.deepEqual(normalizeAttributes('{"gender": " FEMALE ", "faculty": ""}'), { value: { gender: 'FEMALE' }, error: null });
+  assert.match(normalizeAttributes('{not json').error, /valid JSON/);
+  assert.match(normalizeAttributes({ gender: ['FEMALE'] }).error, /single value/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { splitSecret, combineShares } = require('../src/utils/shamir');
+
+const secret = crypto.randomBytes(32);
+
+test('any k of N shares rebuild the secret', () => {
+  const shares = splitSecret(secret, 5, 3);
+  assert.equal(shares.length, 5);
+  assert.deepEqual(shares.map((s) => s.x), [1, 2, 3, 4, 5]);
+
+  assert.deepEqual(combineShares([shares[0], shares[1], shares[2]]), secret);
+  assert.deepEqual(combineShares([shares[4], shares[1], shares[3]]), secret);
+  assert.deepEqual(combineShares(shares), secret);
+});
+
+test('fewer than k shares do not rebuild the secret', () => {
+  const shares = splitSecret(secret, 5, 3);
+  assert.notDeepEqual(combineShares([shares[0], shares[1]]), secret);
+});
+
+test('a threshold of one hands every trustee the secret', () => {
+  splitSecret(secret, 3, 1).forEach((share) => assert.deepEqual(share.y, secret));
+});
+
+test('the same share cannot be used twice', () => {
+  const shares = splitSecret(secret, 3, 2);
+  assert.throws(() => combineShares([shares[0], shares[0]]), /only be used once/);
+});
+
+test('share counts and thresholds are checked', () => {
+  assert.throws(() => splitSecret(secret, 0, 1), /between 1 and 255/);
+  assert.throws(() => splitSecret(secret, 256, 1), /between 1 and 255/);
+  assert.throws(() => splitSecret(secret, 3, 4), /Threshold/);
+  assert.throws(() => splitSecret(secret, 3, 0), /Threshold/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runRankedCount } = require('../src/utils/tallyEngine');
+
+// `count` copies of a ballot
+const repeat = (count, prefs) => Array.from({ length: count }, () => prefs);
+
+test('IRV elects the first candidate to a majority of continuing votes', () => {
+  const result = runRankedCount({
+    candidateIds: ['a', 'b', 'c'],
+    ballots: [...repeat(4, ['a']), ...repeat(3, ['b', 'c']), ...repeat(2, ['c', 'b'])],
+    seats: 1,
+    method: 'IRV',
+  });
+
+  assert.deepEqual(result.elected, ['b']);
+  assert.deepEqual(result.eliminated, ['c']);
+  assert.equal(result.rounds.length, 2);
+  assert.deepEqual(result.rounds[0].tallies, { a: 4, b: 3, c: 2 });
+  assert.equal(result.rounds[0].threshold, 5);
+  assert.deepEqual(result.rounds[0].transfers, { b: 2 });
+  assert.deepEqual(result.rounds[1].tallies, { a: 4, b: 5 });
+  assert.equal(result.unresolvedTie, null);
+});
+
+test('IRV lowers the majority as ballots exhaust', () => {
+  const result = runRankedCount({
+    candidateIds: ['a', 'b', 'c'],
+    ballots: [...repeat(4, ['a']), ...repeat(3, ['b']), ...repeat(2, ['c'])],
+    seats: 1,
+    method: 'IRV',
+  });
+
+  assert.deepEqual(result.elected, ['a']);
+  assert.equal(result.rounds[1].exhausted, 2);
+  assert.equal(result.rounds[1].threshold, 4);
+});
+
+test('STV transfers an elected candidate\'s surplus at a fractional value', () => {
+  const result = runRankedCount({
+    candidateIds: ['a', 'b', 'c', 'd'],
+    ballots: [...repeat(8, ['a', 'b']), ...repeat(1, ['b']), ...repeat(4, ['c']), ...repeat(2, ['d', 'c'])],
+    seats: 2,
+    method: 'STV',
+  });
+
+  assert.equal(result.quota, 6);
+  assert.deepEqual(result.rounds[0].elected, ['a']);
+  // Two surplus votes over eight papers: a quarter of a vote each
+  assert.deepEqual(result.rounds[0].transfers, { b: 2 });
+  assert.equal(result.rounds[1].tallies.b, 3);
+  assert.deepEqual(result.elected, ['a', 'c']);
+});
+
+test('STV transfers surpluses in whole millionths of a vote', () => {
+  const result = runRankedCount({
+    candidateIds: ['a', 'b', 'c', 'd'],
+    ballots: [...repeat(7, ['a', 'b']), ...repeat(2, ['b']), ...repeat(4, ['c']), ...repeat(2, ['d', 'c'])],
+    seats: 2,
+    method: 'STV',
+  });
+
+  assert.equal(result.quota, 6);
+  assert.deepEqual(result.elected, ['a', 'c']);
+  // One surplus vote over seven papers: 142857 millionths each, rounded down once
+  assert.deepEqual(result.rounds[0].transfers, { b: 0.999999 });
+  assert.equal(result.rounds[1].tallies.b, 2.999999);
+});
+
+test('STV settles a level elimination with a recorded draw', () => {
+  const params = {
+    candidateIds: ['a', 'b', 'c'],
+    ballots: [...repeat(2, ['a']), ['b', 'a'], ['c', 'a']],
+    seats: 1,
+    method: 'STV',
+  };
+
+  const undrawn = runRankedCount(params);
+  assert.deepEqual(undrawn.unresolvedTie, { round: 1, candidateIds: ['b', 'c'] });
+
+  const drawn = runRankedCount({ ...params, drawOrders: [['c', 'b']] });
+  assert.equal(drawn.unresolvedTie, null);
+  // The last drawn goes first
+  assert.equal(drawn.rounds[0].eliminated, 'b');
+  assert.ok(drawn.rounds[0].tieBroken);
+});
+
+test('preferences for candidates not standing and repeats are ignored', () => {
+  const result = runRankedCount({
+    candidateIds: ['a', 'b'],
+    ballots: [['x', 'a', 'a'], ['x'], ['b', 'b']],
+    seats: 1,
+    method: 'IRV',
+  });
+
+  assert.equal(result.validBallots, 2);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTrusteeKey, isPublicKey, sealShare, openShare } = require('../src/utils/voteEncryption');
+
+const share = 'ELS1-2-8215d8358279cea289fce0de87f85e0be8fb22384347fb1284ec840b38315ecd';
+
+test('a sealed key share opens only with its trustee key', () => {
+  const trustee = createTrusteeKey();
+  const other = createTrusteeKey();
+  assert.ok(isPublicKey(trustee.publicKey));
+
+  const sealed = sealShare(trustee.publicKey, 'election-1', 2, share);
+  assert.ok(!sealed.includes(share));
+  assert.equal(openShare(trustee.privateKey, 'election-1', 2, sealed), share);
+  assert.throws(() => openShare(other.privateKey, 'election-1', 2, sealed));
+});
+
+test('a sealed key share is bound to its election and share index', () => {
+  const trustee = createTrusteeKey();
+  const sealed = sealShare(trustee.publicKey, 'election-1', 2, share);
+  assert.throws(() => openShare(trustee.privateKey, 'election-2', 2, sealed));
+  assert.throws(() => openShare(trustee.privateKey, 'election-1', 3, sealed));
+});
+
+test('only X25519 public keys are accepted for trustees', () => {
+  assert.equal(isPublicKey('not a key'), false);
+  assert.equal(isPublicKey(''), false);
+});